@@ -1,11 +1,90 @@
 import { useEffect, useId, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
 import * as THREE from "three";
+import { SLAB_MASK_TUNING, processSlabImage } from "./slab-imaging/index.js";
+import { buildCustomEdgeProfile, edgeProfileSection } from "./edge-profiles/index.js";
+import { readStoredJson, writeStoredJson } from "./storage/index.js";
+import {
+  buildQuote,
+  formatCurrency,
+  normalizePriceBook,
+  quoteToCsv,
+  slabPriceFor,
+} from "./quoting/index.js";
 
 const COMPANY = "chivino";
 const API_ROOT = "https://slabcloud.com/api/v2";
 const INVENTORY_ENDPOINT = API_ROOT + "/inventory/" + COMPANY;
 const PRODUCT_ENDPOINT = (slug) =>
   API_ROOT + "/product/" + COMPANY + "?slug=" + encodeURIComponent(slug);
+const PRODUCT_PREFETCH_CONCURRENCY = 4;
+const SLAB_TABLE_PAGE_SIZE = 150;
+const SHORTLIST_STORAGE_KEY = "chivino-asset-atlas:shortlist";
+const EDGE_PROFILE_LIBRARY_STORAGE_KEY = "chivino-asset-atlas:edge-profiles";
+const PRICE_BOOK_STORAGE_KEY = "chivino-asset-atlas:price-book";
+const SAVED_QUOTES_STORAGE_KEY = "chivino-asset-atlas:quotes";
+const COMPARE_MIN_ITEMS = 2;
+const COMPARE_MAX_ITEMS = 4;
+// Must match SNAPSHOT_CHANNEL_NAME in the native viewer.
+const NATIVE_VIEWER_SNAPSHOT_CHANNEL = "chivino-native-viewer:snapshots";
+const NATIVE_VIEWER_SNAPSHOT_TIMEOUT_MS = 4000;
+const INCHES_PER_METER = 39.3701;
+const SQUARE_INCHES_PER_SQUARE_FOOT = 144;
+const SAW_KERF_INCHES = 0.25;
+const UNAVAILABLE_SLAB_STATUS = /\b(sold|hold|held|reserved|allocated|pending|consumed)\b/i;
+const LAYOUT_EXPORT_PIXELS_PER_INCH = 12;
+const LAYOUT_VIEW_MARGIN_INCHES = 6;
+const SPEC_SHEET_BRAND = "Chivino Surfaces";
+const SPEC_SHEET_STYLES = `
+  @page { size: letter; margin: 0.5in; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    color: #1d1a16;
+    font: 11px/1.4 "Avenir Next", "Helvetica Neue", Arial, sans-serif;
+    -webkit-print-color-adjust: exact;
+    print-color-adjust: exact;
+  }
+  .sheet { max-width: 7.5in; margin: 0 auto; padding: 0.25in 0; }
+  .sheet-toolbar {
+    max-width: 7.5in; margin: 16px auto 0;
+    display: flex; justify-content: space-between; align-items: center; gap: 12px;
+    margin-bottom: 16px; padding: 8px 12px; border-radius: 6px; background: #f3ece2;
+  }
+  .sheet-toolbar button { font: inherit; padding: 6px 12px; cursor: pointer; }
+  header { display: flex; justify-content: space-between; align-items: flex-end; gap: 16px;
+    border-bottom: 2px solid #c98a4b; padding-bottom: 8px; }
+  header p { margin: 0; color: #8a6a45; letter-spacing: 0.08em; text-transform: uppercase; }
+  header h1 { margin: 2px 0 0; font-size: 24px; text-transform: uppercase; }
+  header .sheet-meta { text-align: right; color: #6b645b; }
+  h2 { margin: 16px 0 6px; font-size: 12px; letter-spacing: 0.08em; text-transform: uppercase;
+    color: #8a6a45; }
+  .sheet-images { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 12px; }
+  figure { margin: 0; break-inside: avoid; }
+  figure img { width: 100%; aspect-ratio: 16 / 10; object-fit: cover; display: block;
+    border: 1px solid #d8cfc2; border-radius: 4px; }
+  figcaption { margin-top: 3px; color: #6b645b; font-size: 10px; }
+  .sheet-facts { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px 14px; margin: 0; }
+  .sheet-facts dt { color: #6b645b; font-size: 9px; letter-spacing: 0.06em;
+    text-transform: uppercase; }
+  .sheet-facts dd { margin: 0; font-weight: 600; }
+  .sheet-edge { display: grid; grid-template-columns: 2fr 1fr; gap: 12px; align-items: center;
+    break-inside: avoid; }
+  .sheet-edge svg { width: 100%; height: auto; border: 1px solid #d8cfc2; border-radius: 4px; }
+  .sheet-snapshot { break-inside: avoid; }
+  .sheet-snapshot img { aspect-ratio: 16 / 9; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5px; }
+  th, td { padding: 3px 4px; border-bottom: 1px solid #e4dccf; text-align: left;
+    vertical-align: top; }
+  th { color: #6b645b; font-weight: 600; text-transform: uppercase; font-size: 8.5px; }
+  .amount { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: 600; }
+  .sheet-total td { font-size: 12px; border-top: 2px solid #c98a4b; border-bottom: 0; }
+  tr { break-inside: avoid; }
+  footer { margin-top: 16px; padding-top: 6px; border-top: 1px solid #d8cfc2; color: #6b645b; }
+  @media print { .sheet-toolbar { display: none; } .sheet { padding: 0; } }
+`;
 const PLACEHOLDER_IMAGE =
   "data:image/svg+xml;charset=UTF-8," +
   encodeURIComponent(
@@ -30,33 +109,133 @@ const slabFieldLabels = {
 
 const slabFieldOrder = Object.keys(slabFieldLabels);
 
+const slabFacets = [
+  { id: "finish", field: "Finish", label: "Finish" },
+  { id: "thickness", field: "Thickness_Nominal", label: "Thickness" },
+  { id: "color", field: "Color_Group", label: "Color Group" },
+  { id: "status", field: "Status", label: "Status" },
+  { id: "lot", field: "Lot", label: "Lot" },
+];
+
+const slabDimensionFilters = [
+  { id: "minLength", field: "Length_Actual", label: "Min Length" },
+  { id: "minWidth", field: "Width_Actual", label: "Min Width" },
+  { id: "minUsableA", field: "UsableA", label: "Min Usable A" },
+  { id: "minUsableB", field: "UsableB", label: "Min Usable B" },
+];
+
+const emptyFacetFilters = { match: "all", values: {}, minimums: {} };
+
+const numericSlabFields = new Set(["Length_Actual", "Width_Actual", "UsableA", "UsableB"]);
+
+const countertopPieceTypes = {
+  run: { label: "Counter run", backsplash: true },
+  lshape: { label: "L-shape", backsplash: true },
+  island: { label: "Island", backsplash: false },
+};
+
+const defaultCountertopPieces = [
+  {
+    id: "piece-1",
+    type: "run",
+    label: "Sink wall",
+    length: 96,
+    legLength: 0,
+    depth: 25.5,
+    splash: 4,
+  },
+];
+
+const cutoutTypes = {
+  undermount: {
+    label: "Undermount sink",
+    width: 30,
+    depth: 16,
+    radius: 1.5,
+    edge: "Polished interior edge",
+  },
+  dropin: {
+    label: "Drop-in sink",
+    width: 31.5,
+    depth: 20,
+    radius: 1,
+    edge: "Saw cut, hidden by sink rim",
+  },
+  cooktop: {
+    label: "Cooktop",
+    width: 34.5,
+    depth: 19.5,
+    radius: 0.25,
+    edge: "Saw cut, hidden by cooktop frame",
+  },
+  faucet: {
+    label: "Faucet hole",
+    width: 1.375,
+    depth: 1.375,
+    round: true,
+    edge: "Core drilled",
+  },
+};
+
+const defaultSlabSizeInches = { length: 126, width: 63 };
+const CUTOUT_MIN_WEB_INCHES = 2;
+
+const slabCornerLabels = ["Top left", "Top right", "Bottom right", "Bottom left"];
+const defaultSlabCorners = [
+  [0.05, 0.05],
+  [0.95, 0.05],
+  [0.95, 0.95],
+  [0.05, 0.95],
+];
+
 const edgeProfiles = [
   {
     id: "eased",
     label: "Eased",
     depthLabel: "Soft 1/8 in eased profile",
     path: "M32 32 H490 V74 Q490 98 466 98 H56 Q32 98 32 74 Z",
+    pricePerFoot: 0,
   },
   {
     id: "bullnose",
     label: "Bullnose",
     depthLabel: "Full rounded bullnose",
     path: "M32 32 H490 V66 C490 90 470 108 446 108 H76 C52 108 32 90 32 66 Z",
+    pricePerFoot: 22,
   },
   {
     id: "beveled",
     label: "Beveled",
     depthLabel: "45 degree beveled edge",
     path: "M32 32 H490 V58 L458 98 H64 L32 58 Z",
+    pricePerFoot: 16,
   },
   {
     id: "ogee",
     label: "Ogee",
     depthLabel: "Decorative ogee contour",
     path: "M32 32 H490 V68 C490 74 478 76 470 80 C460 84 458 94 448 98 H74 C62 94 60 84 50 80 C42 76 32 74 32 68 Z",
+    pricePerFoot: 34,
   },
 ];
 
+const emptyEdgeProfileDraft = {
+  id: "",
+  label: "",
+  format: "points",
+  unit: "in",
+  source: "1.25 0\n1.25 0.9\n1.1 1.15\n0.85 1.25",
+  pricePerFoot: 0,
+  notes: "",
+};
+
+const priceBookRateFields = [
+  ["defaultSlabPrice", "Default $ / slab"],
+  ["fabricationPerSquareFoot", "Fabrication $ / sq ft"],
+  ["edgePerLinearFoot", "Edge $ / lin ft"],
+  ["taxRate", "Tax %"],
+];
+
 function slugify(value) {
   if (!value) {
     return "";
@@ -70,21 +249,263 @@ function slugify(value) {
     .replace(/--+/g, "-");
 }
 
+function facetFiltersFromQuery(query) {
+  const params = new URLSearchParams(query || "");
+  const values = {};
+  const minimums = {};
+
+  slabFacets.forEach((facet) => {
+    const selected = (params.get(facet.id) || "").split("|").filter(Boolean);
+    if (selected.length) {
+      values[facet.id] = selected;
+    }
+  });
+
+  slabDimensionFilters.forEach((filter) => {
+    const minimum = toNumber(params.get(filter.id));
+    if (minimum !== null && minimum > 0) {
+      minimums[filter.id] = minimum;
+    }
+  });
+
+  return { match: params.get("match") === "any" ? "any" : "all", values, minimums };
+}
+
+function facetFiltersToQuery(filters) {
+  const params = new URLSearchParams();
+  slabFacets.forEach((facet) => {
+    const selected = filters.values[facet.id] || [];
+    if (selected.length) {
+      params.set(facet.id, selected.join("|"));
+    }
+  });
+  slabDimensionFilters.forEach((filter) => {
+    if (filters.minimums[filter.id] > 0) {
+      params.set(filter.id, String(filters.minimums[filter.id]));
+    }
+  });
+  if (filters.match === "any" && params.toString()) {
+    params.set("match", "any");
+  }
+  return params.toString();
+}
+
+function hasActiveFacetFilters(filters) {
+  return (
+    slabFacets.some((facet) => (filters.values[facet.id] || []).length > 0) ||
+    slabDimensionFilters.some((filter) => filters.minimums[filter.id] > 0)
+  );
+}
+
+function slabFacetValue(slab, facet) {
+  return String(slab?.[facet.field] ?? "").trim();
+}
+
+function slabMatchesFacetFilters(slab, filters, skipFacetId = "") {
+  const checks = [];
+
+  slabFacets.forEach((facet) => {
+    const selected = filters.values[facet.id] || [];
+    if (facet.id !== skipFacetId && selected.length) {
+      checks.push(selected.includes(slabFacetValue(slab, facet)));
+    }
+  });
+
+  slabDimensionFilters.forEach((filter) => {
+    const minimum = filters.minimums[filter.id];
+    if (minimum > 0) {
+      checks.push((toNumber(slab?.[filter.field]) || 0) >= minimum);
+    }
+  });
+
+  if (!checks.length) {
+    return true;
+  }
+  return filters.match === "any" ? checks.some(Boolean) : checks.every(Boolean);
+}
+
 function parseHashRoute(hash) {
   const clean = String(hash || "").replace(/^#/, "").trim();
   if (!clean) {
     return null;
   }
 
-  const [materialSlug, assetSlug] = clean.split("/");
+  const [path, query] = clean.split("?");
+  const [materialSlug, assetSlug] = path.split("/");
   return {
     materialSlug: materialSlug ? decodeURIComponent(materialSlug) : "",
     assetSlug: assetSlug
       ? decodeURIComponent(assetSlug)
       : decodeURIComponent(materialSlug || ""),
+    filters: facetFiltersFromQuery(query),
+    view: new URLSearchParams(query || "").get("view") === "slabs" ? "slabs" : "products",
+    shortlist: shortlistFromQuery(new URLSearchParams(query || "").get("shortlist")),
   };
 }
 
+function shortlistKey(item) {
+  return item.slabId ? `${item.slug}~${normalizeSlabId(item.slabId)}` : item.slug;
+}
+
+function normalizeShortlist(items) {
+  const seen = new Set();
+  return (Array.isArray(items) ? items : []).reduce((list, item) => {
+    const slug = String(item?.slug || "").trim();
+    if (!slug) {
+      return list;
+    }
+    const entry = {
+      slug,
+      slabId: item.slabId ? String(item.slabId).trim() : null,
+      name: item.name ? String(item.name) : "",
+    };
+    const key = shortlistKey(entry);
+    if (!seen.has(key)) {
+      seen.add(key);
+      list.push(entry);
+    }
+    return list;
+  }, []);
+}
+
+function normalizeEdgeProfileLibrary(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter(
+      (profile) =>
+        typeof profile?.id === "string" &&
+        profile.id.startsWith("custom-") &&
+        typeof profile.label === "string" &&
+        typeof profile.path === "string"
+    )
+    .map((profile) => ({
+      ...profile,
+      custom: true,
+      pricePerFoot: Math.max(0, toNumber(profile.pricePerFoot) || 0),
+    }));
+}
+
+// Prices stay as typed so a cleared field can be edited; quotes read the normalized book.
+function readStoredPriceBook() {
+  const stored = readStoredJson(PRICE_BOOK_STORAGE_KEY, {});
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+function normalizeSavedQuotes(value) {
+  return Array.isArray(value)
+    ? value.filter((quote) => quote?.id && Array.isArray(quote.estimate?.lines))
+    : [];
+}
+
+function shortlistFromQuery(value) {
+  return normalizeShortlist(
+    String(value || "")
+      .split("|")
+      .filter(Boolean)
+      .map((entry) => {
+        const [slug, slabId] = entry.split("~");
+        return { slug, slabId };
+      })
+  );
+}
+
+function shortlistShareUrl(items) {
+  const params = new URLSearchParams();
+  params.set("shortlist", items.map(shortlistKey).join("|"));
+  return `${window.location.origin}${window.location.pathname}#?${params.toString()}`;
+}
+
+function stripShortlistFromHash(hash) {
+  const [path, query] = String(hash || "").replace(/^#/, "").split("?");
+  const params = new URLSearchParams(query || "");
+  params.delete("shortlist");
+  const rest = params.toString();
+  const nextHash = path || rest ? `#${path}${rest ? `?${rest}` : ""}` : "";
+  return `${window.location.pathname}${window.location.search}${nextHash}`;
+}
+
+function requestNativeViewerSnapshot() {
+  if (typeof BroadcastChannel === "undefined") {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const channel = new BroadcastChannel(NATIVE_VIEWER_SNAPSHOT_CHANNEL);
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const finish = (snapshot) => {
+      window.clearTimeout(timeoutId);
+      channel.close();
+      resolve(snapshot);
+    };
+    const timeoutId = window.setTimeout(() => finish(null), NATIVE_VIEWER_SNAPSHOT_TIMEOUT_MS);
+
+    channel.addEventListener("message", (event) => {
+      if (event.data?.type === "snapshot" && event.data.id === id && event.data.dataUrl) {
+        finish(event.data);
+      }
+    });
+    channel.postMessage({ type: "request-snapshot", id });
+  });
+}
+
+function waitForDocumentImages(doc) {
+  return Promise.all(
+    Array.from(doc.images).map((image) =>
+      image.complete
+        ? null
+        : new Promise((resolve) => {
+            image.addEventListener("load", resolve, { once: true });
+            image.addEventListener("error", resolve, { once: true });
+          })
+    )
+  );
+}
+
+// Open the window before any await so pop-up blockers treat it as user initiated.
+function openPrintWindow(label) {
+  const sheetWindow = window.open("", "_blank");
+  sheetWindow?.document.write(`<p>Preparing ${label}...</p>`);
+  return sheetWindow;
+}
+
+function renderDetachedMarkup(element) {
+  const container = document.createElement("div");
+  const root = createRoot(container);
+  try {
+    flushSync(() => root.render(element));
+    if (!container.innerHTML) {
+      throw new Error("the document rendered empty");
+    }
+    return container.innerHTML;
+  } finally {
+    root.unmount();
+  }
+}
+
+function writePrintableSheet(sheetWindow, title, markup) {
+  const doc = sheetWindow.document;
+  doc.open();
+  doc.write(
+    `<!doctype html><html><head><meta charset="utf-8"><style>${SPEC_SHEET_STYLES}</style>` +
+      `</head><body><div class="sheet-toolbar"><span>Choose "Save as PDF" in the print ` +
+      `dialog to download this sheet.</span><button type="button" onclick="window.print()">` +
+      `Print / Save PDF</button></div>${markup}</body></html>`
+  );
+  doc.close();
+  doc.title = title;
+  return doc;
+}
+
+function hashRouteQuery(filters, browseView) {
+  const params = new URLSearchParams(facetFiltersToQuery(filters));
+  if (browseView === "slabs") {
+    params.set("view", "slabs");
+  }
+  return params.toString();
+}
+
 function firstText(value, fallback = "Not listed") {
   if (Array.isArray(value)) {
     const match = value.find((item) => item !== null && item !== undefined && item !== "");
@@ -142,6 +563,32 @@ function normalizeProductPayload(payload, asset) {
   };
 }
 
+async function fetchProduct(asset, signal) {
+  try {
+    const response = await fetch(PRODUCT_ENDPOINT(asset.slug), { signal });
+    if (!response.ok) {
+      throw new Error("Product request failed (" + response.status + ")");
+    }
+
+    const payload = await response.json();
+    return { product: normalizeProductPayload(payload, asset), status: "ready" };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw error;
+    }
+    return { product: normalizeProductPayload({}, asset), status: "error" };
+  }
+}
+
+function withoutLoadingStatus(statusBySlug, slug) {
+  if (statusBySlug[slug] !== "loading") {
+    return statusBySlug;
+  }
+
+  const { [slug]: _aborted, ...rest } = statusBySlug;
+  return rest;
+}
+
 function toNumber(value) {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : null;
@@ -165,463 +612,1676 @@ function formatMeters(value) {
   return `${meters.toFixed(2)} m / ${inches.toFixed(1)} in`;
 }
 
-function formatDate(value) {
-  if (!value) {
-    return "Not listed";
-  }
-
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) {
-    return String(value);
+function slabUsableArea(slab) {
+  const usableA = toNumber(slab?.UsableA);
+  const usableB = toNumber(slab?.UsableB);
+  if (usableA === null || usableB === null || usableA <= 0 || usableB <= 0) {
+    return null;
   }
-
-  return parsed.toLocaleString();
+  return usableA * usableB;
 }
 
-function slabFieldValue(slab, field) {
-  const value = slab[field];
-
-  if (field === "Length_Actual" || field === "Width_Actual") {
-    return formatMeters(value);
-  }
-
-  if (field === "CreationDate") {
-    return formatDate(value);
+function formatSquareMeters(value) {
+  if (value === null || value === undefined) {
+    return "Not listed";
   }
+  return `${value.toFixed(2)} m² / ${(value * 10.7639).toFixed(1)} sq ft`;
+}
 
-  return formatValue(value);
+function formatSquareFeet(squareInches) {
+  return `${(squareInches / SQUARE_INCHES_PER_SQUARE_FOOT).toFixed(1)} sq ft`;
 }
 
-function textureImage(textureId) {
-  return textureId ? "https://slabcloud.com/scdata/textures/1024/" + textureId + ".jpg" : null;
+function formatInches(value) {
+  return `${Number(value.toFixed(2))} in`;
 }
 
-function normalizeSlabId(value) {
-  return String(value || "").trim().toLowerCase();
+function formatPricePerFoot(value) {
+  const price = toNumber(value) || 0;
+  return price > 0 ? `$${price.toFixed(2)} / lin ft` : "Included";
 }
 
-function slabImage(slabId, variant = "thumb") {
-  const normalizedId = normalizeSlabId(slabId);
-  if (!normalizedId) {
+function slabCutSizeInches(slab) {
+  const usableA = toNumber(slab?.UsableA);
+  const usableB = toNumber(slab?.UsableB);
+  const length = usableA > 0 && usableB > 0 ? usableA : toNumber(slab?.Length_Actual);
+  const width = usableA > 0 && usableB > 0 ? usableB : toNumber(slab?.Width_Actual);
+  if (!(length > 0) || !(width > 0)) {
     return null;
   }
+  return {
+    length: Math.max(length, width) * INCHES_PER_METER,
+    width: Math.min(length, width) * INCHES_PER_METER,
+  };
+}
 
-  if (variant === "full") {
-    return "https://slabcloud.com/slabs/" + COMPANY + "/" + normalizedId + ".jpg";
-  }
-
-  return "https://slabcloud.com/slabs/" + COMPANY + "/" + normalizedId + "_thumb.jpg";
+function isSlabAvailable(slab) {
+  return !UNAVAILABLE_SLAB_STATUS.test(String(slab?.Status || ""));
 }
 
-function primarySlabId(asset, product) {
-  const fromProductPrimary = product?.primarySlabId;
-  if (fromProductPrimary) {
-    return fromProductPrimary;
+function countertopPieceParts(piece) {
+  const length = toNumber(piece.length) || 0;
+  const depth = toNumber(piece.depth) || 0;
+  const splash = countertopPieceTypes[piece.type]?.backsplash ? toNumber(piece.splash) || 0 : 0;
+  const name = piece.label || countertopPieceTypes[piece.type]?.label || "Piece";
+  if (length <= 0 || depth <= 0) {
+    return [];
   }
 
-  const preferred = (product?.slabs || []).find(
-    (slab) => slab && slab.SlabID && slab.scColor !== "blank"
-  );
-  if (preferred?.SlabID) {
-    return preferred.SlabID;
+  const parts = [
+    {
+      key: `${piece.id}-top`,
+      pieceId: piece.id,
+      label: name,
+      length,
+      width: depth,
+      kind: "top",
+      seams: { start: false, end: false },
+    },
+  ];
+  let wallRun = length;
+  if (piece.type === "lshape") {
+    // The return leg is measured to the outside corner, so its overlap with the main run
+    // comes off its length.
+    const legLength = toNumber(piece.legLength) || 0;
+    if (legLength > depth) {
+      parts.push({
+        key: `${piece.id}-return`,
+        pieceId: piece.id,
+        label: `${name} return`,
+        length: legLength - depth,
+        width: depth,
+        kind: "top",
+        seams: { start: true, end: false },
+      });
+      wallRun += legLength - depth;
+    }
   }
-
-  if (product?.slabs?.[0]?.SlabID) {
-    return product.slabs[0].SlabID;
+  if (splash > 0) {
+    parts.push({
+      key: `${piece.id}-splash`,
+      pieceId: piece.id,
+      label: `${name} backsplash`,
+      length: wallRun,
+      width: splash,
+      kind: "splash",
+      seams: { start: false, end: false },
+    });
   }
-
-  return asset?.SlabID || null;
+  return parts;
 }
 
-function assetCardImage(asset) {
-  return (
-    textureImage(asset?.textureId) ||
-    slabImage(asset?.SlabID, "thumb") ||
-    slabImage(asset?.SlabID, "full") ||
-    PLACEHOLDER_IMAGE
-  );
+// Wall pieces are finished along the front only, an L-shape along both inside runs; islands are
+// finished all round.
+function countertopFinishedEdgeInches(piece) {
+  const length = toNumber(piece.length) || 0;
+  const depth = toNumber(piece.depth) || 0;
+  if (length <= 0 || depth <= 0) {
+    return 0;
+  }
+  if (piece.type === "island") {
+    return 2 * (length + depth);
+  }
+  const legLength = piece.type === "lshape" ? toNumber(piece.legLength) || 0 : 0;
+  return legLength > depth ? length - depth + (legLength - depth) : length;
 }
 
-function heroImage(asset, product) {
-  const slabId = primarySlabId(asset, product);
-  return (
-    textureImage(product?.textureId || asset?.textureId) ||
-    slabImage(slabId, "full") ||
-    slabImage(slabId, "thumb") ||
-    PLACEHOLDER_IMAGE
-  );
+function seamOversizedParts(parts, maxLength, maxWidth) {
+  return parts.flatMap((part) => {
+    if (part.width > maxWidth || part.length <= maxLength) {
+      return [part];
+    }
+    const segments = Math.ceil(part.length / maxLength);
+    return Array.from({ length: segments }, (_, index) => ({
+      ...part,
+      key: `${part.key}-${index + 1}`,
+      label: `${part.label} (${index + 1}/${segments})`,
+      length: part.length / segments,
+      seamed: true,
+      seams: {
+        start: index > 0 || part.seams.start,
+        end: index < segments - 1 || part.seams.end,
+      },
+    }));
+  });
 }
 
-function threeViewerImage(asset, product) {
-  const slabId = primarySlabId(asset, product);
-  return (
-    slabImage(slabId, "full") ||
-    slabImage(slabId, "thumb") ||
-    textureImage(product?.textureId || asset?.textureId) ||
-    PLACEHOLDER_IMAGE
-  );
-}
+// First-fit decreasing guillotine packing. Each slab keeps a list of free rectangles and
+// every placed part reserves a kerf on its right and bottom edges.
+function packPartsIntoSlabs(parts, slabSizes, kerf = SAW_KERF_INCHES) {
+  const bins = [];
+  const unplaced = [];
+  const ordered = [...parts].sort((a, b) => b.length * b.width - a.length * a.width);
+  const available = slabSizes
+    .map((size, index) => ({ ...size, index }))
+    .sort((a, b) => b.length * b.width - a.length * a.width);
+
+  const tryPlace = (bin, part) => {
+    for (let i = 0; i < bin.free.length; i += 1) {
+      const rect = bin.free[i];
+      const orientations = [
+        [part.length, part.width, false],
+        [part.width, part.length, true],
+      ];
+      for (const [w, h, rotated] of orientations) {
+        if (w > rect.w + 1e-6 || h > rect.h + 1e-6) {
+          continue;
+        }
+        bin.placements.push({ part, x: rect.x, y: rect.y, w, h, rotated });
+        bin.free.splice(i, 1);
+        const usedW = Math.min(rect.w, w + kerf);
+        const usedH = Math.min(rect.h, h + kerf);
+        // Split along the shorter leftover so the larger offcut stays whole.
+        if (rect.w - usedW < rect.h - usedH) {
+          bin.free.push({ x: rect.x + usedW, y: rect.y, w: rect.w - usedW, h: usedH });
+          bin.free.push({ x: rect.x, y: rect.y + usedH, w: rect.w, h: rect.h - usedH });
+        } else {
+          bin.free.push({ x: rect.x + usedW, y: rect.y, w: rect.w - usedW, h: rect.h });
+          bin.free.push({ x: rect.x, y: rect.y + usedH, w: usedW, h: rect.h - usedH });
+        }
+        bin.free = bin.free.filter((free) => free.w > 0.01 && free.h > 0.01);
+        return true;
+      }
+    }
+    return false;
+  };
 
-function slabAspectRatioFromRow(slab) {
-  const length = toNumber(slab?.Length_Actual || slab?.Length_Nominal);
-  const width = toNumber(slab?.Width_Actual || slab?.Width_Nominal);
-  if (length === null || width === null || length <= 0 || width <= 0) {
-    return null;
-  }
+  ordered.forEach((part) => {
+    if (bins.some((bin) => tryPlace(bin, part))) {
+      return;
+    }
+    const next = available.find(
+      (size) =>
+        !bins.some((bin) => bin.slabIndex === size.index) &&
+        ((part.length <= size.length && part.width <= size.width) ||
+          (part.width <= size.length && part.length <= size.width))
+    );
+    if (!next) {
+      unplaced.push(part);
+      return;
+    }
+    const bin = {
+      slabIndex: next.index,
+      length: next.length,
+      width: next.width,
+      placements: [],
+      free: [{ x: 0, y: 0, w: next.length, h: next.width }],
+    };
+    bins.push(bin);
+    tryPlace(bin, part);
+  });
 
-  const longer = Math.max(length, width);
-  const shorter = Math.min(length, width);
-  const aspect = longer / shorter;
-  return Number.isFinite(aspect) && aspect > 0 ? aspect : null;
+  return { bins, unplaced };
 }
 
-function parseThicknessCentimeters(label) {
-  const source = firstText(label, "3cm");
-  const match = source.match(/(\d+(\.\d+)?)/);
-  if (!match) {
-    return 3;
+function estimateCountertopYield(pieces, slabs) {
+  const slabSizes = slabs.map((slab) => (isSlabAvailable(slab) ? slabCutSizeInches(slab) : null));
+  const excludedCount = slabs.filter((slab) => !isSlabAvailable(slab)).length;
+  const usable = slabSizes.filter(Boolean);
+  const rawParts = pieces.flatMap(countertopPieceParts);
+  const topArea = rawParts
+    .filter((part) => part.kind === "top")
+    .reduce((sum, part) => sum + part.length * part.width, 0);
+  const splashArea = rawParts
+    .filter((part) => part.kind === "splash")
+    .reduce((sum, part) => sum + part.length * part.width, 0);
+
+  if (!usable.length) {
+    return {
+      parts: rawParts,
+      topArea,
+      splashArea,
+      slabSizes,
+      excludedCount,
+      bins: [],
+      unplaced: rawParts,
+    };
   }
 
-  const value = Number(match[1]);
-  return Number.isFinite(value) ? value : 3;
+  const maxLength = Math.max(...usable.map((size) => size.length));
+  const maxWidth = Math.max(...usable.map((size) => size.width));
+  const parts = seamOversizedParts(rawParts, maxLength, maxWidth);
+  const indexed = slabSizes.flatMap((size, index) => (size ? [{ ...size, rowIndex: index }] : []));
+  const { bins, unplaced } = packPartsIntoSlabs(parts, indexed);
+  return {
+    parts,
+    topArea,
+    splashArea,
+    slabSizes,
+    excludedCount,
+    bins: bins.map((bin) => ({ ...bin, slabIndex: indexed[bin.slabIndex].rowIndex })),
+    unplaced,
+  };
 }
 
-function medianValue(values) {
-  if (!values.length) {
-    return 0;
+function slabActualSizeInches(slab) {
+  const length = toNumber(slab?.Length_Actual);
+  const width = toNumber(slab?.Width_Actual);
+  if (!(length > 0) || !(width > 0)) {
+    return null;
   }
-
-  const sorted = [...values].sort((a, b) => a - b);
-  return sorted[Math.floor(sorted.length / 2)];
+  return {
+    length: Math.max(length, width) * INCHES_PER_METER,
+    width: Math.min(length, width) * INCHES_PER_METER,
+  };
 }
 
-function estimateBackdropFromCorners(data, width, height) {
-  const size = Math.max(8, Math.floor(Math.min(width, height) * 0.06));
-  const step = Math.max(1, Math.floor(size / 10));
-  const cornerOffsets = [
-    [0, 0],
-    [Math.max(0, width - size), 0],
-    [0, Math.max(0, height - size)],
-    [Math.max(0, width - size), Math.max(0, height - size)],
-  ];
-
-  const reds = [];
-  const greens = [];
-  const blues = [];
+function layoutPartCorners(part, placement, padding = 0) {
+  const radians = (placement.rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const halfLength = part.length / 2 + padding;
+  const halfWidth = part.width / 2 + padding;
+  return [
+    [-halfLength, -halfWidth],
+    [halfLength, -halfWidth],
+    [halfLength, halfWidth],
+    [-halfLength, halfWidth],
+  ].map(([x, y]) => [placement.x + x * cos - y * sin, placement.y + x * sin + y * cos]);
+}
 
-  cornerOffsets.forEach(([offsetX, offsetY]) => {
-    const endX = Math.min(width, offsetX + size);
-    const endY = Math.min(height, offsetY + size);
+// Separating axis test for two convex quads.
+function quadsOverlap(a, b) {
+  return ![a, b].some((quad) =>
+    quad.some((corner, index) => {
+      const next = quad[(index + 1) % quad.length];
+      const axis = [next[1] - corner[1], corner[0] - next[0]];
+      const project = (points) => points.map(([x, y]) => x * axis[0] + y * axis[1]);
+      const rangeA = project(a);
+      const rangeB = project(b);
+      return (
+        Math.max(...rangeA) <= Math.min(...rangeB) + 1e-6 ||
+        Math.max(...rangeB) <= Math.min(...rangeA) + 1e-6
+      );
+    })
+  );
+}
 
-    for (let y = offsetY; y < endY; y += step) {
-      for (let x = offsetX; x < endX; x += step) {
-        const index = (y * width + x) * 4;
-        reds.push(data[index]);
-        greens.push(data[index + 1]);
-        blues.push(data[index + 2]);
-      }
+function slabLayoutIssues(parts, placements, slabId, slabSize, kerf) {
+  const placed = parts.filter((part) => placements[part.key]?.slabId === slabId);
+  const outside = new Set();
+  const overlapping = new Set();
+  const pairs = [];
+
+  placed.forEach((part) => {
+    const corners = layoutPartCorners(part, placements[part.key]);
+    const inside = corners.every(
+      ([x, y]) =>
+        x >= -1e-6 && y >= -1e-6 && x <= slabSize.length + 1e-6 && y <= slabSize.width + 1e-6
+    );
+    if (!inside) {
+      outside.add(part.key);
     }
   });
 
-  const red = medianValue(reds);
-  const green = medianValue(greens);
-  const blue = medianValue(blues);
-
-  const distances = [];
-  for (let i = 0; i < reds.length; i += 1) {
-    const dr = reds[i] - red;
-    const dg = greens[i] - green;
-    const db = blues[i] - blue;
-    distances.push(Math.sqrt(dr * dr + dg * dg + db * db));
+  // Half the kerf on each piece keeps neighbours at least one blade width apart.
+  const padded = placed.map((part) => layoutPartCorners(part, placements[part.key], kerf / 2));
+  for (let i = 0; i < placed.length; i += 1) {
+    for (let j = i + 1; j < placed.length; j += 1) {
+      if (quadsOverlap(padded[i], padded[j])) {
+        overlapping.add(placed[i].key);
+        overlapping.add(placed[j].key);
+        pairs.push([placed[i].key, placed[j].key]);
+      }
+    }
   }
-  distances.sort((a, b) => a - b);
 
-  const p85Index = Math.min(distances.length - 1, Math.floor(distances.length * 0.85));
-  const p85 = distances[p85Index] || 0;
-  const threshold = Math.max(22, Math.min(82, p85 + 16));
+  return { placed, outside, overlapping, pairs };
+}
 
-  return { red, green, blue, threshold };
+function cutoutBounds(cutout) {
+  const round = cutoutTypes[cutout.type]?.round;
+  const width = toNumber(cutout.width) || 0;
+  const depth = round ? width : toNumber(cutout.depth) || 0;
+  return {
+    left: cutout.x - width / 2,
+    right: cutout.x + width / 2,
+    top: cutout.y - depth / 2,
+    bottom: cutout.y + depth / 2,
+    width,
+    depth,
+  };
 }
 
-function trimAndMaskTextureImage(image) {
-  const width =
-    image?.naturalWidth || image?.videoWidth || image?.width || image?.clientWidth || 0;
-  const height =
-    image?.naturalHeight || image?.videoHeight || image?.height || image?.clientHeight || 0;
-  if (!width || !height) {
-    return null;
-  }
+function cutoutFabrication(cutout) {
+  const type = cutoutTypes[cutout.type] || cutoutTypes.undermount;
+  const bounds = cutoutBounds(cutout);
+  const radius = type.round
+    ? bounds.width / 2
+    : Math.min(type.radius || 0, bounds.width / 2, bounds.depth / 2);
+  return {
+    id: cutout.id,
+    type: cutout.type,
+    label: type.label,
+    width: bounds.width,
+    depth: bounds.depth,
+    cornerRadius: radius,
+    centerFromLeft: cutout.x,
+    centerFromTop: cutout.y,
+    edgeFromLeft: bounds.left,
+    edgeFromTop: bounds.top,
+    perimeter: type.round
+      ? Math.PI * bounds.width
+      : 2 * (bounds.width + bounds.depth) - 8 * radius + 2 * Math.PI * radius,
+    edgeWork: type.edge,
+  };
+}
 
-  const sourceCanvas = document.createElement("canvas");
-  sourceCanvas.width = width;
-  sourceCanvas.height = height;
-  const sourceContext = sourceCanvas.getContext("2d", { willReadFrequently: true });
-  if (!sourceContext) {
-    return null;
-  }
+function cutoutIssues(cutouts, slabSize, edgeBand = 0) {
+  const invalid = new Set();
+  const messages = [];
+  const boundsById = new Map(cutouts.map((cutout) => [cutout.id, cutoutBounds(cutout)]));
+  const labelOf = (cutout) => cutoutTypes[cutout.type]?.label || "Cutout";
+
+  cutouts.forEach((cutout, index) => {
+    const bounds = boundsById.get(cutout.id);
+    if (
+      bounds.width <= 0 ||
+      bounds.depth <= 0 ||
+      bounds.left < 0 ||
+      bounds.top < 0 ||
+      bounds.right > slabSize.length ||
+      bounds.bottom > slabSize.width
+    ) {
+      invalid.add(cutout.id);
+      messages.push(`${labelOf(cutout)} ${index + 1} runs off the slab.`);
+      return;
+    }
+    if (bounds.top < edgeBand || bounds.bottom > slabSize.width - edgeBand) {
+      invalid.add(cutout.id);
+      messages.push(`${labelOf(cutout)} ${index + 1} cuts into the profiled edge.`);
+      return;
+    }
 
-  sourceContext.drawImage(image, 0, 0, width, height);
+    cutouts.slice(0, index).forEach((other, otherIndex) => {
+      if (invalid.has(other.id) || invalid.has(cutout.id)) {
+        return;
+      }
+      const otherBounds = boundsById.get(other.id);
+      const gap = Math.max(
+        otherBounds.left - bounds.right,
+        bounds.left - otherBounds.right,
+        otherBounds.top - bounds.bottom,
+        bounds.top - otherBounds.bottom
+      );
+      if (gap <= 0) {
+        invalid.add(cutout.id);
+        messages.push(
+          `${labelOf(cutout)} ${index + 1} overlaps ${labelOf(other)} ${otherIndex + 1}.`
+        );
+      } else if (gap < CUTOUT_MIN_WEB_INCHES) {
+        messages.push(
+          `${labelOf(cutout)} ${index + 1} leaves less than ${CUTOUT_MIN_WEB_INCHES} in of ` +
+            `stone next to ${labelOf(other)} ${otherIndex + 1}.`
+        );
+      }
+    });
+  });
 
-  let imageData;
-  try {
-    imageData = sourceContext.getImageData(0, 0, width, height);
-  } catch {
-    return null;
-  }
+  return { invalid, messages };
+}
 
-  const data = imageData.data;
-  const backdrop = estimateBackdropFromCorners(data, width, height);
-  const thresholdSquared = backdrop.threshold * backdrop.threshold;
+function edgeSectionInset(section) {
+  return Math.max(0, ...section.map((point) => point[0]));
+}
 
-  const totalPixels = width * height;
-  const backgroundMask = new Uint8Array(totalPixels);
-  const visited = new Uint8Array(totalPixels);
-  const queue = new Uint32Array(totalPixels);
-  let queueStart = 0;
-  let queueEnd = 0;
+// The shaped surfaces carry the face texture with V running on over the arris.
+function edgeStripTriangles(section, width, halfH, height, depth, band) {
+  const halfW = width / 2;
+  const surface = { positions: [], normals: [], uvs: [] };
+  const caps = { positions: [], normals: [], uvs: [] };
+  const creaseCos = Math.cos(Math.PI / 5);
+
+  [-1, 1].forEach((side) => {
+    const chain = [
+      [side * (halfH - band), depth / 2],
+      ...section.map(([inset, t]) => [side * (halfH - inset * depth), depth / 2 - t * depth]),
+      [side * (halfH - band), -depth / 2],
+    ].filter(
+      (point, i, all) =>
+        i === 0 || Math.hypot(point[0] - all[i - 1][0], point[1] - all[i - 1][1]) > 1e-9
+    );
+    const contour = chain.map(([y, z]) => new THREE.Vector2(y, z));
+    const outward = THREE.ShapeUtils.isClockWise(contour) ? -1 : 1;
+    const edgeNormals = chain.slice(1).map(([y1, z1], i) => {
+      const [y0, z0] = chain[i];
+      const length = Math.hypot(y1 - y0, z1 - z0) || 1;
+      return [(outward * (z1 - z0)) / length, (-outward * (y1 - y0)) / length];
+    });
+    const vertexNormal = (edge, neighbour) => {
+      const own = edgeNormals[edge];
+      const other = edgeNormals[neighbour];
+      if (!other || own[0] * other[0] + own[1] * other[1] < creaseCos) {
+        return own;
+      }
+      const length = Math.hypot(own[0] + other[0], own[1] + other[1]) || 1;
+      return [(own[0] + other[0]) / length, (own[1] + other[1]) / length];
+    };
 
-  const enqueueIfBackdrop = (x, y) => {
-    const index = y * width + x;
-    if (visited[index]) {
-      return;
-    }
-    visited[index] = 1;
+    let arc = 0;
+    const startV = (side * (halfH - band) + halfH) / height;
+    edgeNormals.forEach((normal, edge) => {
+      const [y0, z0] = chain[edge];
+      const [y1, z1] = chain[edge + 1];
+      const v0 = startV + (side * arc) / height;
+      arc += Math.hypot(y1 - y0, z1 - z0);
+      const v1 = startV + (side * arc) / height;
+      const n0 = vertexNormal(edge, edge - 1);
+      const n1 = vertexNormal(edge, edge + 1);
+      const a0 = [-halfW, y0, z0, n0, 0, v0];
+      const b0 = [-halfW, y1, z1, n1, 0, v1];
+      const a1 = [halfW, y0, z0, n0, 1, v0];
+      const b1 = [halfW, y1, z1, n1, 1, v1];
+      const quad = outward > 0 ? [a0, b0, b1, a0, b1, a1] : [a0, b1, b0, a0, a1, b1];
+      quad.forEach(([x, y, z, [ny, nz], u, v]) => {
+        surface.positions.push(x, y, z);
+        surface.normals.push(0, ny, nz);
+        surface.uvs.push(u, v);
+      });
+    });
 
-    const offset = index * 4;
-    const alpha = data[offset + 3];
-    if (alpha < 8) {
-      backgroundMask[index] = 1;
-      queue[queueEnd] = index;
-      queueEnd += 1;
-      return;
+    THREE.ShapeUtils.triangulateShape(contour, []).forEach((triangle) => {
+      const corners = triangle.map((index) => chain[index]);
+      const [[y0, z0], [y1, z1], [y2, z2]] = corners;
+      const counterClockwise = (y1 - y0) * (z2 - z0) - (z1 - z0) * (y2 - y0) > 0;
+      [-1, 1].forEach((end) => {
+        const ordered = counterClockwise === end > 0 ? corners : [...corners].reverse();
+        ordered.forEach(([y, z]) => {
+          caps.positions.push(end * halfW, y, z);
+          caps.normals.push(end, 0, 0);
+          caps.uvs.push((y + halfH) / height, z / depth + 0.5);
+        });
+      });
+    });
+  });
+
+  return { surface, caps };
+}
+
+function cutoutHolePath(cutout, toFace) {
+  const fabrication = cutoutFabrication(cutout);
+  const [cx, cy] = toFace(cutout.x, cutout.y);
+  const [halfW, halfD] = toFace.scale(fabrication.width / 2, fabrication.depth / 2);
+  const path = new THREE.Path();
+  if (cutoutTypes[cutout.type]?.round) {
+    path.absellipse(cx, cy, halfW, halfD, 0, Math.PI * 2, false, 0);
+    return path;
+  }
+
+  const [rx, ry] = toFace.scale(fabrication.cornerRadius, fabrication.cornerRadius);
+  const r = Math.min(rx, ry);
+  path.moveTo(cx - halfW + r, cy - halfD);
+  path.lineTo(cx + halfW - r, cy - halfD);
+  path.absarc(cx + halfW - r, cy - halfD + r, r, -Math.PI / 2, 0, false);
+  path.lineTo(cx + halfW, cy + halfD - r);
+  path.absarc(cx + halfW - r, cy + halfD - r, r, 0, Math.PI / 2, false);
+  path.lineTo(cx - halfW + r, cy + halfD);
+  path.absarc(cx - halfW + r, cy + halfD - r, r, Math.PI / 2, Math.PI, false);
+  path.lineTo(cx - halfW, cy - halfD + r);
+  path.absarc(cx - halfW + r, cy - halfD + r, r, Math.PI, Math.PI * 1.5, false);
+  return path;
+}
+
+// Extrudes the slab face with cutout holes. Groups: 0 = top/bottom faces, 1 = outer edges,
+// 2 = cutout walls, so hole walls can stay visible when the alpha-masked slab edges are hidden.
+function buildCutoutSlabGeometry(width, height, depth, cutouts, slabSize, edgeSection = null) {
+  const halfW = width / 2;
+  const halfH = height / 2;
+  const band = edgeSection ? Math.min(edgeSectionInset(edgeSection) * depth, height / 4) : 0;
+  const bodyHalfH = halfH - band;
+  const sx = width / slabSize.length;
+  const sy = height / slabSize.width;
+  const toFace = (x, y) => [-halfW + x * sx, halfH - y * sy];
+  toFace.scale = (x, y) => [x * sx, y * sy];
+
+  const shape = new THREE.Shape();
+  shape.moveTo(-halfW, -bodyHalfH);
+  shape.lineTo(halfW, -bodyHalfH);
+  shape.lineTo(halfW, bodyHalfH);
+  shape.lineTo(-halfW, bodyHalfH);
+  shape.closePath();
+  cutouts
+    .filter((cutout) => {
+      const bounds = cutoutBounds(cutout);
+      return bounds.top * sy >= band && (slabSize.width - bounds.bottom) * sy >= band;
+    })
+    .forEach((cutout) => shape.holes.push(cutoutHolePath(cutout, toFace)));
+
+  const extruded = new THREE.ExtrudeGeometry(shape, {
+    depth,
+    bevelEnabled: false,
+    curveSegments: 12,
+  });
+  extruded.translate(0, 0, -depth / 2);
+
+  const position = extruded.getAttribute("position");
+  const capGroup = extruded.groups.find((group) => group.materialIndex === 0);
+  const capEnd = capGroup ? capGroup.start + capGroup.count : 0;
+  const epsilon = 1e-5;
+  const allCorners = (start, test) => [0, 1, 2].every((corner) => test(start + corner));
+  const onEndWall = (index) => Math.abs(Math.abs(position.getX(index)) - halfW) < epsilon;
+  const onSideWall = (index) => Math.abs(Math.abs(position.getY(index)) - bodyHalfH) < epsilon;
+
+  const triangles = { caps: [], outer: [], holes: [] };
+  for (let start = 0; start < position.count; start += 3) {
+    if (start < capEnd) {
+      triangles.caps.push(start);
+    } else if (allCorners(start, onEndWall)) {
+      triangles.outer.push(start);
+    } else if (allCorners(start, onSideWall)) {
+      if (!band) {
+        triangles.outer.push(start);
+      }
+    } else {
+      triangles.holes.push(start);
     }
+  }
 
-    const dr = data[offset] - backdrop.red;
-    const dg = data[offset + 1] - backdrop.green;
-    const db = data[offset + 2] - backdrop.blue;
-    const distanceSquared = dr * dr + dg * dg + db * db;
-    if (distanceSquared <= thresholdSquared) {
-      backgroundMask[index] = 1;
-      queue[queueEnd] = index;
-      queueEnd += 1;
+  const ordered = [...triangles.caps, ...triangles.outer, ...triangles.holes];
+  const body = new THREE.BufferGeometry();
+  const bodyPositions = new Float32Array(ordered.length * 9);
+  const bodyUvs = new Float32Array(ordered.length * 6);
+  ordered.forEach((start, triangle) => {
+    for (let corner = 0; corner < 3; corner += 1) {
+      const x = position.getX(start + corner);
+      const y = position.getY(start + corner);
+      const offset = triangle * 3 + corner;
+      bodyPositions.set([x, y, position.getZ(start + corner)], offset * 3);
+      // Face UVs span the whole slab so the cover-fitted photo lines up as it did on the box.
+      bodyUvs.set([(x + halfW) / width, (y + halfH) / height], offset * 2);
     }
-  };
+  });
+  extruded.dispose();
+  body.setAttribute("position", new THREE.BufferAttribute(bodyPositions, 3));
+  body.computeVertexNormals();
+
+  const strips = band
+    ? edgeStripTriangles(edgeSection, width, halfH, height, depth, band)
+    : null;
+  const capCount = triangles.caps.length * 3;
+  const outerCount = triangles.outer.length * 3;
+  const bodyNormals = body.getAttribute("normal").array;
+  const slices = (array, stride, from, to) => array.slice(from * stride, to * stride);
+  const pieces = [
+    [0, capCount, strips?.surface],
+    [capCount, capCount + outerCount, strips?.caps],
+    [capCount + outerCount, ordered.length * 3, null],
+  ];
+
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const geometry = new THREE.BufferGeometry();
+  let groupStart = 0;
+  pieces.forEach(([from, to, extra], materialIndex) => {
+    positions.push(...slices(bodyPositions, 3, from, to), ...(extra?.positions || []));
+    normals.push(...slices(bodyNormals, 3, from, to), ...(extra?.normals || []));
+    uvs.push(...slices(bodyUvs, 2, from, to), ...(extra?.uvs || []));
+    const groupEnd = positions.length / 3;
+    geometry.addGroup(groupStart, groupEnd - groupStart, materialIndex);
+    groupStart = groupEnd;
+  });
+  body.dispose();
+
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  return geometry;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function loadCrossOriginImage(url) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
 
-  for (let x = 0; x < width; x += 1) {
-    enqueueIfBackdrop(x, 0);
-    enqueueIfBackdrop(x, height - 1);
+function formatDate(value) {
+  if (!value) {
+    return "Not listed";
   }
 
-  for (let y = 0; y < height; y += 1) {
-    enqueueIfBackdrop(0, y);
-    enqueueIfBackdrop(width - 1, y);
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    return String(value);
   }
 
-  while (queueStart < queueEnd) {
-    const index = queue[queueStart];
-    queueStart += 1;
+  return parsed.toLocaleString();
+}
+
+function slabSortValue(slab, field) {
+  const value = slab?.[field];
+  if (numericSlabFields.has(field)) {
+    return toNumber(value);
+  }
+  if (field === "CreationDate") {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  const text = String(value ?? "").trim();
+  return text || null;
+}
 
-    const x = index % width;
-    const y = Math.floor(index / width);
-    if (x > 0) {
-      enqueueIfBackdrop(x - 1, y);
-    }
-    if (x < width - 1) {
-      enqueueIfBackdrop(x + 1, y);
-    }
-    if (y > 0) {
-      enqueueIfBackdrop(x, y - 1);
-    }
-    if (y < height - 1) {
-      enqueueIfBackdrop(x, y + 1);
-    }
+function compareSlabRows(a, b, sort) {
+  const left = slabSortValue(a.slab, sort.field);
+  const right = slabSortValue(b.slab, sort.field);
+  if (left === null || right === null) {
+    return left === right ? 0 : left === null ? 1 : -1;
   }
+  const order =
+    typeof left === "number"
+      ? left - right
+      : left.localeCompare(right, undefined, { numeric: true, sensitivity: "base" });
+  return sort.direction === "desc" ? -order : order;
+}
 
-  let minX = width;
-  let minY = height;
-  let maxX = -1;
-  let maxY = -1;
-  let foregroundCount = 0;
+function slabFieldValue(slab, field) {
+  const value = slab[field];
 
-  for (let index = 0; index < totalPixels; index += 1) {
-    if (backgroundMask[index]) {
-      continue;
-    }
+  if (field === "Length_Actual" || field === "Width_Actual") {
+    return formatMeters(value);
+  }
 
-    foregroundCount += 1;
-    const x = index % width;
-    const y = Math.floor(index / width);
-    if (x < minX) {
-      minX = x;
-    }
-    if (x > maxX) {
-      maxX = x;
-    }
-    if (y < minY) {
-      minY = y;
-    }
-    if (y > maxY) {
-      maxY = y;
-    }
+  if (field === "CreationDate") {
+    return formatDate(value);
   }
 
-  if (foregroundCount === 0) {
+  return formatValue(value);
+}
+
+function textureImage(textureId) {
+  return textureId ? "https://slabcloud.com/scdata/textures/1024/" + textureId + ".jpg" : null;
+}
+
+function normalizeSlabId(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function slabImage(slabId, variant = "thumb") {
+  const normalizedId = normalizeSlabId(slabId);
+  if (!normalizedId) {
     return null;
   }
 
-  const foregroundRatio = foregroundCount / totalPixels;
-  if (foregroundRatio < 0.04) {
-    return null;
+  if (variant === "full") {
+    return "https://slabcloud.com/slabs/" + COMPANY + "/" + normalizedId + ".jpg";
   }
 
-  const padding = Math.max(2, Math.floor(Math.min(width, height) * 0.01));
-  minX = Math.max(0, minX - padding);
-  minY = Math.max(0, minY - padding);
-  maxX = Math.min(width - 1, maxX + padding);
-  maxY = Math.min(height - 1, maxY + padding);
+  return "https://slabcloud.com/slabs/" + COMPANY + "/" + normalizedId + "_thumb.jpg";
+}
 
-  const cropWidth = maxX - minX + 1;
-  const cropHeight = maxY - minY + 1;
-  if (cropWidth < 8 || cropHeight < 8) {
-    return null;
+function primarySlabId(asset, product) {
+  const fromProductPrimary = product?.primarySlabId;
+  if (fromProductPrimary) {
+    return fromProductPrimary;
   }
 
-  const colorCanvas = document.createElement("canvas");
-  colorCanvas.width = cropWidth;
-  colorCanvas.height = cropHeight;
-  const colorContext = colorCanvas.getContext("2d");
-  if (!colorContext) {
-    return null;
+  const preferred = (product?.slabs || []).find(
+    (slab) => slab && slab.SlabID && slab.scColor !== "blank"
+  );
+  if (preferred?.SlabID) {
+    return preferred.SlabID;
+  }
+
+  if (product?.slabs?.[0]?.SlabID) {
+    return product.slabs[0].SlabID;
   }
-  colorContext.drawImage(
-    sourceCanvas,
-    minX,
-    minY,
-    cropWidth,
-    cropHeight,
-    0,
-    0,
-    cropWidth,
-    cropHeight
+
+  return asset?.SlabID || null;
+}
+
+function assetCardImage(asset) {
+  return (
+    textureImage(asset?.textureId) ||
+    slabImage(asset?.SlabID, "thumb") ||
+    slabImage(asset?.SlabID, "full") ||
+    PLACEHOLDER_IMAGE
+  );
+}
+
+function heroImage(asset, product, preferredSlabId = null) {
+  const slabId = primarySlabId(asset, product);
+  return (
+    slabImage(preferredSlabId, "full") ||
+    textureImage(product?.textureId || asset?.textureId) ||
+    slabImage(slabId, "full") ||
+    slabImage(slabId, "thumb") ||
+    PLACEHOLDER_IMAGE
+  );
+}
+
+function threeViewerImage(asset, product) {
+  const slabId = primarySlabId(asset, product);
+  return (
+    slabImage(slabId, "full") ||
+    slabImage(slabId, "thumb") ||
+    textureImage(product?.textureId || asset?.textureId) ||
+    PLACEHOLDER_IMAGE
   );
+}
 
-  const alphaCanvas = document.createElement("canvas");
-  alphaCanvas.width = cropWidth;
-  alphaCanvas.height = cropHeight;
-  const alphaContext = alphaCanvas.getContext("2d");
-  if (!alphaContext) {
+function slabAspectRatioFromRow(slab) {
+  const length = toNumber(slab?.Length_Actual || slab?.Length_Nominal);
+  const width = toNumber(slab?.Width_Actual || slab?.Width_Nominal);
+  if (length === null || width === null || length <= 0 || width <= 0) {
     return null;
   }
 
-  const alphaImage = alphaContext.createImageData(cropWidth, cropHeight);
-  const alphaData = alphaImage.data;
-  let alphaForegroundCount = 0;
+  const longer = Math.max(length, width);
+  const shorter = Math.min(length, width);
+  const aspect = longer / shorter;
+  return Number.isFinite(aspect) && aspect > 0 ? aspect : null;
+}
 
-  for (let y = 0; y < cropHeight; y += 1) {
-    for (let x = 0; x < cropWidth; x += 1) {
-      const sourceIndex = (y + minY) * width + (x + minX);
-      const alphaValue = backgroundMask[sourceIndex] ? 0 : 255;
-      if (alphaValue === 255) {
-        alphaForegroundCount += 1;
-      }
-      const targetOffset = (y * cropWidth + x) * 4;
-      alphaData[targetOffset] = alphaValue;
-      alphaData[targetOffset + 1] = alphaValue;
-      alphaData[targetOffset + 2] = alphaValue;
-      alphaData[targetOffset + 3] = 255;
-    }
+function parseThicknessCentimeters(label) {
+  const source = firstText(label, "3cm");
+  const match = source.match(/(\d+(\.\d+)?)/);
+  if (!match) {
+    return 3;
   }
 
-  alphaContext.putImageData(alphaImage, 0, 0);
+  const value = Number(match[1]);
+  return Number.isFinite(value) ? value : 3;
+}
 
-  const cropAreaRatio = (cropWidth * cropHeight) / totalPixels;
-  const alphaCoverage = alphaForegroundCount / (cropWidth * cropHeight);
-  const hasUsefulMask = alphaCoverage < 0.999 || cropAreaRatio < 0.999;
+function SlabFacetSidebar({ filters, facetCounts, loadedCount, totalCount, onChange }) {
+  const toggleValue = (facetId, value) => {
+    const selected = filters.values[facetId] || [];
+    const nextSelected = selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : [...selected, value];
+    onChange({ ...filters, values: { ...filters.values, [facetId]: nextSelected } });
+  };
 
-  return {
-    colorCanvas,
-    alphaCanvas: hasUsefulMask ? alphaCanvas : null,
-    aspect: cropWidth / cropHeight,
+  const setMinimum = (filterId, rawValue) => {
+    const minimum = toNumber(rawValue);
+    const minimums = { ...filters.minimums };
+    if (minimum !== null && minimum > 0) {
+      minimums[filterId] = minimum;
+    } else {
+      delete minimums[filterId];
+    }
+    onChange({ ...filters, minimums });
   };
-}
 
-function AssetCard({ asset, isActive, onSelect, delayIndex }) {
-  const slabCount = toNumber(asset.count);
+  return (
+    <aside className="facet-sidebar" aria-label="Slab filters">
+      <div className="facet-header">
+        <h2>Slab Filters</h2>
+        <button
+          type="button"
+          className="facet-clear"
+          disabled={!hasActiveFacetFilters(filters)}
+          onClick={() => onChange({ ...emptyFacetFilters, match: filters.match })}
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="facet-match" role="radiogroup" aria-label="Combine filters">
+        {[
+          ["all", "Match all"],
+          ["any", "Match any"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={filters.match === value}
+            className={filters.match === value ? "is-active" : ""}
+            onClick={() => onChange({ ...filters, match: value })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loadedCount < totalCount && (
+        <p className="facet-progress">
+          Loading slab rows: {loadedCount} of {totalCount} assets
+        </p>
+      )}
+
+      {slabFacets.map((facet) => {
+        const options = facetCounts[facet.id] || [];
+        const selected = filters.values[facet.id] || [];
+        return (
+          <fieldset key={facet.id} className="facet-group">
+            <legend>{facet.label}</legend>
+            {options.length === 0 && <p className="facet-empty">No values yet</p>}
+            {options.map(({ value, count }) => (
+              <label
+                key={value}
+                className={`facet-option ${
+                  count === 0 && !selected.includes(value) ? "is-empty" : ""
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.includes(value)}
+                  onChange={() => toggleValue(facet.id, value)}
+                />
+                <span>{value}</span>
+                <span className="facet-count">{count}</span>
+              </label>
+            ))}
+          </fieldset>
+        );
+      })}
+
+      <fieldset className="facet-group">
+        <legend>Minimum Dimensions (m)</legend>
+        {slabDimensionFilters.map((filter) => (
+          <label key={filter.id} className="facet-minimum">
+            <span>{filter.label}</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              inputMode="decimal"
+              value={filters.minimums[filter.id] ?? ""}
+              onChange={(event) => setMinimum(filter.id, event.target.value)}
+            />
+          </label>
+        ))}
+      </fieldset>
+    </aside>
+  );
+}
 
+function ShortlistToggle({ active, label, onToggle, className = "" }) {
   return (
     <button
       type="button"
-      className={`asset-card ${isActive ? "is-active" : ""}`}
-      style={{ "--delay": `${Math.min(delayIndex, 20) * 45}ms` }}
-      onClick={onSelect}
+      className={`shortlist-toggle ${active ? "is-active" : ""} ${className}`}
+      aria-pressed={active}
+      aria-label={active ? `Remove ${label} from shortlist` : `Add ${label} to shortlist`}
+      title={active ? "Remove from shortlist" : "Add to shortlist"}
+      onClick={(event) => {
+        event.stopPropagation();
+        onToggle();
+      }}
     >
-      <div className="asset-media">
-        <img
-          loading="lazy"
-          src={assetCardImage(asset)}
-          alt={`${asset.Name} sample`}
-          onError={(event) => {
-            event.currentTarget.src = PLACEHOLDER_IMAGE;
-          }}
-        />
-      </div>
-      <div className="asset-content">
-        <p className="asset-material">{asset.Material || "Material not listed"}</p>
-        <h3>{asset.Name || "Unnamed Asset"}</h3>
-        <div className="asset-meta">
-          <span>{slabCount !== null ? `${slabCount} slabs` : "Count unavailable"}</span>
-          <span>{asset.slug || "no-slug"}</span>
-        </div>
-      </div>
+      {active ? "★" : "☆"}
     </button>
   );
 }
 
-function RoomVisualizer({ assetName, textureId }) {
-  const nativeViewerQuery = new URLSearchParams({
-    company: COMPANY,
-    scene: "oceanview01",
-  });
-
-  if (textureId) {
-    nativeViewerQuery.set("counteroptexture", textureId);
-  }
-
-  const nativeViewerHref = `/native-viewer/?${nativeViewerQuery.toString()}`;
+function ShortlistPanel({
+  items,
+  inventory,
+  compareKeys,
+  onToggleCompare,
+  onCompare,
+  onOpen,
+  onRemove,
+  onClear,
+}) {
+  const [copyState, setCopyState] = useState("");
+
+  const copyShareLink = async () => {
+    const url = shortlistShareUrl(items);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopyState("Link copied");
+    } catch {
+      window.prompt("Copy this shortlist link", url);
+      setCopyState("");
+    }
+  };
 
   return (
-    <div className="tool-stage coming-soon-stage">
-      <div className="coming-soon-body">
-        <p className="coming-soon-title">Coming Soon</p>
-        <p className="coming-soon-subtitle">
-          Native visualizer module for {assetName}
-        </p>
-        <a
-          className="native-viewer-link"
-          href={nativeViewerHref}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Open Fullscreen Native Viewer
-        </a>
+    <section className="shortlist-panel" aria-label="Shortlist">
+      <div className="shortlist-header">
+        <h2>Shortlist ({items.length})</h2>
+        <div className="shortlist-actions">
+          {copyState && <span>{copyState}</span>}
+          <button
+            type="button"
+            className="close-button"
+            disabled={compareKeys.length < COMPARE_MIN_ITEMS}
+            title={`Tick ${COMPARE_MIN_ITEMS} to ${COMPARE_MAX_ITEMS} items to compare`}
+            onClick={onCompare}
+          >
+            Compare ({compareKeys.length})
+          </button>
+          <button
+            type="button"
+            className="close-button"
+            disabled={items.length === 0}
+            onClick={copyShareLink}
+          >
+            Copy share link
+          </button>
+          <button
+            type="button"
+            className="close-button"
+            disabled={items.length === 0}
+            onClick={onClear}
+          >
+            Clear
+          </button>
+        </div>
       </div>
-      <p className="tool-caption">Visualizer module is in progress.</p>
-    </div>
+
+      {items.length === 0 && (
+        <p className="state-note">
+          Star products or individual slabs to collect them here. The list is saved on this
+          device.
+        </p>
+      )}
+
+      <ul className="shortlist-items">
+        {items.map((item) => {
+          const asset = inventory.find((entry) => entry.slug === item.slug);
+          const name = asset?.Name || item.name || item.slug;
+          const key = shortlistKey(item);
+          const inCompare = compareKeys.includes(key);
+          return (
+            <li key={key}>
+              <input
+                type="checkbox"
+                aria-label={`Compare ${name}`}
+                checked={inCompare}
+                disabled={!inCompare && compareKeys.length >= COMPARE_MAX_ITEMS}
+                onChange={() => onToggleCompare(key)}
+              />
+              <img
+                loading="lazy"
+                src={
+                  (item.slabId ? slabImage(item.slabId, "thumb") : assetCardImage(asset)) ||
+                  PLACEHOLDER_IMAGE
+                }
+                alt={`${name} sample`}
+                onError={(event) => {
+                  event.currentTarget.src = PLACEHOLDER_IMAGE;
+                }}
+              />
+              <button
+                type="button"
+                className="shortlist-open"
+                disabled={!asset}
+                onClick={() => onOpen(item)}
+              >
+                <strong>{name}</strong>
+                <span>{item.slabId ? `Slab ${item.slabId}` : "Product"}</span>
+              </button>
+              <button
+                type="button"
+                className="shortlist-remove"
+                aria-label={`Remove ${name} from shortlist`}
+                onClick={() => onRemove(item)}
+              >
+                ×
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
   );
 }
 
-function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
-  const canvasRef = useRef(null);
+function compareRowsForColumns(columns) {
+  const fieldRows = slabFieldOrder.map((field) => ({
+    id: field,
+    label: slabFieldLabels[field],
+    values: columns.map((column) => (column.slab ? slabFieldValue(column.slab, field) : null)),
+    numbers: numericSlabFields.has(field)
+      ? columns.map((column) => toNumber(column.slab?.[field]))
+      : null,
+  }));
+  const areas = columns.map((column) => slabUsableArea(column.slab));
+  const rows = [
+    ...fieldRows,
+    {
+      id: "usableArea",
+      label: "Usable Area",
+      values: areas.map((area, index) => (columns[index].slab ? formatSquareMeters(area) : null)),
+      numbers: areas,
+    },
+  ];
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) {
-      return undefined;
-    }
+  return rows.map((row) => {
+    const known = row.values.filter((value) => value !== null);
+    const best = row.numbers
+      ? Math.max(...row.numbers.filter((value) => value !== null), -Infinity)
+      : null;
+    return {
+      ...row,
+      differs: new Set(known).size > 1,
+      bestIndexes: row.numbers
+        ? row.numbers.flatMap((value, index) => (value !== null && value === best ? [index] : []))
+        : [],
+    };
+  });
+}
 
-    const renderer = new THREE.WebGLRenderer({
-      canvas,
-      antialias: true,
+function SlabComparePanel({ columns, onClose }) {
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const rows = compareRowsForColumns(columns);
+  const visibleRows = differencesOnly ? rows.filter((row) => row.differs) : rows;
+
+  return (
+    <section className="compare-panel" aria-label="Slab comparison">
+      <div className="shortlist-header">
+        <h2>Compare ({columns.length})</h2>
+        <div className="shortlist-actions">
+          <label className="compare-differences">
+            <input
+              type="checkbox"
+              checked={differencesOnly}
+              onChange={(event) => setDifferencesOnly(event.target.checked)}
+            />
+            Only differences
+          </label>
+          <button type="button" className="close-button" onClick={onClose}>
+            Close compare
+          </button>
+        </div>
+      </div>
+
+      <div className="compare-scroll">
+        <table className="compare-table" style={{ "--compare-columns": columns.length }}>
+          <thead>
+            <tr>
+              <th scope="col">
+                <span className="visually-hidden">Field</span>
+              </th>
+              {columns.map((column) => (
+                <th key={column.key} scope="col">
+                  <img
+                    src={column.image}
+                    alt={`${column.name} hero`}
+                    onError={(event) => {
+                      event.currentTarget.src = PLACEHOLDER_IMAGE;
+                    }}
+                  />
+                  <strong>{column.name}</strong>
+                  <span>{column.caption}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => (
+              <tr key={row.id} className={row.differs ? "is-different" : ""}>
+                <th scope="row">{row.label}</th>
+                {row.values.map((value, index) => (
+                  <td
+                    key={columns[index].key}
+                    className={row.differs && row.bestIndexes.includes(index) ? "is-best" : ""}
+                  >
+                    {value ?? columns[index].status}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {differencesOnly && visibleRows.length === 0 && (
+        <p className="state-note">These selections match on every listed field.</p>
+      )}
+    </section>
+  );
+}
+
+function SlabTable({ rows, selectedSlabId, pendingCount, onSelect, isShortlisted, onShortlist }) {
+  const [sort, setSort] = useState({ field: "InventoryID", direction: "asc" });
+  const [query, setQuery] = useState("");
+  const [visibleCount, setVisibleCount] = useState(SLAB_TABLE_PAGE_SIZE);
+
+  const sortedRows = useMemo(() => {
+    const normalizedQuery = query.trim().toLowerCase();
+    const matches = normalizedQuery
+      ? rows.filter((row) =>
+          [row.asset.Name, row.asset.Material, ...slabFieldOrder.map((field) => row.slab[field])]
+            .filter((value) => value !== null && value !== undefined)
+            .join(" ")
+            .toLowerCase()
+            .includes(normalizedQuery)
+        )
+      : rows;
+    return [...matches].sort((a, b) => compareSlabRows(a, b, sort));
+  }, [rows, query, sort]);
+
+  useEffect(() => {
+    setVisibleCount(SLAB_TABLE_PAGE_SIZE);
+  }, [query, sort, rows]);
+
+  const toggleSort = (field) => {
+    setSort((current) =>
+      current.field === field
+        ? { field, direction: current.direction === "asc" ? "desc" : "asc" }
+        : { field, direction: "asc" }
+    );
+  };
+
+  const normalizedSelectedId = normalizeSlabId(selectedSlabId);
+
+  return (
+    <div className="slab-table-shell">
+      <div className="slab-table-toolbar">
+        <input
+          type="search"
+          placeholder="Filter slabs by lot, rack, ID, or any column"
+          aria-label="Filter slab rows"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <span>
+          {sortedRows.length} of {rows.length} slabs
+          {pendingCount > 0 ? ` · loading ${pendingCount} more assets` : ""}
+        </span>
+      </div>
+
+      <div className="slab-table-scroll">
+        <table className="slab-table">
+          <thead>
+            <tr>
+              <th scope="col">
+                <span className="visually-hidden">Shortlist</span>
+              </th>
+              <th scope="col">Photo</th>
+              <th scope="col">Product</th>
+              {slabFieldOrder.map((field) => (
+                <th
+                  key={field}
+                  scope="col"
+                  aria-sort={
+                    sort.field === field
+                      ? sort.direction === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                >
+                  <button type="button" onClick={() => toggleSort(field)}>
+                    {slabFieldLabels[field]}
+                    {sort.field === field ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.slice(0, visibleCount).map(({ asset, slab, key }) => (
+              <tr
+                key={key}
+                className={
+                  normalizedSelectedId && normalizeSlabId(slab.SlabID) === normalizedSelectedId
+                    ? "is-active"
+                    : ""
+                }
+                onClick={() => onSelect(asset, slab)}
+              >
+                <td>
+                  <ShortlistToggle
+                    active={isShortlisted(asset, slab)}
+                    label={`slab ${formatValue(slab.SlabID)}`}
+                    onToggle={() => onShortlist(asset, slab)}
+                  />
+                </td>
+                <td>
+                  <img
+                    loading="lazy"
+                    src={slabImage(slab.SlabID, "thumb") || PLACEHOLDER_IMAGE}
+                    alt={`Slab ${formatValue(slab.SlabID)}`}
+                    onError={(event) => {
+                      event.currentTarget.src = PLACEHOLDER_IMAGE;
+                    }}
+                  />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="slab-table-product"
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      onSelect(asset, slab);
+                    }}
+                  >
+                    {asset.Name || "Unnamed Asset"}
+                  </button>
+                </td>
+                {slabFieldOrder.map((field) => (
+                  <td key={field}>{slabFieldValue(slab, field)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {sortedRows.length === 0 && <p className="state-note">No slab rows match.</p>}
+      {sortedRows.length > visibleCount && (
+        <button
+          type="button"
+          className="slab-table-more"
+          onClick={() => setVisibleCount((count) => count + SLAB_TABLE_PAGE_SIZE)}
+        >
+          Show {Math.min(SLAB_TABLE_PAGE_SIZE, sortedRows.length - visibleCount)} more rows
+        </button>
+      )}
+    </div>
+  );
+}
+
+function AssetCard({ asset, isActive, onSelect, delayIndex, isShortlisted, onShortlist }) {
+  const slabCount = toNumber(asset.count);
+
+  return (
+    <div className="asset-card-shell">
+      <ShortlistToggle
+        active={isShortlisted}
+        label={asset.Name || "this asset"}
+        className="asset-card-star"
+        onToggle={onShortlist}
+      />
+      <button
+        type="button"
+        className={`asset-card ${isActive ? "is-active" : ""}`}
+        style={{ "--delay": `${Math.min(delayIndex, 20) * 45}ms` }}
+        onClick={onSelect}
+      >
+        <div className="asset-media">
+          <img
+            loading="lazy"
+            src={assetCardImage(asset)}
+            alt={`${asset.Name} sample`}
+            onError={(event) => {
+              event.currentTarget.src = PLACEHOLDER_IMAGE;
+            }}
+          />
+        </div>
+        <div className="asset-content">
+          <p className="asset-material">{asset.Material || "Material not listed"}</p>
+          <h3>{asset.Name || "Unnamed Asset"}</h3>
+          <div className="asset-meta">
+            <span>{slabCount !== null ? `${slabCount} slabs` : "Count unavailable"}</span>
+            <span>{asset.slug || "no-slug"}</span>
+          </div>
+        </div>
+      </button>
+    </div>
+  );
+}
+
+function RoomVisualizer({ assetName, textureId, slab }) {
+  const nativeViewerQuery = new URLSearchParams({
+    company: COMPANY,
+    scene: "oceanview01",
+  });
+
+  if (textureId) {
+    nativeViewerQuery.set("counteroptexture", textureId);
+  }
+
+  const slabLength = toNumber(slab?.Length_Actual);
+  const slabWidth = toNumber(slab?.Width_Actual);
+  if (textureId && slabLength > 0 && slabWidth > 0) {
+    nativeViewerQuery.set("slablength", String(slabLength));
+    nativeViewerQuery.set("slabwidth", String(slabWidth));
+  }
+
+  if (textureId && slab?.Finish) {
+    nativeViewerQuery.set("finish", String(slab.Finish));
+  }
+
+  const nativeViewerHref = `/native-viewer/?${nativeViewerQuery.toString()}`;
+
+  return (
+    <div className="tool-stage coming-soon-stage">
+      <div className="coming-soon-body">
+        <p className="coming-soon-title">Coming Soon</p>
+        <p className="coming-soon-subtitle">
+          Native visualizer module for {assetName}
+        </p>
+        <a
+          className="native-viewer-link"
+          href={nativeViewerHref}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          Open Fullscreen Native Viewer
+        </a>
+      </div>
+      <p className="tool-caption">Visualizer module is in progress.</p>
+    </div>
+  );
+}
+
+function SlabCornerEditor({ imageUrl, initialCorners, onApply, onAuto, onCancel }) {
+  const frameRef = useRef(null);
+  const [corners, setCorners] = useState(() => initialCorners || defaultSlabCorners);
+  const [dragIndex, setDragIndex] = useState(-1);
+  const clampUnit = (value) => Math.min(Math.max(value, 0), 1);
+
+  const moveCorner = (index, x, y) => {
+    setCorners((current) =>
+      current.map((corner, cornerIndex) =>
+        cornerIndex === index ? [clampUnit(x), clampUnit(y)] : corner
+      )
+    );
+  };
+
+  const onPointerMove = (event) => {
+    const frame = frameRef.current;
+    if (dragIndex < 0 || !frame) {
+      return;
+    }
+    const rect = frame.getBoundingClientRect();
+    moveCorner(
+      dragIndex,
+      (event.clientX - rect.left) / rect.width,
+      (event.clientY - rect.top) / rect.height
+    );
+  };
+
+  const onHandleKeyDown = (event, index) => {
+    const step = event.shiftKey ? 0.02 : 0.004;
+    const offsets = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+    const offset = offsets[event.key];
+    if (!offset) {
+      return;
+    }
+    event.preventDefault();
+    moveCorner(index, corners[index][0] + offset[0], corners[index][1] + offset[1]);
+  };
+
+  return (
+    <div className="corner-editor">
+      <div
+        ref={frameRef}
+        className="corner-editor-frame"
+        onPointerMove={onPointerMove}
+        onPointerUp={() => setDragIndex(-1)}
+        onPointerCancel={() => setDragIndex(-1)}
+      >
+        <img src={imageUrl} alt="Slab photo with adjustable corners" draggable={false} />
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+          <polygon points={corners.map(([x, y]) => `${x * 100},${y * 100}`).join(" ")} />
+        </svg>
+        {corners.map(([x, y], index) => (
+          <button
+            key={slabCornerLabels[index]}
+            type="button"
+            className={`corner-handle ${dragIndex === index ? "is-active" : ""}`}
+            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+            aria-label={`${slabCornerLabels[index]} corner`}
+            onPointerDown={(event) => {
+              event.currentTarget.setPointerCapture(event.pointerId);
+              setDragIndex(index);
+            }}
+            onKeyDown={(event) => onHandleKeyDown(event, index)}
+          />
+        ))}
+      </div>
+      <div className="detail-actions">
+        <button type="button" onClick={() => onApply(corners)}>
+          Apply Corners
+        </button>
+        <button type="button" onClick={onAuto}>
+          Auto Detect
+        </button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function SlabCutoutEditor({ imageUrl, slabSize, cutouts, issues, onChange }) {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const fabrication = cutouts.map(cutoutFabrication);
+
+  const updateCutout = (id, changes) => {
+    onChange(cutouts.map((cutout) => (cutout.id === id ? { ...cutout, ...changes } : cutout)));
+  };
+
+  const addCutout = (type) => {
+    const preset = cutoutTypes[type];
+    const sink = cutouts.find((cutout) => cutout.type === "undermount" || cutout.type === "dropin");
+    // Faucet holes default to just behind the first sink, the way they are usually drilled.
+    const y =
+      type === "faucet" && sink
+        ? Math.max(2, cutoutBounds(sink).top - 2.5)
+        : Math.min(slabSize.width / 2, 14);
+    const id = `cutout-${Date.now().toString(36)}`;
+    onChange([
+      ...cutouts,
+      {
+        id,
+        type,
+        x: sink && type === "faucet" ? sink.x : slabSize.length / 2,
+        y,
+        width: preset.width,
+        depth: preset.depth,
+      },
+    ]);
+    setSelectedId(id);
+  };
+
+  const svgPoint = (event) => {
+    const matrix = svgRef.current?.getScreenCTM();
+    if (!matrix) {
+      return null;
+    }
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+    return { x: point.x, y: point.y };
+  };
+
+  const exportFabrication = () => {
+    const blob = new Blob(
+      [JSON.stringify({ units: "in", slab: slabSize, cutouts: fabrication }, null, 2)],
+      { type: "application/json" }
+    );
+    downloadBlob(blob, "cutouts.json");
+  };
+
+  return (
+    <div className="cutout-editor">
+      <svg
+        ref={svgRef}
+        className="cutout-canvas"
+        viewBox={`0 0 ${slabSize.length} ${slabSize.width}`}
+        aria-label="Cutout placement"
+        onPointerMove={(event) => {
+          const drag = dragRef.current;
+          const point = drag ? svgPoint(event) : null;
+          if (point) {
+            updateCutout(drag.id, {
+              x: Number((point.x + drag.dx).toFixed(2)),
+              y: Number((point.y + drag.dy).toFixed(2)),
+            });
+          }
+        }}
+        onPointerUp={() => {
+          dragRef.current = null;
+        }}
+        onPointerCancel={() => {
+          dragRef.current = null;
+        }}
+      >
+        <rect width={slabSize.length} height={slabSize.width} fill="#141a20" />
+        {imageUrl && (
+          <image
+            href={imageUrl}
+            width={slabSize.length}
+            height={slabSize.width}
+            preserveAspectRatio="xMidYMid slice"
+            opacity="0.85"
+          />
+        )}
+        {cutouts.map((cutout, index) => {
+          const spec = fabrication[index];
+          const className = `cutout-shape ${issues.invalid.has(cutout.id) ? "is-invalid" : ""} ${
+            cutout.id === selectedId ? "is-selected" : ""
+          }`;
+          const onPointerDown = (event) => {
+            const point = svgPoint(event);
+            if (!point) {
+              return;
+            }
+            event.preventDefault();
+            event.currentTarget.setPointerCapture(event.pointerId);
+            dragRef.current = { id: cutout.id, dx: cutout.x - point.x, dy: cutout.y - point.y };
+            setSelectedId(cutout.id);
+          };
+          return cutoutTypes[cutout.type]?.round ? (
+            <circle
+              key={cutout.id}
+              className={className}
+              cx={cutout.x}
+              cy={cutout.y}
+              r={Math.max(spec.width / 2, 0.8)}
+              onPointerDown={onPointerDown}
+            />
+          ) : (
+            <rect
+              key={cutout.id}
+              className={className}
+              x={spec.edgeFromLeft}
+              y={spec.edgeFromTop}
+              width={spec.width}
+              height={spec.depth}
+              rx={spec.cornerRadius}
+              onPointerDown={onPointerDown}
+            />
+          );
+        })}
+      </svg>
+
+      <div className="cutout-add">
+        {Object.entries(cutoutTypes).map(([type, preset]) => (
+          <button key={type} type="button" onClick={() => addCutout(type)}>
+            + {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {cutouts.length > 0 && (
+        <ul className="cutout-list">
+          {cutouts.map((cutout, index) => {
+            const spec = fabrication[index];
+            const round = cutoutTypes[cutout.type]?.round;
+            const field = (key, label) => (
+              <label>
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.125"
+                  value={cutout[key]}
+                  onChange={(event) =>
+                    updateCutout(cutout.id, { [key]: toNumber(event.target.value) ?? 0 })
+                  }
+                />
+              </label>
+            );
+            return (
+              <li
+                key={cutout.id}
+                className={cutout.id === selectedId ? "is-selected" : ""}
+                onFocus={() => setSelectedId(cutout.id)}
+              >
+                <div className="cutout-list-head">
+                  <strong>
+                    {index + 1}. {spec.label}
+                  </strong>
+                  <button
+                    type="button"
+                    aria-label={`Remove ${spec.label} ${index + 1}`}
+                    onClick={() => onChange(cutouts.filter((item) => item.id !== cutout.id))}
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="cutout-fields">
+                  {field("width", round ? "Diameter (in)" : "Width (in)")}
+                  {!round && field("depth", "Depth (in)")}
+                  {field("x", "Center X (in)")}
+                  {field("y", "Center Y (in)")}
+                </div>
+                <p>
+                  {spec.edgeWork} · {formatInches(spec.perimeter)} cut perimeter · edge at{" "}
+                  {formatInches(spec.edgeFromLeft)} from left, {formatInches(spec.edgeFromTop)}{" "}
+                  from top
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {issues.messages.length > 0 && (
+        <p className="state-note error cutout-warning">{issues.messages.join(" ")}</p>
+      )}
+      {cutouts.length > 0 && (
+        <button type="button" className="cutout-export" onClick={exportFabrication}>
+          Export cutout specs (JSON)
+        </button>
+      )}
+    </div>
+  );
+}
+
+function SlabThreeViewer({
+  textureUrl,
+  thicknessLabel,
+  slabAspect,
+  slabSizeInches,
+  cutouts,
+  onCutoutsChange,
+  edgeProfile,
+}) {
+  const canvasRef = useRef(null);
+  const cutoutsRef = useRef(cutouts);
+  const rebuildGeometryRef = useRef(null);
+  const slabSize = slabSizeInches || defaultSlabSizeInches;
+  const edgeSection = useMemo(() => edgeProfileSection(edgeProfile), [edgeProfile]);
+  const edgeSectionRef = useRef(edgeSection);
+  const edgeBand =
+    (edgeSectionInset(edgeSection) * parseThicknessCentimeters(thicknessLabel)) / 2.54;
+  const issues = cutoutIssues(cutouts, slabSize, edgeBand);
+  const [manualCorners, setManualCorners] = useState({ url: "", corners: null });
+  const [detectedCorners, setDetectedCorners] = useState({ url: "", corners: null });
+  const [cornerEditorUrl, setCornerEditorUrl] = useState("");
+  const activeCorners = manualCorners.url === textureUrl ? manualCorners.corners : null;
+  const isEditingCorners = Boolean(textureUrl) && cornerEditorUrl === textureUrl;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      return undefined;
+    }
+
+    const renderer = new THREE.WebGLRenderer({
+      canvas,
+      antialias: true,
       alpha: true,
     });
     renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
@@ -666,32 +2326,46 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
       roughness: 0.65,
       metalness: 0.08,
     });
-    const faceMaterialA = new THREE.MeshStandardMaterial({
+    const faceMaterial = new THREE.MeshStandardMaterial({
       color: 0xe8ddcf,
       roughness: 0.44,
       metalness: 0.06,
     });
-    const faceMaterialB = faceMaterialA.clone();
+    const cutoutWallMaterial = new THREE.MeshStandardMaterial({
+      color: 0xc9ab8a,
+      roughness: 0.7,
+      metalness: 0.04,
+    });
 
-    const slabMesh = new THREE.Mesh(
-      new THREE.BoxGeometry(initialWidth, initialHeight, depth),
-      [
-        sideMaterial,
-        sideMaterial,
-        sideMaterial,
-        sideMaterial,
-        faceMaterialA,
-        faceMaterialB,
-      ]
-    );
+    const slabMesh = new THREE.Mesh(new THREE.BufferGeometry(), [
+      faceMaterial,
+      sideMaterial,
+      cutoutWallMaterial,
+    ]);
 
     let currentFaceAspect = initialWidth / initialHeight;
+    let currentFace = { width: initialWidth, height: initialHeight, depth };
+    const rebuildGeometry = () => {
+      const edgeBandInches = (edgeSectionInset(edgeSectionRef.current) * thicknessCm) / 2.54;
+      const { invalid } = cutoutIssues(cutoutsRef.current, slabSize, edgeBandInches);
+      const nextGeometry = buildCutoutSlabGeometry(
+        currentFace.width,
+        currentFace.height,
+        currentFace.depth,
+        cutoutsRef.current.filter((cutout) => !invalid.has(cutout.id)),
+        slabSize,
+        edgeSectionRef.current
+      );
+      slabMesh.geometry.dispose();
+      slabMesh.geometry = nextGeometry;
+    };
+    rebuildGeometryRef.current = rebuildGeometry;
+
     const updateSlabGeometry = (width, height, nextDepth = depth) => {
       const safeWidth = clamp(width, 1.35, 3.6);
       const safeHeight = clamp(height, 0.9, 2.4);
-      const nextGeometry = new THREE.BoxGeometry(safeWidth, safeHeight, nextDepth);
-      slabMesh.geometry.dispose();
-      slabMesh.geometry = nextGeometry;
+      currentFace = { width: safeWidth, height: safeHeight, depth: nextDepth };
+      rebuildGeometry();
       currentFaceAspect = safeWidth / safeHeight;
       camera.position.z = Math.max(3.2, Math.max(safeWidth, safeHeight) * 1.85);
     };
@@ -709,8 +2383,9 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
         repeatY = textureAspect / targetAspect;
       }
 
-      texture.wrapS = THREE.ClampToEdgeWrapping;
-      texture.wrapT = THREE.ClampToEdgeWrapping;
+      // Mirrored so the profiled edge strips continue the pattern past the face.
+      texture.wrapS = THREE.MirroredRepeatWrapping;
+      texture.wrapT = THREE.MirroredRepeatWrapping;
       texture.center.set(0.5, 0.5);
       texture.repeat.set(repeatX, repeatY);
       texture.offset.set(0.5 - repeatX / 2, 0.5 - repeatY / 2);
@@ -737,11 +2412,12 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
     const loader = new THREE.TextureLoader();
     loader.setCrossOrigin("anonymous");
     const disposableTextures = [];
+    let disposed = false;
 
     if (textureUrl && textureUrl !== PLACEHOLDER_IMAGE) {
       loader.load(
         textureUrl,
-        (texture) => {
+        async (texture) => {
           let frontTexture = texture;
           let alphaTexture = null;
           const imageWidth =
@@ -756,7 +2432,18 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
             1;
           let imageAspect = Math.max(0.01, imageWidth / imageHeight);
 
-          const maskedTexture = trimAndMaskTextureImage(texture.image);
+          const maskedTexture = await processSlabImage(texture.image, {
+            mode: "mask",
+            tuning: SLAB_MASK_TUNING,
+            perspective: true,
+            corners: activeCorners,
+            targetAspect: slabAspect,
+          });
+          if (disposed) {
+            texture.dispose();
+            return;
+          }
+          setDetectedCorners({ url: textureUrl, corners: maskedTexture?.corners || null });
           if (maskedTexture) {
             texture.dispose();
             frontTexture = new THREE.CanvasTexture(maskedTexture.colorCanvas);
@@ -787,16 +2474,11 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
           sideMaterial.depthWrite = !useAlphaMask;
           sideMaterial.needsUpdate = true;
 
-          faceMaterialA.map = frontTexture;
-          faceMaterialB.map = frontTexture;
-          faceMaterialA.alphaMap = alphaTexture;
-          faceMaterialB.alphaMap = alphaTexture;
-          faceMaterialA.transparent = useAlphaMask;
-          faceMaterialB.transparent = useAlphaMask;
-          faceMaterialA.alphaTest = useAlphaMask ? 0.08 : 0;
-          faceMaterialB.alphaTest = useAlphaMask ? 0.08 : 0;
-          faceMaterialA.needsUpdate = true;
-          faceMaterialB.needsUpdate = true;
+          faceMaterial.map = frontTexture;
+          faceMaterial.alphaMap = alphaTexture;
+          faceMaterial.transparent = useAlphaMask;
+          faceMaterial.alphaTest = useAlphaMask ? 0.08 : 0;
+          faceMaterial.needsUpdate = true;
         },
         undefined,
         () => {}
@@ -849,68 +2531,1483 @@ function SlabThreeViewer({ textureUrl, thicknessLabel, slabAspect }) {
     render();
 
     return () => {
+      disposed = true;
       window.cancelAnimationFrame(frame);
       canvas.removeEventListener("pointermove", onMove);
       canvas.removeEventListener("pointerleave", onLeave);
+      rebuildGeometryRef.current = null;
       slabMesh.geometry.dispose();
       sideMaterial.dispose();
-      faceMaterialA.dispose();
-      faceMaterialB.dispose();
+      faceMaterial.dispose();
+      cutoutWallMaterial.dispose();
       disposableTextures.forEach((texture) => texture.dispose());
       renderer.dispose();
     };
-  }, [textureUrl, thicknessLabel, slabAspect]);
+    // Depend on the slab dimensions, not the slabSize object, which is new on every render.
+  }, [textureUrl, thicknessLabel, slabAspect, activeCorners, slabSize.length, slabSize.width]);
+
+  useEffect(() => {
+    cutoutsRef.current = cutouts;
+    edgeSectionRef.current = edgeSection;
+    rebuildGeometryRef.current?.();
+  }, [cutouts, edgeSection]);
+
+  const canEditCorners = Boolean(textureUrl) && textureUrl !== PLACEHOLDER_IMAGE;
+
+  return (
+    <div className="tool-stage three-stage">
+      <canvas ref={canvasRef} className="three-canvas" />
+      {isEditingCorners && (
+        <SlabCornerEditor
+          imageUrl={textureUrl}
+          initialCorners={
+            activeCorners || (detectedCorners.url === textureUrl ? detectedCorners.corners : null)
+          }
+          onApply={(corners) => {
+            setManualCorners({ url: textureUrl, corners });
+            setCornerEditorUrl("");
+          }}
+          onAuto={() => {
+            setManualCorners({ url: "", corners: null });
+            setCornerEditorUrl("");
+          }}
+          onCancel={() => setCornerEditorUrl("")}
+        />
+      )}
+      <SlabCutoutEditor
+        imageUrl={canEditCorners ? textureUrl : ""}
+        slabSize={slabSize}
+        cutouts={cutouts}
+        issues={issues}
+        onChange={onCutoutsChange}
+      />
+      <div className="tool-caption three-caption">
+        <span>
+          3D Slab: move cursor over the model to inspect.
+          {activeCorners ? " Using manual corners." : ""}
+          {slabSizeInches ? "" : " Slab size not listed; assuming 3.2 x 1.6 m."}
+          {edgeProfile ? ` ${edgeProfile.label} edge on the long sides.` : ""}
+        </span>
+        {canEditCorners && !isEditingCorners && (
+          <button type="button" onClick={() => setCornerEditorUrl(textureUrl)}>
+            Adjust Corners
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function EdgeProfileEditor({ initialDraft, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialDraft);
+  const [importError, setImportError] = useState("");
+  const result = useMemo(() => buildCustomEdgeProfile(draft), [draft]);
+  const updateDraft = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    const text = await file.text();
+    if (!/\.svg$/i.test(file.name)) {
+      setImportError("");
+      updateDraft({ format: "points", source: text });
+      return;
+    }
+    const pathData = new DOMParser()
+      .parseFromString(text, "image/svg+xml")
+      .querySelector("path[d]")
+      ?.getAttribute("d");
+    setImportError(pathData ? "" : `${file.name} has no path to import.`);
+    if (pathData) {
+      updateDraft({ format: "path", source: pathData });
+    }
+  };
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    if (result.error) {
+      return;
+    }
+    onSave({ ...result.profile, id: draft.id || `custom-${Date.now().toString(36)}` });
+  };
+
+  return (
+    <form className="edge-editor" onSubmit={onSubmit}>
+      <div className="edge-editor-fields">
+        <label>
+          Name
+          <input
+            value={draft.label}
+            onChange={(event) => updateDraft({ label: event.target.value })}
+          />
+        </label>
+        <label>
+          Format
+          <select
+            value={draft.format}
+            onChange={(event) => updateDraft({ format: event.target.value })}
+          >
+            <option value="points">Point list</option>
+            <option value="path">SVG path</option>
+          </select>
+        </label>
+        <label>
+          Units
+          <select
+            value={draft.unit}
+            onChange={(event) => updateDraft({ unit: event.target.value })}
+          >
+            <option value="in">Inches</option>
+            <option value="mm">Millimeters</option>
+          </select>
+        </label>
+        <label>
+          $ / lin ft
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={draft.pricePerFoot}
+            onChange={(event) => updateDraft({ pricePerFoot: event.target.value })}
+          />
+        </label>
+      </div>
+
+      <label className="edge-editor-source">
+        {draft.format === "path" ? "Path data" : "Points, one x y pair per line"}
+        <textarea
+          rows={5}
+          spellCheck={false}
+          value={draft.source}
+          onChange={(event) => updateDraft({ source: event.target.value })}
+        />
+      </label>
+      <p className="edge-editor-hint">
+        Trace the right-hand end of the slab from the top line down to the underside, as it reads
+        in the preview. X grows toward the outside edge and Y grows downward.
+      </p>
+      <label className="edge-editor-source">
+        Notes
+        <input
+          value={draft.notes}
+          onChange={(event) => updateDraft({ notes: event.target.value })}
+        />
+      </label>
+
+      {result.profile && (
+        <svg viewBox="0 0 520 170" className="edge-canvas" aria-label="Custom profile preview">
+          <rect x="0" y="0" width="520" height="170" fill="#0f1419" />
+          <path d={result.profile.path} fill="#e6ded2" stroke="#f5ddbf" strokeWidth="2" />
+        </svg>
+      )}
+      {(importError || result.error) && (
+        <p className="state-note error edge-editor-error">{importError || result.error}</p>
+      )}
+
+      <div className="edge-editor-actions">
+        <button type="submit" disabled={Boolean(result.error)}>
+          {draft.id ? "Update profile" : "Save to library"}
+        </button>
+        <label className="edge-editor-import">
+          Import file
+          <input type="file" accept=".svg,.txt,.csv" onChange={importFile} />
+        </label>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function EdgeDesigner({
+  textureUrl,
+  profiles,
+  profileId,
+  onProfileChange,
+  onSaveProfile,
+  onDeleteProfile,
+}) {
+  const patternId = useId().replace(/:/g, "-");
+  const [editorDraft, setEditorDraft] = useState(null);
+  const current = profiles.find((profile) => profile.id === profileId) || profiles[0];
+
+  return (
+    <div className="tool-stage edge-stage">
+      <div className="edge-switches" role="tablist" aria-label="Edge profiles">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            className={`edge-switch ${profile.id === current.id ? "is-active" : ""}`}
+            onClick={() => onProfileChange(profile.id)}
+          >
+            {profile.label}
+            <span className="edge-switch-price">{formatPricePerFoot(profile.pricePerFoot)}</span>
+          </button>
+        ))}
+      </div>
+
+      <svg viewBox="0 0 520 170" className="edge-canvas" aria-label={`${current.label} edge`}>
+        <defs>
+          <pattern id={patternId} width="520" height="170" patternUnits="userSpaceOnUse">
+            <image
+              href={textureUrl}
+              width="520"
+              height="170"
+              preserveAspectRatio="xMidYMid slice"
+            />
+          </pattern>
+          <linearGradient id={`${patternId}-shade`} x1="0%" x2="0%" y1="0%" y2="100%">
+            <stop offset="0%" stopColor="rgba(255,255,255,0.26)" />
+            <stop offset="100%" stopColor="rgba(0,0,0,0.25)" />
+          </linearGradient>
+        </defs>
+
+        <rect x="0" y="0" width="520" height="170" fill="#0f1419" />
+        <path d={current.path} fill={`url(#${patternId})`} stroke="#f5ddbf" strokeWidth="2" />
+        <path d={current.path} fill={`url(#${patternId}-shade)`} />
+      </svg>
+
+      <p className="tool-caption">
+        Edge Preview: {current.depthLabel} · {formatPricePerFoot(current.pricePerFoot)}
+      </p>
+
+      {editorDraft ? (
+        <EdgeProfileEditor
+          initialDraft={editorDraft}
+          onSave={(profile) => {
+            onSaveProfile(profile);
+            setEditorDraft(null);
+          }}
+          onCancel={() => setEditorDraft(null)}
+        />
+      ) : (
+        <div className="edge-library-actions">
+          <button type="button" onClick={() => setEditorDraft(emptyEdgeProfileDraft)}>
+            New custom profile
+          </button>
+          {current.custom && (
+            <button
+              type="button"
+              onClick={() =>
+                setEditorDraft({
+                  ...emptyEdgeProfileDraft,
+                  ...current.draft,
+                  id: current.id,
+                  label: current.label,
+                  pricePerFoot: current.pricePerFoot,
+                })
+              }
+            >
+              Edit {current.label}
+            </button>
+          )}
+          {current.custom && (
+            <button type="button" onClick={() => onDeleteProfile(current.id)}>
+              Remove from library
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CountertopEstimator({ pieces, onPiecesChange, slabs, productName }) {
+  const estimate = useMemo(() => estimateCountertopYield(pieces, slabs), [pieces, slabs]);
+  const slabRowCount = slabs.length - estimate.excludedCount;
+  const sizedRowCount = estimate.slabSizes.filter(Boolean).length;
+  const seamedLabels = Array.from(
+    new Set(estimate.parts.filter((part) => part.seamed).map((part) => part.label.split(" (")[0]))
+  );
+  const averageSlabArea =
+    sizedRowCount > 0
+      ? estimate.slabSizes
+          .filter(Boolean)
+          .reduce((sum, size) => sum + size.length * size.width, 0) / sizedRowCount
+      : 0;
+  const areaMinimum =
+    averageSlabArea > 0
+      ? Math.ceil((estimate.topArea + estimate.splashArea) / averageSlabArea)
+      : null;
+  const shortfall = estimate.unplaced.length > 0;
+
+  const updatePiece = (id, changes) => {
+    onPiecesChange(pieces.map((piece) => (piece.id === id ? { ...piece, ...changes } : piece)));
+  };
+
+  const addPiece = (type) => {
+    const base = {
+      run: { length: 96, legLength: 0, depth: 25.5, splash: 4 },
+      lshape: { length: 120, legLength: 72, depth: 25.5, splash: 4 },
+      island: { length: 84, legLength: 0, depth: 42, splash: 0 },
+    }[type];
+    onPiecesChange([
+      ...pieces,
+      {
+        id: `piece-${Date.now().toString(36)}`,
+        type,
+        label: `${countertopPieceTypes[type].label} ${pieces.length + 1}`,
+        ...base,
+      },
+    ]);
+  };
+
+  const numberField = (piece, key, label) => (
+    <label>
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        step="0.25"
+        inputMode="decimal"
+        value={piece[key]}
+        onChange={(event) => updatePiece(piece.id, { [key]: event.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="tool-stage estimator-stage">
+      <div className="estimator-pieces">
+        {pieces.map((piece) => (
+          <fieldset key={piece.id} className="estimator-piece">
+            <div className="estimator-piece-head">
+              <select
+                aria-label="Piece type"
+                value={piece.type}
+                onChange={(event) => updatePiece(piece.id, { type: event.target.value })}
+              >
+                {Object.entries(countertopPieceTypes).map(([type, info]) => (
+                  <option key={type} value={type}>
+                    {info.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                aria-label="Piece name"
+                value={piece.label}
+                onChange={(event) => updatePiece(piece.id, { label: event.target.value })}
+              />
+              <button
+                type="button"
+                aria-label={`Remove ${piece.label || "piece"}`}
+                onClick={() => onPiecesChange(pieces.filter((item) => item.id !== piece.id))}
+              >
+                ×
+              </button>
+            </div>
+            <div className="estimator-piece-fields">
+              {numberField(piece, "length", piece.type === "lshape" ? "Run (in)" : "Length (in)")}
+              {piece.type === "lshape" && numberField(piece, "legLength", "Return (in)")}
+              {numberField(piece, "depth", "Depth (in)")}
+              {countertopPieceTypes[piece.type]?.backsplash &&
+                numberField(piece, "splash", "Splash (in)")}
+            </div>
+          </fieldset>
+        ))}
+      </div>
+
+      <div className="estimator-add">
+        {Object.entries(countertopPieceTypes).map(([type, info]) => (
+          <button key={type} type="button" onClick={() => addPiece(type)}>
+            + {info.label}
+          </button>
+        ))}
+      </div>
+
+      <dl className="estimator-summary">
+        <div>
+          <dt>Countertop</dt>
+          <dd>{formatSquareFeet(estimate.topArea)}</dd>
+        </div>
+        <div>
+          <dt>Backsplash</dt>
+          <dd>{formatSquareFeet(estimate.splashArea)}</dd>
+        </div>
+        <div>
+          <dt>Total Area</dt>
+          <dd>{formatSquareFeet(estimate.topArea + estimate.splashArea)}</dd>
+        </div>
+        <div>
+          <dt>Slabs Needed</dt>
+          <dd>
+            {shortfall ? `${estimate.bins.length}+` : estimate.bins.length} of {slabRowCount}
+          </dd>
+        </div>
+      </dl>
+
+      {estimate.bins.length > 0 && (
+        <ul className="estimator-bins">
+          {estimate.bins.map((bin) => (
+            <li key={bin.slabIndex}>
+              <strong>{formatValue(slabs[bin.slabIndex]?.SlabID)}</strong>{" "}
+              {formatInches(bin.length)} × {formatInches(bin.width)}:{" "}
+              {bin.placements.map((placement) => placement.part.label).join(", ")}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {shortfall && (
+        <p className="state-note error estimator-warning">
+          Current {productName} inventory is not enough:{" "}
+          {estimate.unplaced.map((part) => part.label).join(", ")}{" "}
+          {estimate.unplaced.length === 1 ? "does" : "do"} not fit the remaining{" "}
+          {sizedRowCount === 0 ? "slabs (no slab sizes listed)" : "slabs"}.
+        </p>
+      )}
+      {seamedLabels.length > 0 && (
+        <p className="state-note estimator-warning">
+          Seams needed: {seamedLabels.join(", ")} exceed the longest available slab.
+        </p>
+      )}
+
+      <p className="tool-caption">
+        Packs pieces into {sizedRowCount} sized slab rows using usable dimensions and a{" "}
+        {SAW_KERF_INCHES} in kerf.
+        {areaMinimum !== null ? ` Area alone would need at least ${areaMinimum}.` : ""}
+        {estimate.excludedCount > 0
+          ? ` ${estimate.excludedCount} sold, held or reserved ${
+              estimate.excludedCount === 1 ? "slab was" : "slabs were"
+            } left out.`
+          : ""}
+      </p>
+    </div>
+  );
+}
+
+function SlabLayoutPlanner({
+  pieces,
+  slabs,
+  activeSlab,
+  placements,
+  onPlacementsChange,
+  productName,
+  productSlug,
+}) {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const sizedSlabs = useMemo(
+    () => slabs.filter((slab) => slab?.SlabID && slabActualSizeInches(slab)),
+    [slabs]
+  );
+  const [slabId, setSlabId] = useState(() =>
+    sizedSlabs.some((slab) => slab === activeSlab) ? activeSlab.SlabID : sizedSlabs[0]?.SlabID
+  );
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [kerf, setKerf] = useState(SAW_KERF_INCHES);
+  const [exportStatus, setExportStatus] = useState("");
+  const [rectifiedPhoto, setRectifiedPhoto] = useState(null);
+
+  const slab = sizedSlabs.find((row) => row.SlabID === slabId) || sizedSlabs[0] || null;
+  const slabSize = slabActualSizeInches(slab);
+  const photoUrl = slab ? slabImage(slab.SlabID, "full") : "";
+  const slabAspect = slabSize ? slabSize.length / slabSize.width : 1;
+  const parts = useMemo(() => {
+    const sizes = sizedSlabs.map(slabActualSizeInches);
+    const rawParts = pieces.flatMap(countertopPieceParts);
+    if (!sizes.length) {
+      return rawParts;
+    }
+    return seamOversizedParts(
+      rawParts,
+      Math.max(...sizes.map((size) => size.length)),
+      Math.max(...sizes.map((size) => size.width))
+    );
+  }, [pieces, sizedSlabs]);
+  const issues = slab
+    ? slabLayoutIssues(parts, placements, slab.SlabID, slabSize, kerf)
+    : { placed: [], outside: new Set(), overlapping: new Set(), pairs: [] };
+  const selectedPart = issues.placed.find((part) => part.key === selectedKey) || null;
+
+  useEffect(() => {
+    if (!photoUrl) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let objectUrl = "";
+    async function rectifyPhoto() {
+      const image = await loadCrossOriginImage(photoUrl);
+      const processed = image
+        ? await processSlabImage(image, {
+            mode: "mask",
+            tuning: SLAB_MASK_TUNING,
+            perspective: true,
+            targetAspect: slabAspect,
+          })
+        : null;
+      const blob = processed
+        ? await new Promise((resolve) => processed.colorCanvas.toBlob(resolve, "image/png"))
+        : null;
+      if (cancelled || !blob) {
+        return;
+      }
+      objectUrl = URL.createObjectURL(blob);
+      setRectifiedPhoto({ sourceUrl: photoUrl, href: objectUrl, canvas: processed.colorCanvas });
+    }
+
+    rectifyPhoto();
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [photoUrl, slabAspect]);
+
+  if (!slab) {
+    return (
+      <div className="tool-stage layout-stage">
+        <p className="tool-caption">
+          None of the slab rows list Length_Actual and Width_Actual, so there is nothing to lay out.
+        </p>
+      </div>
+    );
+  }
+
+  const slabPhoto = rectifiedPhoto?.sourceUrl === photoUrl ? rectifiedPhoto : null;
+  const margin = LAYOUT_VIEW_MARGIN_INCHES;
+  const labelSize = Math.max(2.2, slabSize.width / 22);
+
+  const updatePlacement = (key, changes) => {
+    onPlacementsChange((current) => ({ ...current, [key]: { ...current[key], ...changes } }));
+  };
+
+  const placePart = (part) => {
+    updatePlacement(part.key, {
+      slabId: slab.SlabID,
+      x: slabSize.length / 2,
+      y: slabSize.width / 2,
+      rotation: 0,
+    });
+    setSelectedKey(part.key);
+  };
+
+  const removePart = (key) => {
+    onPlacementsChange((current) => {
+      const next = { ...current };
+      delete next[key];
+      return next;
+    });
+    setSelectedKey(null);
+  };
+
+  const autoNest = () => {
+    const candidates = parts.filter(
+      (part) => !placements[part.key] || placements[part.key].slabId === slab.SlabID
+    );
+    const { bins, unplaced } = packPartsIntoSlabs(candidates, [slabSize], kerf);
+    onPlacementsChange((current) => {
+      const next = { ...current };
+      candidates.forEach((part) => delete next[part.key]);
+      (bins[0]?.placements || []).forEach(({ part, x, y, w, h, rotated }) => {
+        next[part.key] = {
+          slabId: slab.SlabID,
+          x: x + w / 2,
+          y: y + h / 2,
+          rotation: rotated ? 90 : 0,
+        };
+      });
+      return next;
+    });
+    setExportStatus(
+      unplaced.length
+        ? `Auto nest left ${unplaced.length} pieces off this slab.`
+        : "Auto nest placed every remaining piece on this slab."
+    );
+  };
+
+  const svgPoint = (event) => {
+    const matrix = svgRef.current?.getScreenCTM();
+    if (!matrix) {
+      return null;
+    }
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+    return { x: point.x, y: point.y };
+  };
+
+  const beginDrag = (event, part) => {
+    const point = svgPoint(event);
+    if (!point) {
+      return;
+    }
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const placement = placements[part.key];
+    dragRef.current = { key: part.key, dx: placement.x - point.x, dy: placement.y - point.y };
+    setSelectedKey(part.key);
+  };
+
+  const moveDrag = (event) => {
+    const drag = dragRef.current;
+    const point = drag ? svgPoint(event) : null;
+    if (!point) {
+      return;
+    }
+    updatePlacement(drag.key, { x: point.x + drag.dx, y: point.y + drag.dy });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const onKeyDown = (event) => {
+    if (!selectedPart) {
+      return;
+    }
+    const placement = placements[selectedPart.key];
+    const step = event.shiftKey ? 6 : 0.5;
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+    if (moves[event.key]) {
+      event.preventDefault();
+      updatePlacement(selectedPart.key, {
+        x: placement.x + moves[event.key][0],
+        y: placement.y + moves[event.key][1],
+      });
+    } else if (event.key === "r" || event.key === "R") {
+      event.preventDefault();
+      updatePlacement(selectedPart.key, { rotation: (placement.rotation + 90) % 360 });
+    } else if (event.key === "Delete" || event.key === "Backspace") {
+      event.preventDefault();
+      removePart(selectedPart.key);
+    }
+  };
+
+  const layoutJson = () => ({
+    product: productName,
+    productSlug,
+    generatedAt: new Date().toISOString(),
+    units: "in",
+    kerf,
+    slabs: sizedSlabs
+      .filter((row) => parts.some((part) => placements[part.key]?.slabId === row.SlabID))
+      .map((row) => ({
+        slabId: row.SlabID,
+        photo: slabImage(row.SlabID, "full"),
+        ...slabActualSizeInches(row),
+      })),
+    pieces: parts.map((part) => ({
+      key: part.key,
+      label: part.label,
+      kind: part.kind,
+      length: Number(part.length.toFixed(3)),
+      width: Number(part.width.toFixed(3)),
+      seams: part.seams,
+      placement: placements[part.key] || null,
+    })),
+    overlaps: issues.pairs,
+    outOfBounds: Array.from(issues.outside),
+  });
+
+  const exportJson = () => {
+    const blob = new Blob([JSON.stringify(layoutJson(), null, 2)], { type: "application/json" });
+    downloadBlob(blob, `${productSlug || "slab"}-${slab.SlabID}-layout.json`);
+  };
+
+  const exportImage = async () => {
+    const scale = LAYOUT_EXPORT_PIXELS_PER_INCH;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(slabSize.length * scale);
+    canvas.height = Math.round(slabSize.width * scale);
+    const context = canvas.getContext("2d");
+    if (!context) {
+      setExportStatus("Image export failed: 2D canvas is unavailable.");
+      return;
+    }
+
+    context.fillStyle = "#141a20";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    const photo = slabPhoto?.canvas || (await loadCrossOriginImage(photoUrl));
+    if (photo) {
+      context.drawImage(photo, 0, 0, canvas.width, canvas.height);
+    }
+
+    context.scale(scale, scale);
+    issues.placed.forEach((part) => {
+      const placement = placements[part.key];
+      const flagged = issues.overlapping.has(part.key) || issues.outside.has(part.key);
+      context.save();
+      context.translate(placement.x, placement.y);
+      context.rotate((placement.rotation * Math.PI) / 180);
+      context.fillStyle = flagged ? "rgba(239, 100, 100, 0.35)" : "rgba(232, 164, 100, 0.28)";
+      context.strokeStyle = flagged ? "#ef6464" : "#f2cf9f";
+      context.lineWidth = 0.35;
+      context.fillRect(-part.length / 2, -part.width / 2, part.length, part.width);
+      context.strokeRect(-part.length / 2, -part.width / 2, part.length, part.width);
+      context.setLineDash([1.5, 1]);
+      context.strokeStyle = "#7fd0ff";
+      [
+        [part.seams.start, -part.length / 2],
+        [part.seams.end, part.length / 2],
+      ].forEach(([hasSeam, x]) => {
+        if (hasSeam) {
+          context.beginPath();
+          context.moveTo(x, -part.width / 2);
+          context.lineTo(x, part.width / 2);
+          context.stroke();
+        }
+      });
+      context.fillStyle = "#ffffff";
+      context.font = `${labelSize}px sans-serif`;
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(part.label, 0, 0, part.length * 0.92);
+      context.restore();
+    });
+
+    try {
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+      if (!blob) {
+        throw new Error("encode");
+      }
+      downloadBlob(blob, `${productSlug || "slab"}-${slab.SlabID}-layout.png`);
+      setExportStatus(photo ? "" : "Exported layout without the slab photo (it failed to load).");
+    } catch {
+      setExportStatus("Image export failed: the slab photo blocked canvas export.");
+    }
+  };
+
+  return (
+    <div className="tool-stage layout-stage">
+      <div className="layout-toolbar">
+        <select
+          aria-label="Slab to lay out"
+          value={slab.SlabID}
+          onChange={(event) => {
+            setSlabId(event.target.value);
+            setSelectedKey(null);
+          }}
+        >
+          {sizedSlabs.map((row) => {
+            const size = slabActualSizeInches(row);
+            return (
+              <option key={row.SlabID} value={row.SlabID}>
+                {row.SlabID} · {formatInches(size.length)} × {formatInches(size.width)}
+              </option>
+            );
+          })}
+        </select>
+        <label>
+          <span>Kerf (in)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.0625"
+            value={kerf}
+            onChange={(event) => setKerf(Math.max(0, toNumber(event.target.value) || 0))}
+          />
+        </label>
+        <button type="button" onClick={autoNest}>
+          Auto nest
+        </button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className="layout-canvas"
+        viewBox={`${-margin} ${-margin} ${slabSize.length + margin * 2} ${
+          slabSize.width + margin * 2
+        }`}
+        tabIndex={0}
+        aria-label={`Layout on slab ${slab.SlabID}`}
+        onKeyDown={onKeyDown}
+        onPointerMove={moveDrag}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onPointerDown={(event) => {
+          if (event.target === event.currentTarget) {
+            setSelectedKey(null);
+          }
+        }}
+      >
+        <rect x="0" y="0" width={slabSize.length} height={slabSize.width} fill="#141a20" />
+        {photoUrl && (
+          <image
+            href={slabPhoto?.href || photoUrl}
+            x="0"
+            y="0"
+            width={slabSize.length}
+            height={slabSize.width}
+            preserveAspectRatio="none"
+          />
+        )}
+        <rect
+          x="0"
+          y="0"
+          width={slabSize.length}
+          height={slabSize.width}
+          fill="none"
+          stroke="#f2cf9f"
+          strokeWidth="0.4"
+        />
+        {issues.placed.map((part) => {
+          const placement = placements[part.key];
+          const flagged = issues.overlapping.has(part.key) || issues.outside.has(part.key);
+          return (
+            <g
+              key={part.key}
+              className={`layout-piece ${flagged ? "is-flagged" : ""} ${
+                part.key === selectedKey ? "is-selected" : ""
+              } is-${part.kind}`}
+              transform={`translate(${placement.x} ${placement.y}) rotate(${placement.rotation})`}
+              onPointerDown={(event) => beginDrag(event, part)}
+            >
+              <rect
+                x={-part.length / 2}
+                y={-part.width / 2}
+                width={part.length}
+                height={part.width}
+              />
+              {part.seams.start && (
+                <line
+                  className="layout-seam"
+                  x1={-part.length / 2}
+                  x2={-part.length / 2}
+                  y1={-part.width / 2}
+                  y2={part.width / 2}
+                />
+              )}
+              {part.seams.end && (
+                <line
+                  className="layout-seam"
+                  x1={part.length / 2}
+                  x2={part.length / 2}
+                  y1={-part.width / 2}
+                  y2={part.width / 2}
+                />
+              )}
+              <text fontSize={labelSize} textAnchor="middle" dominantBaseline="middle">
+                {part.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {selectedPart && (
+        <div className="layout-selected">
+          <strong>{selectedPart.label}</strong>
+          <label>
+            <span>Rotation {Math.round(placements[selectedPart.key].rotation)}°</span>
+            <input
+              type="range"
+              min="0"
+              max="359"
+              step="1"
+              value={placements[selectedPart.key].rotation}
+              onChange={(event) =>
+                updatePlacement(selectedPart.key, { rotation: Number(event.target.value) })
+              }
+            />
+          </label>
+          <button
+            type="button"
+            onClick={() =>
+              updatePlacement(selectedPart.key, {
+                rotation: (placements[selectedPart.key].rotation + 90) % 360,
+              })
+            }
+          >
+            Rotate 90°
+          </button>
+          <button type="button" onClick={() => removePart(selectedPart.key)}>
+            Remove
+          </button>
+        </div>
+      )}
+
+      <ul className="layout-tray">
+        {parts.map((part) => {
+          const placement = placements[part.key];
+          const onThisSlab = placement?.slabId === slab.SlabID;
+          return (
+            <li key={part.key}>
+              <span>
+                {part.label} · {formatInches(part.length)} × {formatInches(part.width)}
+              </span>
+              {onThisSlab ? (
+                <button type="button" onClick={() => setSelectedKey(part.key)}>
+                  Select
+                </button>
+              ) : (
+                <button type="button" onClick={() => placePart(part)}>
+                  {placement ? `Move from ${placement.slabId}` : "Place"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {(issues.pairs.length > 0 || issues.outside.size > 0) && (
+        <p className="state-note error layout-warning">
+          {issues.pairs.length > 0 &&
+            `${issues.pairs.length} overlapping pair${issues.pairs.length === 1 ? "" : "s"} ` +
+              `(including the ${kerf} in kerf). `}
+          {issues.outside.size > 0 && `${issues.outside.size} piece(s) run off the slab.`}
+        </p>
+      )}
+
+      <div className="layout-toolbar">
+        <button type="button" onClick={exportImage}>
+          Export image
+        </button>
+        <button type="button" onClick={exportJson}>
+          Export JSON
+        </button>
+        {exportStatus && <span>{exportStatus}</span>}
+      </div>
+
+      <p className="tool-caption">
+        Drag pieces onto the photo, press R to rotate and use arrow keys to nudge. Pieces come
+        from the Estimate tab.
+      </p>
+    </div>
+  );
+}
+
+function SpecSheetDocument({ sheet }) {
+  return (
+    <div className="sheet">
+      <header>
+        <div>
+          <p>{sheet.material}</p>
+          <h1>{sheet.name}</h1>
+        </div>
+        <div className="sheet-meta">
+          <div>{SPEC_SHEET_BRAND}</div>
+          <div>{sheet.scopeLabel}</div>
+          <div>Prepared {sheet.generatedAt}</div>
+        </div>
+      </header>
+
+      <div className="sheet-images">
+        <figure>
+          <img src={sheet.heroUrl} alt={`${sheet.name} hero`} />
+          <figcaption>Product image</figcaption>
+        </figure>
+        <figure>
+          <img src={sheet.slabPhotoUrl} alt={`${sheet.name} slab photo`} />
+          <figcaption>{sheet.slabPhotoCaption}</figcaption>
+        </figure>
+      </div>
+
+      <h2>Quick Facts</h2>
+      <dl className="sheet-facts">
+        {sheet.facts.map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <h2>Edge Profile</h2>
+      <div className="sheet-edge">
+        <svg viewBox="0 0 520 170" xmlns="http://www.w3.org/2000/svg">
+          <rect x="0" y="0" width="520" height="170" fill="#ffffff" />
+          <path d={sheet.edgeProfile.path} fill="#e6ded2" stroke="#1d1a16" strokeWidth="2" />
+        </svg>
+        <div>
+          <strong>{sheet.edgeProfile.label}</strong>
+          <div>{sheet.edgeProfile.depthLabel}</div>
+          <div>Nominal thickness: {sheet.thickness}</div>
+          <div>Edge work: {formatPricePerFoot(sheet.edgeProfile.pricePerFoot)}</div>
+        </div>
+      </div>
+
+      {sheet.snapshot && (
+        <div className="sheet-snapshot">
+          <h2>Countertop Render</h2>
+          <figure>
+            <img src={sheet.snapshot.dataUrl} alt="Native viewer countertop render" />
+            <figcaption>
+              Scene {sheet.snapshot.sceneName}
+              {sheet.snapshot.surfaces?.length ? ` · ${sheet.snapshot.surfaces.join(" · ")}` : ""}
+            </figcaption>
+          </figure>
+        </div>
+      )}
+
+      <h2>Slab Inventory ({sheet.slabs.length})</h2>
+      {sheet.slabs.length === 0 ? (
+        <p>No slab rows were returned for this asset.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              {slabFieldOrder.map((field) => (
+                <th key={field}>{slabFieldLabels[field]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sheet.slabs.map((slab, index) => (
+              <tr key={slab.SlabID || slab.InventoryID || index}>
+                {slabFieldOrder.map((field) => (
+                  <td key={field}>{slabFieldValue(slab, field)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <footer>
+        {SPEC_SHEET_BRAND} · Availability and dimensions reflect live inventory at the time of
+        printing and may change.
+      </footer>
+    </div>
+  );
+}
+
+function SpecSheetControls({ hasSlab, onGenerate }) {
+  const [scope, setScope] = useState("product");
+  const [includeSnapshot, setIncludeSnapshot] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const generate = async () => {
+    setBusy(true);
+    setStatus(includeSnapshot ? "Requesting a render from the native viewer..." : "");
+    try {
+      setStatus(await onGenerate({ scope: hasSlab ? scope : "product", includeSnapshot }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="spec-sheet-controls">
+      <div className="spec-sheet-options">
+        {hasSlab && (
+          <select
+            aria-label="Spec sheet scope"
+            value={scope}
+            onChange={(event) => setScope(event.target.value)}
+          >
+            <option value="product">Whole product</option>
+            <option value="slab">Active slab only</option>
+          </select>
+        )}
+        <label>
+          <input
+            type="checkbox"
+            checked={includeSnapshot}
+            onChange={(event) => setIncludeSnapshot(event.target.checked)}
+          />
+          Include native viewer render
+        </label>
+      </div>
+      <button type="button" className="spec-sheet-button" disabled={busy} onClick={generate}>
+        {busy ? "Preparing spec sheet..." : "Download spec sheet"}
+      </button>
+      {status && <p className="tool-caption">{status}</p>}
+    </section>
+  );
+}
+
+function formatQuoteQuantity(line) {
+  return `${Number(line.quantity.toFixed(2))} ${line.unit}`;
+}
 
+function QuoteDocument({ quote }) {
+  const { estimate } = quote;
   return (
-    <div className="tool-stage three-stage">
-      <canvas ref={canvasRef} className="three-canvas" />
-      <p className="tool-caption">3D Slab: move cursor over the model to inspect.</p>
+    <div className="sheet">
+      <header>
+        <div>
+          <p>Fabrication estimate</p>
+          <h1>{quote.name}</h1>
+        </div>
+        <div className="sheet-meta">
+          <div>{SPEC_SHEET_BRAND}</div>
+          <div>{quote.productName}</div>
+          <div>Prepared {quote.preparedAt}</div>
+        </div>
+      </header>
+
+      <h2>Job</h2>
+      <dl className="sheet-facts">
+        {(quote.facts || []).map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <h2>Itemized Estimate</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Description</th>
+            <th className="amount">Quantity</th>
+            <th className="amount">Unit Price</th>
+            <th className="amount">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {estimate.lines.map((line) => (
+            <tr key={line.id}>
+              <td>{line.category}</td>
+              <td>{line.description}</td>
+              <td className="amount">{formatQuoteQuantity(line)}</td>
+              <td className="amount">{formatCurrency(line.unitPrice)}</td>
+              <td className="amount">{formatCurrency(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4}>Subtotal</td>
+            <td className="amount">{formatCurrency(estimate.subtotal)}</td>
+          </tr>
+          <tr>
+            <td colSpan={4}>Tax ({estimate.taxRate}%)</td>
+            <td className="amount">{formatCurrency(estimate.tax)}</td>
+          </tr>
+          <tr className="sheet-total">
+            <td colSpan={4}>Total</td>
+            <td className="amount">{formatCurrency(estimate.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <footer>
+        {SPEC_SHEET_BRAND} · Estimate only. Final pricing follows field measurement and slab
+        selection.
+      </footer>
     </div>
   );
 }
 
-function EdgeDesigner({ textureUrl }) {
-  const [profileId, setProfileId] = useState("eased");
-  const patternId = useId().replace(/:/g, "-");
-  const current = edgeProfiles.find((profile) => profile.id === profileId) || edgeProfiles[0];
+function printQuote(quote) {
+  const sheetWindow = openPrintWindow("quote");
+  if (!sheetWindow) {
+    return "Allow pop-ups for this site to open the quote.";
+  }
+
+  try {
+    const markup = renderDetachedMarkup(<QuoteDocument quote={quote} />);
+    writePrintableSheet(sheetWindow, quote.name, markup);
+  } catch (error) {
+    sheetWindow.close();
+    return `Could not build the quote: ${error.message}`;
+  }
+  sheetWindow.focus();
+  sheetWindow.print();
+  return "Quote opened. Choose Save as PDF in the print dialog.";
+}
+
+function PriceBookEditor({ priceBook, materials, currentMaterial, onChange }) {
+  const update = (changes) => onChange({ ...priceBook, ...changes });
+  const normalized = normalizePriceBook(priceBook);
+  const numberField = (label, value, placeholder, onValue) => (
+    <label key={label}>
+      {label}
+      <input
+        type="number"
+        min="0"
+        step="any"
+        value={value ?? ""}
+        placeholder={String(placeholder)}
+        onChange={(event) => onValue(event.target.value)}
+      />
+    </label>
+  );
 
   return (
-    <div className="tool-stage edge-stage">
-      <div className="edge-switches" role="tablist" aria-label="Edge profiles">
-        {edgeProfiles.map((profile) => (
-          <button
-            key={profile.id}
-            type="button"
-            className={`edge-switch ${profile.id === current.id ? "is-active" : ""}`}
-            onClick={() => setProfileId(profile.id)}
-          >
-            {profile.label}
-          </button>
-        ))}
+    <details className="price-book">
+      <summary>Price book</summary>
+      <div className="price-book-fields">
+        {priceBookRateFields.map(([field, label]) =>
+          numberField(label, priceBook[field], normalized[field], (value) =>
+            update({ [field]: value })
+          )
+        )}
+        {Object.entries(cutoutTypes).map(([type, cutoutType]) =>
+          numberField(
+            `${cutoutType.label} fee`,
+            priceBook.cutoutFees?.[type],
+            normalized.cutoutFees[type],
+            (value) => update({ cutoutFees: { ...priceBook.cutoutFees, [type]: value } })
+          )
+        )}
       </div>
 
-      <svg viewBox="0 0 520 170" className="edge-canvas" aria-label={`${current.label} edge`}>
-        <defs>
-          <pattern id={patternId} width="520" height="170" patternUnits="userSpaceOnUse">
-            <image
-              href={textureUrl}
-              width="520"
-              height="170"
-              preserveAspectRatio="xMidYMid slice"
-            />
-          </pattern>
-          <linearGradient id={`${patternId}-shade`} x1="0%" x2="0%" y1="0%" y2="100%">
-            <stop offset="0%" stopColor="rgba(255,255,255,0.26)" />
-            <stop offset="100%" stopColor="rgba(0,0,0,0.25)" />
-          </linearGradient>
-        </defs>
+      <p className="price-book-heading">Slab price by material</p>
+      <div className="price-book-fields price-book-materials">
+        {materials.map((material) =>
+          numberField(
+            material === currentMaterial ? `${material} (this job)` : material,
+            priceBook.slabPrices?.[slugify(material)],
+            normalized.defaultSlabPrice,
+            (value) =>
+              update({ slabPrices: { ...priceBook.slabPrices, [slugify(material)]: value } })
+          )
+        )}
+      </div>
+    </details>
+  );
+}
 
-        <rect x="0" y="0" width="520" height="170" fill="#0f1419" />
-        <path d={current.path} fill={`url(#${patternId})`} stroke="#f5ddbf" strokeWidth="2" />
-        <path d={current.path} fill={`url(#${patternId}-shade)`} />
-      </svg>
+function QuoteBuilder({
+  productName,
+  productSlug,
+  materialLabel,
+  materials,
+  slabs,
+  pieces,
+  edgeProfile,
+  cutouts,
+  priceBook,
+  onPriceBookChange,
+  savedQuotes,
+  onSavedQuotesChange,
+}) {
+  const [overrides, setOverrides] = useState({ slabCount: "", squareFeet: "", linearFeet: "" });
+  const [quoteName, setQuoteName] = useState("");
+  const [openQuoteId, setOpenQuoteId] = useState("");
+  const [status, setStatus] = useState("");
+  const yieldEstimate = useMemo(() => estimateCountertopYield(pieces, slabs), [pieces, slabs]);
+  const normalizedPriceBook = useMemo(() => normalizePriceBook(priceBook), [priceBook]);
+  const materialKey = slugify(materialLabel);
+
+  const suggested = {
+    slabCount: yieldEstimate.bins.length,
+    squareFeet:
+      (yieldEstimate.topArea + yieldEstimate.splashArea) / SQUARE_INCHES_PER_SQUARE_FOOT,
+    linearFeet: pieces.reduce((sum, piece) => sum + countertopFinishedEdgeInches(piece), 0) / 12,
+  };
+  const quantity = (field) => {
+    const entered = overrides[field] === "" ? null : toNumber(overrides[field]);
+    return entered !== null && entered >= 0 ? entered : suggested[field];
+  };
+
+  const job = {
+    productName,
+    materialKey,
+    materialLabel: materialLabel || "Material",
+    slabCount: Math.ceil(quantity("slabCount")),
+    slabIds:
+      overrides.slabCount === ""
+        ? yieldEstimate.bins.map((bin) => slabs[bin.slabIndex]?.SlabID).filter(Boolean)
+        : [],
+    squareFeet: quantity("squareFeet"),
+    edge: {
+      label: edgeProfile.label,
+      pricePerFoot: edgeProfile.pricePerFoot,
+      linearFeet: quantity("linearFeet"),
+    },
+    cutouts: cutouts.map((cutout) => ({
+      type: cutout.type,
+      label: cutoutTypes[cutout.type]?.label || "Cutout",
+    })),
+  };
+  const liveQuote = {
+    name: quoteName.trim() || `${productName} quote`,
+    preparedAt: new Date().toLocaleDateString(),
+    productName,
+    productSlug,
+    facts: [
+      ["Material", job.materialLabel],
+      ["Slab price", formatCurrency(slabPriceFor(normalizedPriceBook, materialKey))],
+      ["Countertop area", `${Number(job.squareFeet.toFixed(2))} sq ft`],
+      ["Edge", `${edgeProfile.label}, ${Number(job.edge.linearFeet.toFixed(2))} lin ft`],
+      ["Cutouts", String(cutouts.length)],
+      ["Pieces", pieces.map((piece) => piece.label).join(", ") || "None"],
+    ],
+    estimate: buildQuote(job, normalizedPriceBook),
+  };
+  const openQuote = savedQuotes.find((quote) => quote.id === openQuoteId) || null;
+  const shown = openQuote || liveQuote;
+
+  const saveQuote = () => {
+    const quote = {
+      ...liveQuote,
+      id: `quote-${Date.now().toString(36)}`,
+      savedAt: new Date().toISOString(),
+      job,
+      priceBook: normalizedPriceBook,
+    };
+    onSavedQuotesChange([quote, ...savedQuotes]);
+    setStatus(`Saved "${quote.name}".`);
+  };
+
+  const exportCsv = () => {
+    downloadBlob(
+      new Blob([quoteToCsv(shown)], { type: "text/csv" }),
+      `${slugify(shown.name) || "quote"}.csv`
+    );
+  };
+
+  const exportPdf = () => {
+    setStatus(printQuote(shown));
+  };
 
-      <p className="tool-caption">Edge Preview: {current.depthLabel}</p>
+  const deleteQuote = (id) => {
+    onSavedQuotesChange(savedQuotes.filter((quote) => quote.id !== id));
+    if (openQuoteId === id) {
+      setOpenQuoteId("");
+    }
+  };
+
+  return (
+    <div className="tool-stage quote-stage">
+      {openQuote ? (
+        <div className="quote-banner">
+          <span>
+            Saved quote <strong>{openQuote.name}</strong>, prepared {openQuote.preparedAt}
+          </span>
+          <button type="button" onClick={() => setOpenQuoteId("")}>
+            Back to live estimate
+          </button>
+        </div>
+      ) : (
+        <div className="quote-inputs">
+          <label>
+            Quote name
+            <input
+              value={quoteName}
+              placeholder={liveQuote.name}
+              onChange={(event) => setQuoteName(event.target.value)}
+            />
+          </label>
+          {[
+            ["slabCount", "Slabs", suggested.slabCount],
+            ["squareFeet", "Area sq ft", suggested.squareFeet],
+            ["linearFeet", "Edge lin ft", suggested.linearFeet],
+          ].map(([field, label, fallback]) => (
+            <label key={field}>
+              {label}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={overrides[field]}
+                placeholder={String(Number(fallback.toFixed(2)))}
+                onChange={(event) =>
+                  setOverrides((current) => ({ ...current, [field]: event.target.value }))
+                }
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {!openQuote && yieldEstimate.unplaced.length > 0 && (
+        <p className="state-note error quote-warning">
+          Some pieces do not fit the available slabs; enter a slab count to quote the material.
+        </p>
+      )}
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Qty</th>
+            <th>Rate</th>
+            <th>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shown.estimate.lines.map((line) => (
+            <tr key={line.id}>
+              <td>
+                <span className="quote-category">{line.category}</span>
+                {line.description}
+              </td>
+              <td>{formatQuoteQuantity(line)}</td>
+              <td>{formatCurrency(line.unitPrice)}</td>
+              <td>{formatCurrency(line.amount)}</td>
+            </tr>
+          ))}
+          {shown.estimate.lines.length === 0 && (
+            <tr>
+              <td colSpan={4}>Add pieces in the Estimate tab or enter quantities above.</td>
+            </tr>
+          )}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={3}>Subtotal</td>
+            <td>{formatCurrency(shown.estimate.subtotal)}</td>
+          </tr>
+          <tr>
+            <td colSpan={3}>Tax ({shown.estimate.taxRate}%)</td>
+            <td>{formatCurrency(shown.estimate.tax)}</td>
+          </tr>
+          <tr className="quote-total">
+            <td colSpan={3}>Total</td>
+            <td>{formatCurrency(shown.estimate.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <div className="quote-actions">
+        {!openQuote && (
+          <button type="button" onClick={saveQuote}>
+            Save quote
+          </button>
+        )}
+        <button type="button" onClick={exportPdf}>
+          Export PDF
+        </button>
+        <button type="button" onClick={exportCsv}>
+          Export CSV
+        </button>
+      </div>
+      {status && <p className="tool-caption">{status}</p>}
+
+      {!openQuote && (
+        <PriceBookEditor
+          priceBook={priceBook}
+          materials={materials}
+          currentMaterial={materialLabel}
+          onChange={onPriceBookChange}
+        />
+      )}
+
+      {savedQuotes.length > 0 && (
+        <div className="quote-saved">
+          <p className="price-book-heading">Saved quotes</p>
+          <ul>
+            {savedQuotes.map((quote) => (
+              <li key={quote.id} className={quote.id === openQuoteId ? "is-open" : ""}>
+                <button type="button" onClick={() => setOpenQuoteId(quote.id)}>
+                  <strong>{quote.name}</strong>
+                  <span>
+                    {quote.productName} · {quote.preparedAt} ·{" "}
+                    {formatCurrency(quote.estimate.total)}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  className="quote-delete"
+                  aria-label={`Delete ${quote.name}`}
+                  onClick={() => deleteQuote(quote.id)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
@@ -924,7 +4021,38 @@ export default function App() {
   const [searchValue, setSearchValue] = useState("");
   const [selectedMaterial, setSelectedMaterial] = useState("All Materials");
   const [selectedSlug, setSelectedSlug] = useState(null);
+  const [selectedSlabId, setSelectedSlabId] = useState(null);
+  const [browseView, setBrowseView] = useState(
+    () => parseHashRoute(window.location.hash)?.view || "products"
+  );
   const [activeTool, setActiveTool] = useState("visualizer");
+  const [edgeProfileId, setEdgeProfileId] = useState("eased");
+  const [customEdgeProfiles, setCustomEdgeProfiles] = useState(() =>
+    normalizeEdgeProfileLibrary(readStoredJson(EDGE_PROFILE_LIBRARY_STORAGE_KEY, []))
+  );
+  const [priceBook, setPriceBook] = useState(readStoredPriceBook);
+  const [savedQuotes, setSavedQuotes] = useState(() =>
+    normalizeSavedQuotes(readStoredJson(SAVED_QUOTES_STORAGE_KEY, []))
+  );
+  const [countertopPieces, setCountertopPieces] = useState(defaultCountertopPieces);
+  const [slabLayoutPlacements, setSlabLayoutPlacements] = useState({});
+  const [slabCutoutsByKey, setSlabCutoutsByKey] = useState({});
+  const [facetFilters, setFacetFilters] = useState(
+    () => parseHashRoute(window.location.hash)?.filters || emptyFacetFilters
+  );
+  const [facetPanelOpen, setFacetPanelOpen] = useState(() =>
+    hasActiveFacetFilters(parseHashRoute(window.location.hash)?.filters || emptyFacetFilters)
+  );
+  const [shortlist, setShortlist] = useState(() =>
+    normalizeShortlist(readStoredJson(SHORTLIST_STORAGE_KEY, []))
+  );
+  const [shortlistOpen, setShortlistOpen] = useState(false);
+  const [compareKeys, setCompareKeys] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const productStatusRef = useRef({});
+  productStatusRef.current = productStatusBySlug;
+  const selectedSlugRef = useRef(selectedSlug);
+  selectedSlugRef.current = selectedSlug;
 
   const [hashRoute, setHashRoute] = useState(() =>
     parseHashRoute(window.location.hash)
@@ -1014,7 +4142,8 @@ export default function App() {
       return;
     }
 
-    if (productsBySlug[selectedSlug] || productStatusBySlug[selectedSlug] === "loading") {
+    // A background prefetch of this slug may still be aborted, so the selection loads its own copy.
+    if (productsBySlug[selectedSlug]) {
       return;
     }
 
@@ -1033,40 +4162,21 @@ export default function App() {
       }));
 
       try {
-        const response = await fetch(PRODUCT_ENDPOINT(selectedSlug), {
-          signal: controller.signal,
-        });
-
-        if (!response.ok) {
-          throw new Error("Product request failed (" + response.status + ")");
-        }
-
-        const payload = await response.json();
+        const { product, status } = await fetchProduct(asset, controller.signal);
         if (!mounted) {
           return;
         }
 
         setProductsBySlug((current) => ({
           ...current,
-          [selectedSlug]: normalizeProductPayload(payload, asset),
-        }));
-        setProductStatusBySlug((current) => ({
-          ...current,
-          [selectedSlug]: "ready",
-        }));
-      } catch (error) {
-        if (error.name === "AbortError" || !mounted) {
-          return;
-        }
-
-        setProductsBySlug((current) => ({
-          ...current,
-          [selectedSlug]: normalizeProductPayload({}, asset),
+          [selectedSlug]: product,
         }));
         setProductStatusBySlug((current) => ({
           ...current,
-          [selectedSlug]: "error",
+          [selectedSlug]: status,
         }));
+      } catch {
+        setProductStatusBySlug((current) => withoutLoadingStatus(current, selectedSlug));
       }
     }
 
@@ -1078,6 +4188,47 @@ export default function App() {
     };
   }, [inventory, selectedSlug]);
 
+  const needsAllProducts =
+    facetPanelOpen || browseView === "slabs" || hasActiveFacetFilters(facetFilters);
+
+  useEffect(() => {
+    if (!needsAllProducts || inventory.length === 0) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const queue = [...inventory];
+
+    async function drainQueue() {
+      while (!controller.signal.aborted && queue.length) {
+        const asset = queue.shift();
+        if (productStatusRef.current[asset.slug] || asset.slug === selectedSlugRef.current) {
+          continue;
+        }
+
+        productStatusRef.current = { ...productStatusRef.current, [asset.slug]: "loading" };
+        setProductStatusBySlug((current) => ({ ...current, [asset.slug]: "loading" }));
+        try {
+          const { product, status } = await fetchProduct(asset, controller.signal);
+          setProductsBySlug((current) => ({ ...current, [asset.slug]: product }));
+          setProductStatusBySlug((current) => ({ ...current, [asset.slug]: status }));
+        } catch {
+          if (asset.slug !== selectedSlugRef.current) {
+            setProductStatusBySlug((current) => withoutLoadingStatus(current, asset.slug));
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < PRODUCT_PREFETCH_CONCURRENCY; i += 1) {
+      drainQueue();
+    }
+
+    return () => {
+      controller.abort();
+    };
+  }, [inventory, needsAllProducts]);
+
   const materialFilters = useMemo(() => {
     const canonical = new Map();
     inventory.forEach((item) => {
@@ -1121,33 +4272,189 @@ export default function App() {
     }
   }, [hashRoute, inventory, materialFilters]);
 
-  const filteredAssets = useMemo(() => {
+  useEffect(() => {
+    if (hashRoute) {
+      setFacetFilters(hashRoute.filters);
+      setBrowseView(hashRoute.view);
+    }
+    if (hashRoute?.shortlist.length) {
+      setShortlist((current) => normalizeShortlist([...current, ...hashRoute.shortlist]));
+      setShortlistOpen(true);
+      // Drop the imported list from the URL so a refresh does not re-add removed items.
+      window.history.replaceState(null, "", stripShortlistFromHash(window.location.hash));
+    }
+  }, [hashRoute]);
+
+  useEffect(() => {
+    writeStoredJson(SHORTLIST_STORAGE_KEY, shortlist);
+  }, [shortlist]);
+
+  useEffect(() => {
+    writeStoredJson(EDGE_PROFILE_LIBRARY_STORAGE_KEY, customEdgeProfiles);
+  }, [customEdgeProfiles]);
+
+  useEffect(() => {
+    writeStoredJson(PRICE_BOOK_STORAGE_KEY, priceBook);
+  }, [priceBook]);
+
+  useEffect(() => {
+    writeStoredJson(SAVED_QUOTES_STORAGE_KEY, savedQuotes);
+  }, [savedQuotes]);
+
+  useEffect(() => {
+    setSlabLayoutPlacements({});
+  }, [selectedSlug]);
+
+  const shortlistKeys = useMemo(() => new Set(shortlist.map(shortlistKey)), [shortlist]);
+
+  const toggleShortlist = (asset, slab = null) => {
+    const entry = { slug: asset.slug, slabId: slab?.SlabID || null, name: asset.Name || "" };
+    const key = shortlistKey(entry);
+    setShortlist((current) =>
+      current.some((item) => shortlistKey(item) === key)
+        ? current.filter((item) => shortlistKey(item) !== key)
+        : [...current, entry]
+    );
+  };
+
+  const activeCompareKeys = useMemo(
+    () => compareKeys.filter((key) => shortlistKeys.has(key)),
+    [compareKeys, shortlistKeys]
+  );
+  const compareItems = useMemo(
+    () => shortlist.filter((item) => activeCompareKeys.includes(shortlistKey(item))),
+    [shortlist, activeCompareKeys]
+  );
+
+  useEffect(() => {
+    if (!compareOpen) {
+      return;
+    }
+
+    // Compare can include products that were never opened, so load their slab rows here.
+    compareItems.forEach((item) => {
+      const asset = inventory.find((entry) => entry.slug === item.slug);
+      if (!asset || productStatusRef.current[asset.slug]) {
+        return;
+      }
+
+      productStatusRef.current = { ...productStatusRef.current, [asset.slug]: "loading" };
+      setProductStatusBySlug((current) => ({ ...current, [asset.slug]: "loading" }));
+      fetchProduct(asset).then(({ product, status }) => {
+        setProductsBySlug((current) => ({ ...current, [asset.slug]: product }));
+        setProductStatusBySlug((current) => ({ ...current, [asset.slug]: status }));
+      });
+    });
+  }, [compareOpen, compareItems, inventory]);
+
+  const compareColumns = compareItems.map((item) => {
+    const asset = inventory.find((entry) => entry.slug === item.slug) || null;
+    const product = productsBySlug[item.slug] || null;
+    const rows = product?.slabs || [];
+    const slabId = item.slabId || primarySlabId(asset, product);
+    const slab =
+      rows.find((row) => normalizeSlabId(row?.SlabID) === normalizeSlabId(slabId)) ||
+      (item.slabId ? null : rows[0] || null);
+    const status = productStatusBySlug[item.slug];
+    return {
+      key: shortlistKey(item),
+      name: product?.name || asset?.Name || item.name || item.slug,
+      caption: item.slabId
+        ? `Slab ${item.slabId}`
+        : `Product · primary slab ${formatValue(slab?.SlabID)}`,
+      image: heroImage(asset, product, item.slabId),
+      slab,
+      status: !asset
+        ? "Not in inventory"
+        : status === "loading" || !status
+          ? "Loading..."
+          : "Not listed",
+    };
+  });
+
+  const isShortlisted = (asset, slab = null) =>
+    shortlistKeys.has(shortlistKey({ slug: asset.slug, slabId: slab?.SlabID || null }));
+
+  const baseAssets = useMemo(() => {
     const normalizedSearch = searchValue.trim().toLowerCase();
 
-    return inventory
-      .filter((asset) => {
-        const materialMatch =
-          selectedMaterial === "All Materials" || asset.Material === selectedMaterial;
-        if (!materialMatch) {
-          return false;
-        }
+    return inventory.filter((asset) => {
+      const materialMatch =
+        selectedMaterial === "All Materials" || asset.Material === selectedMaterial;
+      if (!materialMatch) {
+        return false;
+      }
 
-        if (!normalizedSearch) {
-          return true;
-        }
+      if (!normalizedSearch) {
+        return true;
+      }
 
-        const haystack = [
-          asset.Name,
-          asset.Material,
-          asset.slug,
-          asset.SlabID,
-          asset.count,
-        ]
-          .filter(Boolean)
-          .join(" ")
-          .toLowerCase();
+      const haystack = [
+        asset.Name,
+        asset.Material,
+        asset.slug,
+        asset.SlabID,
+        asset.count,
+      ]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+
+      return haystack.includes(normalizedSearch);
+    });
+  }, [inventory, searchValue, selectedMaterial]);
 
-        return haystack.includes(normalizedSearch);
+  const facetsActive = hasActiveFacetFilters(facetFilters);
+
+  const facetCounts = useMemo(() => {
+    const counts = {};
+    slabFacets.forEach((facet) => {
+      const facetCount = new Map();
+      (facetFilters.values[facet.id] || []).forEach((value) => facetCount.set(value, 0));
+      baseAssets.forEach((asset) => {
+        (productsBySlug[asset.slug]?.slabs || []).forEach((slab) => {
+          const value = slabFacetValue(slab, facet);
+          if (!value) {
+            return;
+          }
+          const matches =
+            facetFilters.match === "any" || slabMatchesFacetFilters(slab, facetFilters, facet.id);
+          facetCount.set(value, (facetCount.get(value) || 0) + (matches ? 1 : 0));
+        });
+      });
+      counts[facet.id] = Array.from(facetCount, ([value, count]) => ({ value, count })).sort(
+        (a, b) => a.value.localeCompare(b.value, undefined, { numeric: true })
+      );
+    });
+    return counts;
+  }, [baseAssets, productsBySlug, facetFilters]);
+
+  const loadedProductCount = baseAssets.filter((asset) => productsBySlug[asset.slug]).length;
+
+  const slabRows = useMemo(() => {
+    if (browseView !== "slabs") {
+      return [];
+    }
+
+    return baseAssets.flatMap((asset) =>
+      (productsBySlug[asset.slug]?.slabs || [])
+        .filter((slab) => slab && (!facetsActive || slabMatchesFacetFilters(slab, facetFilters)))
+        .map((slab, index) => ({
+          asset,
+          slab,
+          key: `${asset.slug}-${slab.SlabID || slab.InventoryID || index}`,
+        }))
+    );
+  }, [browseView, baseAssets, productsBySlug, facetFilters, facetsActive]);
+
+  const filteredAssets = useMemo(() => {
+    return baseAssets
+      .filter((asset) => {
+        if (!facetsActive) {
+          return true;
+        }
+        const product = productsBySlug[asset.slug];
+        return Boolean(product?.slabs.some((slab) => slabMatchesFacetFilters(slab, facetFilters)));
       })
       .sort((a, b) => {
         const countDelta = (toNumber(b.count) || 0) - (toNumber(a.count) || 0);
@@ -1156,24 +4463,26 @@ export default function App() {
         }
         return (a.Name || "").localeCompare(b.Name || "");
       });
-  }, [inventory, searchValue, selectedMaterial]);
+  }, [baseAssets, productsBySlug, facetFilters, facetsActive]);
 
   useEffect(() => {
-    if (!selectedSlug || inventory.length === 0) {
+    if (inventory.length === 0) {
       return;
     }
 
     const selected = inventory.find((item) => item.slug === selectedSlug);
-    if (!selected) {
+    const filterQuery = hashRouteQuery(facetFilters, browseView);
+    if (!selected && !filterQuery) {
       return;
     }
 
-    const materialSegment = slugify(selected.Material || selectedMaterial || "stone");
-    const nextHash = `#${materialSegment}/${slugify(selected.slug)}`;
+    const materialSegment = slugify(selected?.Material || selectedMaterial || "stone");
+    const path = selected ? `${materialSegment}/${slugify(selected.slug)}` : "";
+    const nextHash = `#${path}${filterQuery ? `?${filterQuery}` : ""}`;
     if (window.location.hash !== nextHash) {
       window.history.replaceState(null, "", nextHash);
     }
-  }, [inventory, selectedMaterial, selectedSlug]);
+  }, [inventory, selectedMaterial, selectedSlug, facetFilters, browseView]);
 
   useEffect(() => {
     setActiveTool("visualizer");
@@ -1194,7 +4503,7 @@ export default function App() {
       return null;
     }
 
-    const preferredId = primarySlabId(selectedAsset, selectedProduct);
+    const preferredId = selectedSlabId || primarySlabId(selectedAsset, selectedProduct);
     if (!preferredId) {
       return slabs[0];
     }
@@ -1203,8 +4512,12 @@ export default function App() {
     return (
       slabs.find((row) => normalizeSlabId(row?.SlabID) === normalizedPreferredId) || slabs[0]
     );
-  }, [selectedAsset, selectedProduct, slabs]);
+  }, [selectedAsset, selectedProduct, slabs, selectedSlabId]);
   const slabAspect = slabAspectRatioFromRow(activeSlab);
+  const cutoutKey = shortlistKey({ slug: selectedSlug, slabId: activeSlab?.SlabID || null });
+  const slabCutouts = slabCutoutsByKey[cutoutKey] || [];
+  const setSlabCutouts = (cutouts) =>
+    setSlabCutoutsByKey((current) => ({ ...current, [cutoutKey]: cutouts }));
   const totalSlabs = slabs.length || toNumber(selectedAsset?.count) || 0;
   const totalMaterials = materialFilters.length - 1;
 
@@ -1219,8 +4532,79 @@ export default function App() {
   );
   const displayFinish = firstText(selectedProduct?.finish, slabs[0]?.Finish || "Not listed");
   const previewImageUrl = heroImage(selectedAsset, selectedProduct);
+  const edgeProfileLibrary = [...edgeProfiles, ...customEdgeProfiles];
+  const selectedEdgeProfile =
+    edgeProfileLibrary.find((profile) => profile.id === edgeProfileId) || edgeProfiles[0];
+
+  const saveEdgeProfile = (profile) => {
+    setCustomEdgeProfiles((current) =>
+      current.some((item) => item.id === profile.id)
+        ? current.map((item) => (item.id === profile.id ? profile : item))
+        : [...current, profile]
+    );
+    setEdgeProfileId(profile.id);
+  };
+
+  const deleteEdgeProfile = (id) => {
+    setCustomEdgeProfiles((current) => current.filter((profile) => profile.id !== id));
+    if (edgeProfileId === id) {
+      setEdgeProfileId(edgeProfiles[0].id);
+    }
+  };
   const viewerImageUrl = threeViewerImage(selectedAsset, selectedProduct);
 
+  const generateSpecSheet = async ({ scope, includeSnapshot }) => {
+    const sheetWindow = openPrintWindow("spec sheet");
+    if (!sheetWindow) {
+      return "Allow pop-ups for this site to open the spec sheet.";
+    }
+
+    const snapshot = includeSnapshot ? await requestNativeViewerSnapshot() : null;
+    const slabOnly = scope === "slab" && activeSlab;
+    let doc;
+    try {
+      const markup = renderDetachedMarkup(
+        <SpecSheetDocument
+          sheet={{
+            name: displayName,
+            material: displayMaterial,
+            thickness: displayThickness,
+            scopeLabel: slabOnly ? `Slab ${formatValue(activeSlab.SlabID)}` : "Product overview",
+            generatedAt: new Date().toLocaleDateString(),
+            heroUrl: previewImageUrl,
+            slabPhotoUrl: slabImage(activeSlab?.SlabID, "full") || viewerImageUrl,
+            slabPhotoCaption: activeSlab?.SlabID
+              ? `Slab ${activeSlab.SlabID} photo`
+              : "Representative slab photo",
+            facts: [
+              ["Name", displayName],
+              ["Thickness", displayThickness],
+              ["Material", displayMaterial],
+              ["Finish", displayFinish],
+              ["Available Slabs", String(totalSlabs)],
+              ["Asset Slug", formatValue(selectedAsset.slug)],
+            ],
+            edgeProfile: selectedEdgeProfile,
+            slabs: slabOnly ? [activeSlab] : slabs,
+            snapshot,
+          }}
+        />
+      );
+
+      doc = writePrintableSheet(sheetWindow, `${displayName} spec sheet`, markup);
+    } catch (error) {
+      sheetWindow.close();
+      return `Could not build the spec sheet: ${error.message}`;
+    }
+    await waitForDocumentImages(doc);
+    sheetWindow.focus();
+    sheetWindow.print();
+
+    return includeSnapshot && !snapshot
+      ? "Spec sheet opened without a render. Open the native viewer in another tab to include one."
+      : "Spec sheet opened. Choose Save as PDF in the print dialog.";
+  };
+
   return (
     <div className="app-shell">
       <div className="ambient ambient-one" />
@@ -1248,8 +4632,45 @@ export default function App() {
 
         <div className="stat-strip">
           <span>{inventory.length} total assets</span>
-          <span>{filteredAssets.length} visible</span>
+          <span>
+            {browseView === "slabs"
+              ? `${slabRows.length} slabs`
+              : `${filteredAssets.length} visible`}
+          </span>
           <span>{totalMaterials} material groups</span>
+          <button
+            type="button"
+            className={`facet-toggle ${facetPanelOpen ? "is-active" : ""}`}
+            aria-expanded={facetPanelOpen}
+            onClick={() => setFacetPanelOpen((open) => !open)}
+          >
+            Slab filters{facetsActive ? " (on)" : ""}
+          </button>
+          <button
+            type="button"
+            className={`facet-toggle ${shortlistOpen ? "is-active" : ""}`}
+            aria-expanded={shortlistOpen}
+            onClick={() => setShortlistOpen((open) => !open)}
+          >
+            Shortlist ({shortlist.length})
+          </button>
+          <div className="view-switch" role="tablist" aria-label="Browse by">
+            {[
+              ["products", "Products"],
+              ["slabs", "Slabs"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="tab"
+                aria-selected={browseView === value}
+                className={browseView === value ? "is-active" : ""}
+                onClick={() => setBrowseView(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
         </div>
       </section>
 
@@ -1268,27 +4689,96 @@ export default function App() {
         ))}
       </nav>
 
-      <section className="inventory-layout">
+      {shortlistOpen && (
+        <ShortlistPanel
+          items={shortlist}
+          inventory={inventory}
+          onOpen={(item) => {
+            setSelectedSlug(item.slug);
+            setSelectedSlabId(item.slabId);
+          }}
+          onRemove={(item) =>
+            setShortlist((current) =>
+              current.filter((entry) => shortlistKey(entry) !== shortlistKey(item))
+            )
+          }
+          compareKeys={activeCompareKeys}
+          onToggleCompare={(key) =>
+            setCompareKeys((current) =>
+              current.includes(key)
+                ? current.filter((entry) => entry !== key)
+                : [...current.filter((entry) => shortlistKeys.has(entry)), key].slice(
+                    -COMPARE_MAX_ITEMS
+                  )
+            )
+          }
+          onCompare={() => setCompareOpen(true)}
+          onClear={() => setShortlist([])}
+        />
+      )}
+
+      {compareOpen && compareColumns.length >= COMPARE_MIN_ITEMS && (
+        <SlabComparePanel columns={compareColumns} onClose={() => setCompareOpen(false)} />
+      )}
+
+      <section className={`inventory-layout ${facetPanelOpen ? "has-facets" : ""}`}>
+        {facetPanelOpen && (
+          <SlabFacetSidebar
+            filters={facetFilters}
+            facetCounts={facetCounts}
+            loadedCount={loadedProductCount}
+            totalCount={baseAssets.length}
+            onChange={setFacetFilters}
+          />
+        )}
         <div className="asset-grid-wrap">
           {dataStatus === "loading" && (
             <p className="state-note">Loading live inventory from SlabCloud...</p>
           )}
           {dataStatus === "error" && <p className="state-note error">{dataError}</p>}
-          {dataStatus === "ready" && filteredAssets.length === 0 && (
+          {dataStatus === "ready" && browseView === "products" && filteredAssets.length === 0 && (
             <p className="state-note">No assets match the current filter.</p>
           )}
-
-          <div className="asset-grid">
-            {filteredAssets.map((asset, index) => (
-              <AssetCard
-                key={`${asset.slug}-${asset.SlabID || index}`}
-                asset={asset}
-                delayIndex={index}
-                isActive={asset.slug === selectedSlug}
-                onSelect={() => setSelectedSlug(asset.slug)}
-              />
-            ))}
-          </div>
+          {dataStatus === "ready" &&
+            browseView === "products" &&
+            facetsActive &&
+            loadedProductCount < baseAssets.length && (
+              <p className="state-note">
+                Checking slab rows for {baseAssets.length - loadedProductCount} more assets...
+              </p>
+            )}
+
+          {browseView === "products" && (
+            <div className="asset-grid">
+              {filteredAssets.map((asset, index) => (
+                <AssetCard
+                  key={`${asset.slug}-${asset.SlabID || index}`}
+                  asset={asset}
+                  delayIndex={index}
+                  isActive={asset.slug === selectedSlug}
+                  isShortlisted={isShortlisted(asset)}
+                  onShortlist={() => toggleShortlist(asset)}
+                  onSelect={() => {
+                    setSelectedSlug(asset.slug);
+                    setSelectedSlabId(null);
+                  }}
+                />
+              ))}
+            </div>
+          )}
+          {dataStatus === "ready" && browseView === "slabs" && (
+            <SlabTable
+              rows={slabRows}
+              selectedSlabId={selectedSlabId}
+              pendingCount={baseAssets.length - loadedProductCount}
+              isShortlisted={isShortlisted}
+              onShortlist={toggleShortlist}
+              onSelect={(asset, slab) => {
+                setSelectedSlug(asset.slug);
+                setSelectedSlabId(slab.SlabID || null);
+              }}
+            />
+          )}
         </div>
 
         <aside className="details-panel">
@@ -1303,10 +4793,18 @@ export default function App() {
               <div className="details-top">
                 <p className="material-tag">{displayMaterial}</p>
                 <h2>{displayName}</h2>
+                <ShortlistToggle
+                  active={isShortlisted(selectedAsset)}
+                  label={displayName}
+                  onToggle={() => toggleShortlist(selectedAsset)}
+                />
                 <button
                   type="button"
                   className="close-button"
-                  onClick={() => setSelectedSlug(null)}
+                  onClick={() => {
+                    setSelectedSlug(null);
+                    setSelectedSlabId(null);
+                  }}
                 >
                   Clear selection
                 </button>
@@ -1349,6 +4847,8 @@ export default function App() {
                 </div>
               </dl>
 
+              <SpecSheetControls hasSlab={Boolean(activeSlab)} onGenerate={generateSpecSheet} />
+
               <section className="tool-section">
                 <div className="tool-tabs" role="tablist" aria-label="Asset tools">
                   <button
@@ -1372,12 +4872,34 @@ export default function App() {
                   >
                     Edges
                   </button>
+                  <button
+                    type="button"
+                    className={activeTool === "estimate" ? "is-active" : ""}
+                    onClick={() => setActiveTool("estimate")}
+                  >
+                    Estimate
+                  </button>
+                  <button
+                    type="button"
+                    className={activeTool === "layout" ? "is-active" : ""}
+                    onClick={() => setActiveTool("layout")}
+                  >
+                    Layout
+                  </button>
+                  <button
+                    type="button"
+                    className={activeTool === "quote" ? "is-active" : ""}
+                    onClick={() => setActiveTool("quote")}
+                  >
+                    Quote
+                  </button>
                 </div>
 
                 {activeTool === "visualizer" && (
                   <RoomVisualizer
                     assetName={displayName}
                     textureId={selectedProduct?.textureId || selectedAsset?.textureId || ""}
+                    slab={activeSlab}
                   />
                 )}
                 {activeTool === "three" && (
@@ -1385,9 +4907,58 @@ export default function App() {
                     textureUrl={viewerImageUrl}
                     thicknessLabel={displayThickness}
                     slabAspect={slabAspect}
+                    slabSizeInches={slabActualSizeInches(activeSlab)}
+                    cutouts={slabCutouts}
+                    onCutoutsChange={setSlabCutouts}
+                    edgeProfile={selectedEdgeProfile}
+                  />
+                )}
+                {activeTool === "edges" && (
+                  <EdgeDesigner
+                    textureUrl={previewImageUrl}
+                    profiles={edgeProfileLibrary}
+                    profileId={selectedEdgeProfile.id}
+                    onProfileChange={setEdgeProfileId}
+                    onSaveProfile={saveEdgeProfile}
+                    onDeleteProfile={deleteEdgeProfile}
+                  />
+                )}
+                {activeTool === "estimate" && (
+                  <CountertopEstimator
+                    pieces={countertopPieces}
+                    onPiecesChange={setCountertopPieces}
+                    slabs={slabs}
+                    productName={displayName}
+                  />
+                )}
+                {activeTool === "layout" && (
+                  <SlabLayoutPlanner
+                    key={selectedAsset.slug}
+                    pieces={countertopPieces}
+                    slabs={slabs}
+                    activeSlab={activeSlab}
+                    placements={slabLayoutPlacements}
+                    onPlacementsChange={setSlabLayoutPlacements}
+                    productName={displayName}
+                    productSlug={selectedAsset.slug}
+                  />
+                )}
+                {activeTool === "quote" && (
+                  <QuoteBuilder
+                    productName={displayName}
+                    productSlug={selectedAsset.slug}
+                    materialLabel={displayMaterial}
+                    materials={materialFilters.slice(1)}
+                    slabs={slabs}
+                    pieces={countertopPieces}
+                    edgeProfile={selectedEdgeProfile}
+                    cutouts={slabCutouts}
+                    priceBook={priceBook}
+                    onPriceBookChange={setPriceBook}
+                    savedQuotes={savedQuotes}
+                    onSavedQuotesChange={setSavedQuotes}
                   />
                 )}
-                {activeTool === "edges" && <EdgeDesigner textureUrl={previewImageUrl} />}
               </section>
 
               <section className="slab-section">
@@ -1408,7 +4979,7 @@ export default function App() {
                   <details
                     key={slab.SlabID || slab.InventoryID || `${selectedAsset.slug}-${index}`}
                     className="slab-item"
-                    open={index === 0}
+                    open={activeSlab ? slab === activeSlab : index === 0}
                   >
                     <summary>
                       <span>{formatValue(slab.InventoryID)}</span>
@@ -1417,6 +4988,16 @@ export default function App() {
                     </summary>
 
                     <div className="slab-item-body">
+                      <button
+                        type="button"
+                        className="close-button slab-shortlist-button"
+                        aria-pressed={isShortlisted(selectedAsset, slab)}
+                        onClick={() => toggleShortlist(selectedAsset, slab)}
+                      >
+                        {isShortlisted(selectedAsset, slab)
+                          ? "★ Shortlisted"
+                          : "☆ Add slab to shortlist"}
+                      </button>
                       <dl className="slab-fields">
                         {slabFieldOrder.map((field) => (
                           <div key={`${slab.SlabID}-${field}`}>
@@ -0,0 +1,266 @@
+const MILLIMETERS_PER_INCH = 25.4;
+const EDGE_DRAWING_FRAME = { left: 32, right: 490, top: 32, bottom: 152 };
+const EDGE_DRAWING_UNITS_PER_INCH = 48;
+
+function tokenizeSvgPath(d) {
+  const pattern = /\s*,?\s*([MLHVCSQTZmlhvcsqtz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+  const source = String(d || "").trim();
+  const tokens = [];
+  pattern.lastIndex = 0;
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) {
+      const character = source.slice(start).trim()[0];
+      throw new Error(
+        /[a-z]/i.test(character)
+          ? `Path command "${character}" is not supported; use M, L, H, V, C, S, Q, T or Z.`
+          : `Unexpected "${character}" in path data.`
+      );
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+// Throws on anything it cannot draw so callers never get a silently wrong shape.
+export function sampleSvgPath(d, curveSteps = 10) {
+  const tokens = tokenizeSvgPath(d);
+  const isCommand = (token) => /^[a-z]$/i.test(token);
+  const points = [];
+  let index = 0;
+  let command = "";
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // S and T reflect the previous curve's last control point, but only after a curve of their kind.
+  let previous = { kind: "", control: null };
+  const read = () => {
+    const token = tokens[index];
+    if (token === undefined || isCommand(token)) {
+      throw new Error(`Path command "${command}" is missing coordinates.`);
+    }
+    index += 1;
+    return Number(token);
+  };
+  const curveTo = (controls) => {
+    const all = [[x, y], ...controls];
+    const cubic = controls.length === 3;
+    for (let step = 1; step <= curveSteps; step += 1) {
+      const t = step / curveSteps;
+      const u = 1 - t;
+      const weights = cubic
+        ? [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t]
+        : [u * u, 2 * u * t, t * t];
+      points.push([
+        all.reduce((sum, point, i) => sum + point[0] * weights[i], 0),
+        all.reduce((sum, point, i) => sum + point[1] * weights[i], 0),
+      ]);
+    }
+    [x, y] = controls[controls.length - 1];
+  };
+
+  while (index < tokens.length) {
+    if (isCommand(tokens[index])) {
+      command = tokens[index];
+      index += 1;
+    } else if (!command) {
+      throw new Error("Path data must start with a command such as M.");
+    } else if (command.toUpperCase() === "Z") {
+      throw new Error(`Coordinates after "${command}" need a new path command.`);
+    }
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const baseX = relative ? x : 0;
+    const baseY = relative ? y : 0;
+    const readPoint = () => [baseX + read(), baseY + read()];
+    const reflectFrom = (kind) =>
+      previous.kind === kind ? [2 * x - previous.control[0], 2 * y - previous.control[1]] : [x, y];
+    let next = { kind: "", control: null };
+
+    switch (upper) {
+      case "M":
+        [x, y] = readPoint();
+        startX = x;
+        startY = y;
+        points.push([x, y]);
+        command = relative ? "l" : "L";
+        break;
+      case "L":
+        [x, y] = readPoint();
+        points.push([x, y]);
+        break;
+      case "H":
+        x = baseX + read();
+        points.push([x, y]);
+        break;
+      case "V":
+        y = baseY + read();
+        points.push([x, y]);
+        break;
+      case "C":
+      case "S": {
+        const first = upper === "C" ? readPoint() : reflectFrom("cubic");
+        const controls = [first, readPoint(), readPoint()];
+        next = { kind: "cubic", control: controls[1] };
+        curveTo(controls);
+        break;
+      }
+      case "Q":
+      case "T": {
+        const control = upper === "Q" ? readPoint() : reflectFrom("quadratic");
+        next = { kind: "quadratic", control };
+        curveTo([control, readPoint()]);
+        break;
+      }
+      default:
+        x = startX;
+        y = startY;
+    }
+    previous = next;
+  }
+  return points;
+}
+
+// Reads the right-hand end of an edge profile drawing as a cross-section: [inset, depth] pairs
+// from the finished face (depth 0) to the underside (depth 1), in units of slab thickness.
+// The drawings put the shaped arris at the bottom, so the walk is flipped before returning.
+export function edgeProfileSection(profile) {
+  const squareSection = [
+    [0, 0],
+    [0, 1],
+  ];
+  let points = [];
+  try {
+    points = sampleSvgPath(profile?.path);
+  } catch {
+    return squareSection;
+  }
+  if (points.length < 3) {
+    return squareSection;
+  }
+
+  const ys = points.map((point) => point[1]);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+  const outer = Math.max(...points.map((point) => point[0]));
+  const thickness = bottom - top;
+  const onTop = points.map((point) => Math.abs(point[1] - top) < 1e-6);
+  const startIndex = points.reduce(
+    (best, point, i) => (onTop[i] && (best < 0 || point[0] > points[best][0]) ? i : best),
+    -1
+  );
+  if (thickness <= 0 || startIndex < 0) {
+    return squareSection;
+  }
+
+  const section = [];
+  for (let step = 0; step < points.length; step += 1) {
+    const [px, py] = points[(startIndex + step) % points.length];
+    const entry = [(outer - px) / thickness, (py - top) / thickness];
+    const previous = section[section.length - 1];
+    if (!previous || Math.hypot(entry[0] - previous[0], entry[1] - previous[1]) > 1e-6) {
+      section.push(entry);
+    }
+    if (Math.abs(py - bottom) < 1e-6) {
+      break;
+    }
+  }
+  return section.length >= 2
+    ? section.reverse().map(([inset, depth]) => [inset, 1 - depth])
+    : squareSection;
+}
+
+function edgeProfileDraftPoints(draft) {
+  if (draft.format === "path") {
+    return sampleSvgPath(draft.source);
+  }
+  const numbers = (
+    String(draft.source || "").match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []
+  ).map(Number);
+  if (numbers.length % 2 !== 0) {
+    return [];
+  }
+  const points = [];
+  for (let index = 0; index < numbers.length; index += 2) {
+    points.push([numbers[index], numbers[index + 1]]);
+  }
+  return points;
+}
+
+// Draft points trace only the right-hand end, top line to underside; it is mirrored into a full
+// drawing so custom profiles render everywhere exactly like the built-in ones.
+export function buildCustomEdgeProfile(draft) {
+  const scale = draft.unit === "mm" ? 1 / MILLIMETERS_PER_INCH : 1;
+  let points = [];
+  try {
+    points = edgeProfileDraftPoints(draft).map(([x, y]) => [x * scale, y * scale]);
+  } catch (error) {
+    return { profile: null, error: error.message };
+  }
+  if (points.length < 2 || !points.every((point) => point.every(Number.isFinite))) {
+    return {
+      profile: null,
+      error: "Enter at least two points from the top line to the underside.",
+    };
+  }
+
+  const ordered = points[0][1] > points[points.length - 1][1] ? [...points].reverse() : points;
+  const top = Math.min(...ordered.map((point) => point[1]));
+  const bottom = Math.max(...ordered.map((point) => point[1]));
+  const thickness = bottom - top;
+  if (thickness <= 0) {
+    return { profile: null, error: "The section needs some height." };
+  }
+
+  const startIndex = ordered.reduce(
+    (last, point, index) => (Math.abs(point[1] - top) < 1e-9 ? index : last),
+    0
+  );
+  const endIndex = ordered.findIndex(
+    (point, index) => index >= startIndex && Math.abs(point[1] - bottom) < 1e-9
+  );
+  const chain = endIndex < 0 ? [] : ordered.slice(startIndex, endIndex + 1);
+  if (chain.length < 2) {
+    return { profile: null, error: "The profile must run from the top face to the bottom face." };
+  }
+
+  const outer = Math.max(...chain.map((point) => point[0]));
+  const frame = EDGE_DRAWING_FRAME;
+  const unitsPerInch = Math.min(
+    EDGE_DRAWING_UNITS_PER_INCH,
+    (frame.bottom - frame.top) / thickness
+  );
+  const right = chain.map(([x, y]) => [
+    frame.right - (outer - x) * unitsPerInch,
+    frame.top + (y - top) * unitsPerInch,
+  ]);
+  if (frame.right - Math.min(...right.map((point) => point[0])) >= (frame.right - frame.left) / 2) {
+    return { profile: null, error: "The profile reaches past the middle of the slab." };
+  }
+
+  const left = right.map(([x, y]) => [frame.left + frame.right - x, y]).reverse();
+  const round = (value) => Number(value.toFixed(2));
+  const path = [
+    `M${round(left[left.length - 1][0])} ${frame.top} H${round(right[0][0])}`,
+    ...[...right.slice(1), ...left.slice(0, -1)].map(([x, y]) => `L${round(x)} ${round(y)}`),
+    "Z",
+  ].join(" ");
+  const label = String(draft.label || "").trim();
+  const notes = String(draft.notes || "").trim();
+
+  return {
+    profile: {
+      id: draft.id,
+      label,
+      depthLabel: notes || `Custom ${round(thickness)} in thick section`,
+      path,
+      pricePerFoot: Math.max(0, Number(draft.pricePerFoot) || 0),
+      thicknessInches: round(thickness),
+      custom: true,
+      draft: { format: draft.format, unit: draft.unit, source: draft.source, notes },
+    },
+    error: label ? "" : "Name the profile before saving it.",
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { buildCustomEdgeProfile, edgeProfileSection, sampleSvgPath } from "./index.js";
+
+const draft = {
+  id: "custom-test",
+  label: "Test edge",
+  format: "points",
+  unit: "in",
+  source: "1.25 0\n1.25 0.9\n1.1 1.15\n0.85 1.25",
+  pricePerFoot: "12",
+  notes: "",
+};
+
+describe("sampleSvgPath", () => {
+  it("reads relative commands and exponent coordinates", () => {
+    expect(sampleSvgPath("M0 0 l1e1 0 v-5 Z")).toEqual([
+      [0, 0],
+      [10, 0],
+      [10, -5],
+    ]);
+  });
+
+  it("reflects the previous cubic control point for S", () => {
+    expect(sampleSvgPath("M0 0 C 0 1 1 1 1 0 S 2 -1 2 0", 1)).toEqual([
+      [0, 0],
+      [1, 0],
+      [2, 0],
+    ]);
+  });
+
+  it("rejects path data it cannot draw instead of looping or guessing", () => {
+    expect(() => sampleSvgPath("M0 0 A1 1 0 0 1 2 2")).toThrow('Path command "A"');
+    expect(() => sampleSvgPath("M0 0 L")).toThrow("missing coordinates");
+    expect(() => sampleSvgPath("10 10")).toThrow("must start with a command");
+  });
+});
+
+describe("edgeProfileSection", () => {
+  it("walks a built-in drawing from the finished face to the underside", () => {
+    const section = edgeProfileSection({ path: "M32 32 H490 V58 L458 98 H64 L32 58 Z" });
+
+    expect(section[0][1]).toBe(0);
+    expect(section[section.length - 1]).toEqual([0, 1]);
+    expect(section[0][0]).toBeCloseTo(32 / 66);
+  });
+
+  it("falls back to a square section for unreadable paths", () => {
+    expect(edgeProfileSection({ path: "M32 32 A" })).toEqual([
+      [0, 0],
+      [0, 1],
+    ]);
+  });
+});
+
+describe("buildCustomEdgeProfile", () => {
+  it("mirrors the drawn end into a full profile drawing", () => {
+    const { profile, error } = buildCustomEdgeProfile(draft);
+
+    expect(error).toBe("");
+    expect(profile.thicknessInches).toBe(1.25);
+    expect(profile.pricePerFoot).toBe(12);
+    expect(profile.path).toBe(
+      "M32 32 H490 L490 75.2 L482.8 87.2 L470.8 92 L51.2 92 L39.2 87.2 L32 75.2 Z"
+    );
+  });
+
+  it("converts millimetre drafts to inches", () => {
+    const { profile } = buildCustomEdgeProfile({ ...draft, unit: "mm", source: "30 0\n30 30" });
+
+    expect(profile.thicknessInches).toBeCloseTo(30 / 25.4, 2);
+  });
+
+  it("reports a section that never returns to the underside instead of throwing", () => {
+    const result = buildCustomEdgeProfile({ ...draft, source: "1 0\n1 1\n0.5 0" });
+
+    expect(result).toEqual({
+      profile: null,
+      error: "The profile must run from the top face to the bottom face.",
+    });
+  });
+
+  it("reports unreadable drafts as errors", () => {
+    expect(buildCustomEdgeProfile({ ...draft, source: "1 0 1" }).error).toMatch(
+      "at least two points"
+    );
+    expect(buildCustomEdgeProfile({ ...draft, source: "1 0\n2 0" }).error).toBe(
+      "The section needs some height."
+    );
+    expect(
+      buildCustomEdgeProfile({ ...draft, format: "path", source: "M0 0 A1 1 0 0 1 2 2" }).error
+    ).toMatch('Path command "A"');
+  });
+
+  it("asks for a name before the profile can be saved", () => {
+    const { profile, error } = buildCustomEdgeProfile({ ...draft, label: "  " });
+
+    expect(profile).not.toBeNull();
+    expect(error).toBe("Name the profile before saving it.");
+  });
+});
@@ -2,6 +2,8 @@ import "./styles.css";
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { PointerLockControls } from "three/examples/jsm/controls/PointerLockControls.js";
+import { SLAB_FILL_TUNING, processSlabImage } from "../slab-imaging/index.js";
+import { readStoredJson, writeStoredJson } from "../storage/index.js";
 
 const DEFAULT_COMPANY = "chivino";
 const DEFAULT_SCENE = "oceanview01";
@@ -9,17 +11,221 @@ const DEFAULT_COUNTERTOP_TEXTURE = "69c999fc663f92c30e28ffc64b049656";
 const SLABCLOUD_PROXY_PREFIX = "/slabcloud-proxy";
 const SKY_DISTANCE_TO_SCENE = 100;
 const MIN_SKY_RADIUS = 250;
+const SCENE_THUMBNAIL_WIDTH = 320;
+const SCENE_THUMBNAIL_HEIGHT = 180;
+const DEFAULT_SURFACE_GROUP = "countertops";
+const HOVER_OUTLINE_COLOR = 0xf1cb9d;
+const SELECTED_OUTLINE_COLOR = 0xe8a464;
+const OUTLINE_EDGE_THRESHOLD_DEGREES = 28;
+const CLICK_DRAG_TOLERANCE_PX = 5;
+const FPS_PICK_INTERVAL_MS = 120;
+const EXPORT_PRESETS = {
+  hd: { width: 1920, height: 1080 },
+  "2k": { width: 2560, height: 1440 },
+  "4k": { width: 3840, height: 2160 },
+  letter: { width: 3300, height: 2550 },
+};
+const EXPORT_BRAND_LABEL = "Chivino Surfaces";
+const COMPARE_MAX_SLOTS = 4;
+const COMPARE_SPLIT_LIMIT = 0.05;
+const DEFAULT_SLAB_LENGTH_METERS = 3.2;
+const DEFAULT_SLAB_WIDTH_METERS = 1.6;
+const SLAB_FINISH_PRESETS = {
+  polished: {
+    label: "Polished",
+    roughness: 0.08,
+    clearcoat: 1,
+    clearcoatRoughness: 0.04,
+    reflectivity: 0.6,
+    envMapIntensity: 1,
+  },
+  honed: {
+    label: "Honed",
+    roughness: 0.55,
+    clearcoat: 0,
+    clearcoatRoughness: 0.5,
+    reflectivity: 0.4,
+    envMapIntensity: 0.6,
+  },
+  leathered: {
+    label: "Leathered",
+    roughness: 0.72,
+    clearcoat: 0.15,
+    clearcoatRoughness: 0.65,
+    reflectivity: 0.35,
+    envMapIntensity: 0.5,
+  },
+  brushed: {
+    label: "Brushed",
+    roughness: 0.64,
+    clearcoat: 0.05,
+    clearcoatRoughness: 0.6,
+    reflectivity: 0.35,
+    envMapIntensity: 0.5,
+  },
+  flamed: {
+    label: "Flamed",
+    roughness: 0.9,
+    clearcoat: 0,
+    clearcoatRoughness: 1,
+    reflectivity: 0.25,
+    envMapIntensity: 0.35,
+  },
+};
+const SLAB_FINISH_ALIASES = [
+  ["polish", "polished"],
+  ["gloss", "polished"],
+  ["hone", "honed"],
+  ["matte", "honed"],
+  ["satin", "honed"],
+  ["leather", "leathered"],
+  ["suede", "leathered"],
+  ["brush", "brushed"],
+  ["flame", "flamed"],
+  ["thermal", "flamed"],
+];
+const DEFAULT_SLAB_FINISH = "polished";
+const SLAB_ANTI_TILING_SHADER = /* glsl */ `
+vec4 slabTileHash(vec2 p) {
+  return fract(
+    sin(vec4(
+      1.0 + dot(p, vec2(37.0, 17.0)),
+      2.0 + dot(p, vec2(11.0, 47.0)),
+      3.0 + dot(p, vec2(41.0, 29.0)),
+      4.0 + dot(p, vec2(23.0, 31.0))
+    )) * 103.0
+  );
+}
+
+vec4 slabTextureNoTile(sampler2D samp, vec2 uv) {
+  vec2 iuv = floor(uv);
+  vec2 fuv = fract(uv);
+  vec4 ofa = slabTileHash(iuv);
+  vec4 ofb = slabTileHash(iuv + vec2(1.0, 0.0));
+  vec4 ofc = slabTileHash(iuv + vec2(0.0, 1.0));
+  vec4 ofd = slabTileHash(iuv + vec2(1.0, 1.0));
+  vec2 ddx = dFdx(uv);
+  vec2 ddy = dFdy(uv);
+  ofa.zw = sign(ofa.zw - 0.5);
+  ofb.zw = sign(ofb.zw - 0.5);
+  ofc.zw = sign(ofc.zw - 0.5);
+  ofd.zw = sign(ofd.zw - 0.5);
+  vec2 b = smoothstep(0.25, 0.75, fuv);
+  return mix(
+    mix(
+      textureGrad(samp, uv * ofa.zw + ofa.xy, ddx * ofa.zw, ddy * ofa.zw),
+      textureGrad(samp, uv * ofb.zw + ofb.xy, ddx * ofb.zw, ddy * ofb.zw),
+      b.x
+    ),
+    mix(
+      textureGrad(samp, uv * ofc.zw + ofc.xy, ddx * ofc.zw, ddy * ofc.zw),
+      textureGrad(samp, uv * ofd.zw + ofd.xy, ddx * ofd.zw, ddy * ofd.zw),
+      b.x
+    ),
+    b.y
+  );
+}
+`;
+const SCENE_THUMBNAIL_STORAGE_KEY = "chivino-native-viewer:scene-thumbnails";
+const SNAPSHOT_CHANNEL_NAME = "chivino-native-viewer:snapshots";
+const SNAPSHOT_SIZE = { width: 1600, height: 900 };
+const LIGHTMAP_INTENSITY = 1;
 
 const params = new URLSearchParams(window.location.search);
 const company = params.get("company") || DEFAULT_COMPANY;
-const sceneName = params.get("scene") || DEFAULT_SCENE;
+const requestedSceneName = params.get("scene") || DEFAULT_SCENE;
 const requestedCountertopTexture =
   params.get("counteroptexture") ||
   params.get("countertoptexture") ||
   params.get("countertop") ||
   DEFAULT_COUNTERTOP_TEXTURE;
 
-const sceneBaseUrl = `${SLABCLOUD_PROXY_PREFIX}/3dv22/scenes/${sceneName}/`;
+function parsePositiveNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function slabSizeFrom(length, width) {
+  const lengthMeters = parsePositiveNumber(length);
+  const widthMeters = parsePositiveNumber(width);
+  if (!lengthMeters || !widthMeters) {
+    return null;
+  }
+  return {
+    length: Math.max(lengthMeters, widthMeters),
+    width: Math.min(lengthMeters, widthMeters),
+  };
+}
+
+const requestedSlabSize = slabSizeFrom(params.get("slablength"), params.get("slabwidth"));
+const requestedSlabFinish = String(params.get("finish") || "").trim();
+
+function parseVectorParam(value) {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => Number(part));
+  if (parts.length !== 3 || !parts.every((part) => Number.isFinite(part))) {
+    return null;
+  }
+  return new THREE.Vector3(parts[0], parts[1], parts[2]);
+}
+
+function parseSharedView(query) {
+  const position = parseVectorParam(query.get("cam"));
+  const target = parseVectorParam(query.get("target"));
+  if (!position || !target) {
+    return null;
+  }
+
+  const fov = Number(query.get("fov"));
+  return {
+    mode: query.get("mode") === "fps" ? "fps" : "orbit",
+    position,
+    target,
+    fov: Number.isFinite(fov) && fov > 10 && fov < 120 ? fov : null,
+  };
+}
+
+function parseSharedSurfaces(value) {
+  const selections = new Map();
+  String(value || "")
+    .split(",")
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0) {
+        return;
+      }
+      const groupId = decodeURIComponent(entry.slice(0, separator));
+      const textureId = decodeURIComponent(entry.slice(separator + 1)).trim();
+      if (groupId && textureId) {
+        selections.set(groupId, textureId);
+      }
+    });
+  return selections;
+}
+
+function parseSharedLayouts(value) {
+  const layouts = new Map();
+  String(value || "")
+    .split(",")
+    .forEach((entry) => {
+      const [groupId, ...numbers] = entry.split(":");
+      const [offsetX, offsetY, rotation] = numbers.map((number) => Number(number));
+      if (!groupId || ![offsetX, offsetY, rotation].every((number) => Number.isFinite(number))) {
+        return;
+      }
+      layouts.set(decodeURIComponent(groupId), { offsetX, offsetY, rotation });
+    });
+  return layouts;
+}
+
+const sharedView = parseSharedView(params);
+const sharedSurfaces = parseSharedSurfaces(params.get("surfaces"));
+const sharedLayouts = parseSharedLayouts(params.get("layouts"));
+
+function sceneBaseUrlFor(name) {
+  return `${SLABCLOUD_PROXY_PREFIX}/3dv22/scenes/${encodeURIComponent(name)}/`;
+}
 
 const dom = {
   canvas: document.getElementById("native-scene-canvas"),
@@ -28,10 +234,27 @@ const dom = {
   cameraModeButton: document.getElementById("camera-mode-button"),
   resetCameraButton: document.getElementById("reset-camera-button"),
   fpsHint: document.getElementById("fps-hint"),
-  textureSelect: document.getElementById("texture-select"),
-  textureSelectPreview: document.getElementById("texture-select-preview"),
-  applySelectionButton: document.getElementById("apply-selection-button"),
-  countertopTargets: document.getElementById("countertop-targets"),
+  surfaceGroupList: document.getElementById("surface-group-list"),
+  surfaceTargets: document.getElementById("surface-targets"),
+  sceneGalleryButton: document.getElementById("scene-gallery-button"),
+  sceneGalleryPanel: document.getElementById("scene-gallery-panel"),
+  sceneGalleryList: document.getElementById("scene-gallery-list"),
+  fpsCrosshair: document.getElementById("fps-crosshair"),
+  shareDesignButton: document.getElementById("share-design-button"),
+  shareLinkOutput: document.getElementById("share-link-output"),
+  exportResolutionSelect: document.getElementById("export-resolution-select"),
+  exportFormatSelect: document.getElementById("export-format-select"),
+  exportCaptionToggle: document.getElementById("export-caption-toggle"),
+  exportStillButton: document.getElementById("export-still-button"),
+  antiTilingToggle: document.getElementById("anti-tiling-toggle"),
+  compareLayoutSelect: document.getElementById("compare-layout-select"),
+  compareCountField: document.getElementById("compare-count-field"),
+  compareCountSelect: document.getElementById("compare-count-select"),
+  compareSlotList: document.getElementById("compare-slot-list"),
+  compareTarget: document.getElementById("compare-target"),
+  compareOverlay: document.getElementById("compare-overlay"),
+  compareDivider: document.getElementById("compare-divider"),
+  compareLabels: document.getElementById("compare-labels"),
 };
 
 if (!dom.canvas || !dom.status) {
@@ -43,6 +266,7 @@ const renderer = new THREE.WebGLRenderer({
   antialias: true,
   alpha: false,
   powerPreference: "high-performance",
+  preserveDrawingBuffer: true,
 });
 renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
@@ -92,7 +316,42 @@ scene.add(ground);
 const worldRoot = new THREE.Group();
 scene.add(worldRoot);
 
+const hoverOutlineRoot = new THREE.Group();
+hoverOutlineRoot.name = "surface-hover-outline";
+scene.add(hoverOutlineRoot);
+
+const selectedOutlineRoot = new THREE.Group();
+selectedOutlineRoot.name = "surface-selected-outline";
+scene.add(selectedOutlineRoot);
+
+const hoverOutlineMaterial = new THREE.LineBasicMaterial({
+  color: HOVER_OUTLINE_COLOR,
+  transparent: true,
+  opacity: 0.75,
+  depthTest: false,
+  toneMapped: false,
+});
+const selectedOutlineMaterial = new THREE.LineBasicMaterial({
+  color: SELECTED_OUTLINE_COLOR,
+  depthTest: false,
+  toneMapped: false,
+});
+
 const runtime = {
+  sceneName: requestedSceneName,
+  sceneBaseUrl: sceneBaseUrlFor(requestedSceneName),
+  sceneCatalog: [],
+  sceneThumbnails: new Map(),
+  sceneLoading: false,
+  surfaceTextureSelections: new Map(sharedSurfaces),
+  pendingSurfaceLayouts: new Map(sharedLayouts),
+  slabSizes: new Map(requestedSlabSize ? [[requestedCountertopTexture, requestedSlabSize]] : []),
+  slabFinishes: new Map(
+    requestedSlabFinish ? [[requestedCountertopTexture, requestedSlabFinish]] : []
+  ),
+  layoutEditGroupId: "",
+  antiTiling: params.get("antitile") !== "0",
+  layoutDrag: null,
   sceneJson: null,
   configJson: null,
   exteriorMode: "none",
@@ -103,14 +362,24 @@ const runtime = {
   defaultOrbitTarget: new THREE.Vector3(0, 0, 1.2),
   defaultFpsPosition: new THREE.Vector3(0, -8, 1.6),
   materialByIndex: new Map(),
+  lightMapTextures: [],
+  lightMappedMaterials: new Map(),
   meshesByMaterialIndex: new Map(),
   meshesByNodeId: new Map(),
-  countertopMaterialIndexes: [],
-  countertopNodeIds: [],
-  countertopMaterials: [],
-  countertopOverrideMaterials: new Map(),
-  countertopMeshes: [],
-  countertopNormalsHarmonized: false,
+  surfaceGroups: [],
+  activeSurfaceGroupId: "",
+  hoveredSurfaceGroupId: "",
+  pickPointer: new THREE.Vector2(),
+  pickPending: false,
+  lastFpsPickAt: 0,
+  pointerDownAt: null,
+  compare: {
+    layout: "off",
+    groupId: "",
+    slotCount: 2,
+    split: 0.5,
+    slots: [],
+  },
   skyMesh: null,
   skyEnvironmentMap: null,
   skyRadius: MIN_SKY_RADIUS,
@@ -128,6 +397,8 @@ externalTextureLoader.setCrossOrigin("anonymous");
 
 const scratchVecA = new THREE.Vector3();
 const scratchVecB = new THREE.Vector3();
+const scratchBox = new THREE.Box3();
+const raycaster = new THREE.Raycaster();
 
 function setStatus(message, isError = false) {
   if (!dom.status) {
@@ -144,21 +415,23 @@ function refreshSceneMeta() {
   }
 
   const exteriorLabel = runtime.exteriorMode === "sky" ? "Sky" : "None";
-  dom.sceneMeta.textContent = `Company: ${company}  |  Scene: ${sceneName}  |  Exterior: ${exteriorLabel}`;
+  dom.sceneMeta.textContent = `Company: ${company}  |  Scene: ${runtime.sceneName}  |  Exterior: ${exteriorLabel}`;
 }
 
-function setCountertopTargets(names) {
-  if (!dom.countertopTargets) {
+function setSurfaceTargets(groups) {
+  if (!dom.surfaceTargets) {
     return;
   }
 
-  if (!names.length) {
-    dom.countertopTargets.textContent =
-      "Countertop target materials were not detected in this scene config.";
+  if (!groups.length) {
+    dom.surfaceTargets.textContent =
+      "Selectable surface materials were not detected in this scene config.";
     return;
   }
 
-  dom.countertopTargets.textContent = `Targets: ${names.join(", ")}`;
+  dom.surfaceTargets.textContent = `Targets: ${groups
+    .map((group) => `${group.label} (${group.materialNames.join(", ")})`)
+    .join("; ")}`;
 }
 
 function clamp01(value, fallback) {
@@ -169,325 +442,6 @@ function clamp01(value, fallback) {
   return Math.min(Math.max(parsed, 0), 1);
 }
 
-function medianValue(values) {
-  if (!values.length) {
-    return 0;
-  }
-  const sorted = [...values].sort((a, b) => a - b);
-  return sorted[Math.floor(sorted.length / 2)];
-}
-
-function estimateBackdropFromCorners(data, width, height) {
-  const size = Math.max(8, Math.floor(Math.min(width, height) * 0.06));
-  const step = Math.max(1, Math.floor(size / 10));
-  const cornerOffsets = [
-    [0, 0],
-    [Math.max(0, width - size), 0],
-    [0, Math.max(0, height - size)],
-    [Math.max(0, width - size), Math.max(0, height - size)],
-  ];
-
-  const reds = [];
-  const greens = [];
-  const blues = [];
-
-  cornerOffsets.forEach(([offsetX, offsetY]) => {
-    const endX = Math.min(width, offsetX + size);
-    const endY = Math.min(height, offsetY + size);
-    for (let y = offsetY; y < endY; y += step) {
-      for (let x = offsetX; x < endX; x += step) {
-        const index = (y * width + x) * 4;
-        reds.push(data[index]);
-        greens.push(data[index + 1]);
-        blues.push(data[index + 2]);
-      }
-    }
-  });
-
-  const red = medianValue(reds);
-  const green = medianValue(greens);
-  const blue = medianValue(blues);
-
-  const distances = [];
-  for (let i = 0; i < reds.length; i += 1) {
-    const dr = reds[i] - red;
-    const dg = greens[i] - green;
-    const db = blues[i] - blue;
-    distances.push(Math.sqrt(dr * dr + dg * dg + db * db));
-  }
-  distances.sort((a, b) => a - b);
-  const p85Index = Math.min(distances.length - 1, Math.floor(distances.length * 0.85));
-  const p85 = distances[p85Index] || 0;
-  const threshold = Math.max(20, Math.min(84, p85 + 18));
-
-  return { red, green, blue, threshold };
-}
-
-function cropAndFillCountertopTextureImage(image) {
-  const width =
-    image?.naturalWidth || image?.videoWidth || image?.width || image?.clientWidth || 0;
-  const height =
-    image?.naturalHeight || image?.videoHeight || image?.height || image?.clientHeight || 0;
-  if (!width || !height) {
-    return null;
-  }
-
-  const sourceCanvas = document.createElement("canvas");
-  sourceCanvas.width = width;
-  sourceCanvas.height = height;
-  const sourceContext = sourceCanvas.getContext("2d", { willReadFrequently: true });
-  if (!sourceContext) {
-    return null;
-  }
-  sourceContext.drawImage(image, 0, 0, width, height);
-
-  let sourceImage;
-  try {
-    sourceImage = sourceContext.getImageData(0, 0, width, height);
-  } catch {
-    return null;
-  }
-
-  const sourceData = sourceImage.data;
-  const totalPixels = width * height;
-  const backdrop = estimateBackdropFromCorners(sourceData, width, height);
-  const thresholdSquared = backdrop.threshold * backdrop.threshold;
-  const backgroundMask = new Uint8Array(totalPixels);
-  const visited = new Uint8Array(totalPixels);
-  const queue = new Uint32Array(totalPixels);
-  let queueStart = 0;
-  let queueEnd = 0;
-
-  const enqueueIfBackground = (x, y) => {
-    const index = y * width + x;
-    if (visited[index]) {
-      return;
-    }
-    visited[index] = 1;
-
-    const offset = index * 4;
-    const alpha = sourceData[offset + 3];
-    if (alpha < 8) {
-      backgroundMask[index] = 1;
-      queue[queueEnd] = index;
-      queueEnd += 1;
-      return;
-    }
-
-    const dr = sourceData[offset] - backdrop.red;
-    const dg = sourceData[offset + 1] - backdrop.green;
-    const db = sourceData[offset + 2] - backdrop.blue;
-    const distanceSquared = dr * dr + dg * dg + db * db;
-    if (distanceSquared <= thresholdSquared) {
-      backgroundMask[index] = 1;
-      queue[queueEnd] = index;
-      queueEnd += 1;
-    }
-  };
-
-  for (let x = 0; x < width; x += 1) {
-    enqueueIfBackground(x, 0);
-    enqueueIfBackground(x, height - 1);
-  }
-  for (let y = 0; y < height; y += 1) {
-    enqueueIfBackground(0, y);
-    enqueueIfBackground(width - 1, y);
-  }
-
-  while (queueStart < queueEnd) {
-    const index = queue[queueStart];
-    queueStart += 1;
-    const x = index % width;
-    const y = Math.floor(index / width);
-
-    if (x > 0) {
-      enqueueIfBackground(x - 1, y);
-    }
-    if (x < width - 1) {
-      enqueueIfBackground(x + 1, y);
-    }
-    if (y > 0) {
-      enqueueIfBackground(x, y - 1);
-    }
-    if (y < height - 1) {
-      enqueueIfBackground(x, y + 1);
-    }
-  }
-
-  let minX = width;
-  let minY = height;
-  let maxX = -1;
-  let maxY = -1;
-  let foregroundCount = 0;
-
-  for (let index = 0; index < totalPixels; index += 1) {
-    if (backgroundMask[index]) {
-      continue;
-    }
-    foregroundCount += 1;
-    const x = index % width;
-    const y = Math.floor(index / width);
-    if (x < minX) {
-      minX = x;
-    }
-    if (x > maxX) {
-      maxX = x;
-    }
-    if (y < minY) {
-      minY = y;
-    }
-    if (y > maxY) {
-      maxY = y;
-    }
-  }
-
-  if (foregroundCount === 0) {
-    return null;
-  }
-
-  const foregroundRatio = foregroundCount / totalPixels;
-  if (foregroundRatio < 0.04) {
-    return null;
-  }
-
-  const padding = Math.max(2, Math.floor(Math.min(width, height) * 0.01));
-  minX = Math.max(0, minX - padding);
-  minY = Math.max(0, minY - padding);
-  maxX = Math.min(width - 1, maxX + padding);
-  maxY = Math.min(height - 1, maxY + padding);
-
-  const cropWidth = maxX - minX + 1;
-  const cropHeight = maxY - minY + 1;
-  if (cropWidth < 8 || cropHeight < 8) {
-    return null;
-  }
-
-  const colorCanvas = document.createElement("canvas");
-  colorCanvas.width = cropWidth;
-  colorCanvas.height = cropHeight;
-  const colorContext = colorCanvas.getContext("2d", { willReadFrequently: true });
-  if (!colorContext) {
-    return null;
-  }
-  colorContext.drawImage(
-    sourceCanvas,
-    minX,
-    minY,
-    cropWidth,
-    cropHeight,
-    0,
-    0,
-    cropWidth,
-    cropHeight
-  );
-
-  let colorImage;
-  try {
-    colorImage = colorContext.getImageData(0, 0, cropWidth, cropHeight);
-  } catch {
-    return colorCanvas;
-  }
-
-  const colorData = colorImage.data;
-  const cropPixels = cropWidth * cropHeight;
-  const cropBackgroundMask = new Uint8Array(cropPixels);
-  let backgroundPixelsInCrop = 0;
-  let avgR = 0;
-  let avgG = 0;
-  let avgB = 0;
-  let avgCount = 0;
-
-  for (let y = 0; y < cropHeight; y += 1) {
-    for (let x = 0; x < cropWidth; x += 1) {
-      const sourceIndex = (y + minY) * width + (x + minX);
-      const cropIndex = y * cropWidth + x;
-      if (backgroundMask[sourceIndex]) {
-        cropBackgroundMask[cropIndex] = 1;
-        backgroundPixelsInCrop += 1;
-      } else {
-        const offset = cropIndex * 4;
-        avgR += colorData[offset];
-        avgG += colorData[offset + 1];
-        avgB += colorData[offset + 2];
-        avgCount += 1;
-      }
-    }
-  }
-
-  if (!backgroundPixelsInCrop) {
-    return colorCanvas;
-  }
-
-  const copyColor = (fromIndex, toIndex) => {
-    const fromOffset = fromIndex * 4;
-    const toOffset = toIndex * 4;
-    colorData[toOffset] = colorData[fromOffset];
-    colorData[toOffset + 1] = colorData[fromOffset + 1];
-    colorData[toOffset + 2] = colorData[fromOffset + 2];
-    colorData[toOffset + 3] = 255;
-    cropBackgroundMask[toIndex] = 0;
-  };
-
-  for (let y = 0; y < cropHeight; y += 1) {
-    let lastSolid = -1;
-    for (let x = 0; x < cropWidth; x += 1) {
-      const idx = y * cropWidth + x;
-      if (!cropBackgroundMask[idx]) {
-        lastSolid = idx;
-      } else if (lastSolid >= 0) {
-        copyColor(lastSolid, idx);
-      }
-    }
-    lastSolid = -1;
-    for (let x = cropWidth - 1; x >= 0; x -= 1) {
-      const idx = y * cropWidth + x;
-      if (!cropBackgroundMask[idx]) {
-        lastSolid = idx;
-      } else if (lastSolid >= 0) {
-        copyColor(lastSolid, idx);
-      }
-    }
-  }
-
-  for (let x = 0; x < cropWidth; x += 1) {
-    let lastSolid = -1;
-    for (let y = 0; y < cropHeight; y += 1) {
-      const idx = y * cropWidth + x;
-      if (!cropBackgroundMask[idx]) {
-        lastSolid = idx;
-      } else if (lastSolid >= 0) {
-        copyColor(lastSolid, idx);
-      }
-    }
-    lastSolid = -1;
-    for (let y = cropHeight - 1; y >= 0; y -= 1) {
-      const idx = y * cropWidth + x;
-      if (!cropBackgroundMask[idx]) {
-        lastSolid = idx;
-      } else if (lastSolid >= 0) {
-        copyColor(lastSolid, idx);
-      }
-    }
-  }
-
-  const fallbackR = avgCount ? Math.round(avgR / avgCount) : 180;
-  const fallbackG = avgCount ? Math.round(avgG / avgCount) : 180;
-  const fallbackB = avgCount ? Math.round(avgB / avgCount) : 180;
-  for (let index = 0; index < cropPixels; index += 1) {
-    if (!cropBackgroundMask[index]) {
-      continue;
-    }
-    const offset = index * 4;
-    colorData[offset] = fallbackR;
-    colorData[offset + 1] = fallbackG;
-    colorData[offset + 2] = fallbackB;
-    colorData[offset + 3] = 255;
-  }
-
-  colorContext.putImageData(colorImage, 0, 0);
-  return colorCanvas;
-}
-
 function encodePathSegments(input) {
   return String(input || "")
     .split("/")
@@ -495,17 +449,6 @@ function encodePathSegments(input) {
     .join("/");
 }
 
-function minBytesToHold(maxValue) {
-  const absolute = Math.abs(Number(maxValue) || 0);
-  if (absolute <= 0x7f) {
-    return 1;
-  }
-  if (absolute <= 0x7fff) {
-    return 2;
-  }
-  return 4;
-}
-
 function rgbArrayToColor(value, fallback = 0xffffff) {
   if (!Array.isArray(value) || value.length < 3) {
     return new THREE.Color(fallback);
@@ -517,197 +460,6 @@ function rgbArrayToColor(value, fallback = 0xffffff) {
   );
 }
 
-function getFloat32At(floatBuffer, byteOffset, length) {
-  const start = Math.floor(byteOffset / 4);
-  const end = start + length;
-  if (start < 0 || end > floatBuffer.length) {
-    return null;
-  }
-  return floatBuffer.subarray(start, end);
-}
-
-function parseMeshProps(meshesBuffer, boundsBuffer) {
-  const ints = new Int32Array(meshesBuffer);
-  const floats = new Float32Array(meshesBuffer);
-  const boundsFloats = new Float32Array(boundsBuffer);
-
-  const version = ints[0] || 0;
-  const stride = ints[1] || 0;
-  if (stride < 21) {
-    throw new Error(`Unsupported mesh layout stride: ${stride}`);
-  }
-
-  const meshProps = [];
-  for (let offset = 2; offset + 20 < ints.length; offset += stride) {
-    const faceCount = ints[offset + 4];
-    const vertexCount = ints[offset + 6];
-    if (faceCount <= 0 || vertexCount <= 0) {
-      continue;
-    }
-
-    const props = {
-      nodeId: ints[offset],
-      materialIdx: ints[offset + 1],
-      useFaces16: ints[offset + 2] === 1,
-      faceByteOffset: ints[offset + 3],
-      faceCnt: faceCount,
-      vertexByteOffset: ints[offset + 5],
-      vertexCnt: vertexCount,
-      normalByteOffset: ints[offset + 7],
-      uv0ByteOffset: ints[offset + 8],
-      uv1ByteOffset: ints[offset + 9],
-      lightMapIdx: ints[offset + 10],
-      uv1CoordUScale: floats[offset + 11],
-      uv1CoordVScale: floats[offset + 12],
-      uv1CoordUOffset: ints[offset + 13],
-      uv1CoordVOffset: ints[offset + 14],
-      transformByteOffset: ints[offset + 15],
-      boundsByteOffset: ints[offset + 16],
-      quantVertexRange: floats[offset + 17],
-      quantVertexMax: ints[offset + 18],
-      quantUv0Range: floats[offset + 19],
-      quantUv0Max: ints[offset + 20],
-      autoLightmapResolution: version >= 2 ? ints[offset + 21] : -1,
-      bounds: null,
-    };
-
-    const boundsOffset = Math.floor(props.boundsByteOffset / 4);
-    if (boundsOffset >= 0 && boundsOffset + 6 < boundsFloats.length) {
-      const maxX = boundsFloats[boundsOffset];
-      const maxY = boundsFloats[boundsOffset + 1];
-      const maxZ = boundsFloats[boundsOffset + 2];
-      const minX = boundsFloats[boundsOffset + 3];
-      const minY = boundsFloats[boundsOffset + 4];
-      const minZ = boundsFloats[boundsOffset + 5];
-
-      if (
-        Number.isFinite(maxX) &&
-        Number.isFinite(maxY) &&
-        Number.isFinite(maxZ) &&
-        Number.isFinite(minX) &&
-        Number.isFinite(minY) &&
-        Number.isFinite(minZ)
-      ) {
-        props.bounds = new THREE.Box3(
-          new THREE.Vector3(minX, minY, minZ),
-          new THREE.Vector3(maxX, maxY, maxZ)
-        );
-      }
-    }
-
-    meshProps.push(props);
-  }
-
-  return meshProps;
-}
-
-function transformPoint(matrix, x, y, z, output, outputOffset) {
-  output[outputOffset] = matrix[0] * x + matrix[1] * y + matrix[2] * z + matrix[3];
-  output[outputOffset + 1] = matrix[4] * x + matrix[5] * y + matrix[6] * z + matrix[7];
-  output[outputOffset + 2] = matrix[8] * x + matrix[9] * y + matrix[10] * z + matrix[11];
-}
-
-function decodeMeshGeometry(meshProps, buffers, views) {
-  const vertexBytes = minBytesToHold(meshProps.quantVertexMax);
-  const vertexFactor =
-    meshProps.quantVertexMax !== 0
-      ? meshProps.quantVertexRange / meshProps.quantVertexMax
-      : 1;
-
-  let vertexArray = null;
-  let vertexElementOffset = 0;
-  if (vertexBytes === 1) {
-    vertexArray = views.vertices8;
-    vertexElementOffset = meshProps.vertexByteOffset;
-  } else if (vertexBytes === 2) {
-    vertexArray = views.vertices16;
-    vertexElementOffset = Math.floor(meshProps.vertexByteOffset / 2);
-  } else {
-    vertexArray = views.vertices32;
-    vertexElementOffset = Math.floor(meshProps.vertexByteOffset / 4);
-  }
-
-  const vertexElementCount = meshProps.vertexCnt * 3;
-  if (
-    vertexElementOffset < 0 ||
-    vertexElementOffset + vertexElementCount > vertexArray.length
-  ) {
-    return null;
-  }
-
-  const transformMatrix = getFloat32At(views.transforms, meshProps.transformByteOffset, 16);
-  if (!transformMatrix) {
-    return null;
-  }
-
-  const faceArray = meshProps.useFaces16 ? views.faces16 : views.faces32;
-  if (!faceArray) {
-    return null;
-  }
-
-  const faceElementOffset = Math.floor(
-    meshProps.faceByteOffset / (meshProps.useFaces16 ? 2 : 4)
-  );
-  const faceElementCount = meshProps.faceCnt * 3;
-  if (
-    faceElementOffset < 0 ||
-    faceElementOffset + faceElementCount > faceArray.length
-  ) {
-    return null;
-  }
-
-  const positions = new Float32Array(vertexElementCount);
-  for (let vertexIndex = 0; vertexIndex < meshProps.vertexCnt; vertexIndex += 1) {
-    const sourceIndex = vertexElementOffset + vertexIndex * 3;
-    const x = vertexArray[sourceIndex] * vertexFactor;
-    const y = vertexArray[sourceIndex + 1] * vertexFactor;
-    const z = vertexArray[sourceIndex + 2] * vertexFactor;
-    transformPoint(transformMatrix, x, y, z, positions, vertexIndex * 3);
-  }
-
-  const indices = new Uint32Array(faceElementCount);
-  for (let i = 0; i < faceElementCount; i += 1) {
-    const rawIndex = faceArray[faceElementOffset + i];
-    indices[i] = rawIndex < meshProps.vertexCnt ? rawIndex : 0;
-  }
-
-  let uvs = null;
-  if (meshProps.uv0ByteOffset >= 0 && views.uvsF32 && views.uvsU16) {
-    uvs = new Float32Array(meshProps.vertexCnt * 2);
-
-    if (meshProps.quantUv0Max === 0) {
-      const uvElementOffset = Math.floor(meshProps.uv0ByteOffset / 4);
-      const uvElementCount = meshProps.vertexCnt * 2;
-      if (uvElementOffset + uvElementCount <= views.uvsF32.length) {
-        for (let i = 0; i < uvElementCount; i += 1) {
-          uvs[i] = views.uvsF32[uvElementOffset + i];
-        }
-      }
-    } else {
-      const uvFactor =
-        meshProps.quantUv0Max !== 0 ? meshProps.quantUv0Range / meshProps.quantUv0Max : 1;
-      const uvElementOffset = Math.floor(meshProps.uv0ByteOffset / 2);
-      const uvElementCount = meshProps.vertexCnt * 2;
-      if (uvElementOffset + uvElementCount <= views.uvsU16.length) {
-        for (let i = 0; i < uvElementCount; i += 1) {
-          uvs[i] = views.uvsU16[uvElementOffset + i] * uvFactor;
-        }
-      }
-    }
-  }
-
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
-  if (uvs) {
-    geometry.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
-  }
-  geometry.computeVertexNormals();
-  geometry.computeBoundingBox();
-  geometry.computeBoundingSphere();
-  return geometry;
-}
-
 async function fetchJson(url) {
   const response = await fetch(url);
   if (!response.ok) {
@@ -716,14 +468,6 @@ async function fetchJson(url) {
   return response.json();
 }
 
-async function fetchBuffer(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Request failed: ${response.status} (${url})`);
-  }
-  return response.arrayBuffer();
-}
-
 function buildSceneTextureCandidates(textureDefinition) {
   const id = encodePathSegments(textureDefinition.id);
   const extension = textureDefinition.stdExt || textureDefinition.rawExt || "jpg";
@@ -734,13 +478,13 @@ function buildSceneTextureCandidates(textureDefinition) {
 
   for (const format of formats) {
     if (String(format).endsWith("/std")) {
-      candidates.push(`${sceneBaseUrl}img/${format}/${id}.${extension}`);
+      candidates.push(`${runtime.sceneBaseUrl}img/${format}/${id}.${extension}`);
     }
   }
 
-  candidates.push(`${sceneBaseUrl}img/small/std/${id}.${extension}`);
-  candidates.push(`${sceneBaseUrl}img/large/std/${id}.${extension}`);
-  candidates.push(`${sceneBaseUrl}${id}.${extension}`);
+  candidates.push(`${runtime.sceneBaseUrl}img/small/std/${id}.${extension}`);
+  candidates.push(`${runtime.sceneBaseUrl}img/large/std/${id}.${extension}`);
+  candidates.push(`${runtime.sceneBaseUrl}${id}.${extension}`);
 
   return Array.from(new Set(candidates));
 }
@@ -893,9 +637,77 @@ function buildTextureLookup(sceneJson) {
       textureLookup.set(sky.texture.id, sky.texture);
     }
   }
+  for (const lightMap of sceneLightMapDefinitions(sceneJson)) {
+    if (lightMap?.id) {
+      textureLookup.set(lightMap.id, lightMap);
+    }
+  }
   return textureLookup;
 }
 
+function sceneLightMapDefinitions(sceneJson) {
+  const entries = Array.isArray(sceneJson?.lightmaps)
+    ? sceneJson.lightmaps
+    : Array.isArray(sceneJson?.lightMaps)
+    ? sceneJson.lightMaps
+    : [];
+  return entries.map((entry) => (entry?.texture?.id ? entry.texture : entry));
+}
+
+async function loadLightMapTextures(sceneJson, usedLightMapIndexes) {
+  const definitions = sceneLightMapDefinitions(sceneJson);
+  const textures = new Array(definitions.length).fill(null);
+
+  await Promise.all(
+    usedLightMapIndexes.map(async (index) => {
+      const definition = definitions[index];
+      if (!definition?.id) {
+        return;
+      }
+
+      const sharedTexture = await loadSceneTexture(definition);
+      if (!sharedTexture) {
+        return;
+      }
+
+      const lightMap = sharedTexture.clone();
+      lightMap.channel = 1;
+      lightMap.flipY = false;
+      lightMap.wrapS = THREE.ClampToEdgeWrapping;
+      lightMap.wrapT = THREE.ClampToEdgeWrapping;
+      lightMap.needsUpdate = true;
+      textures[index] = lightMap;
+    })
+  );
+
+  return textures;
+}
+
+function resolveMeshMaterial(props, geometry) {
+  const baseMaterial = runtime.materialByIndex.get(props.materialIdx);
+  if (!baseMaterial) {
+    return null;
+  }
+
+  const lightMap = runtime.lightMapTextures[props.lightMapIdx];
+  if (!lightMap || !geometry.getAttribute("uv1")) {
+    return baseMaterial;
+  }
+
+  const cacheKey = `${props.materialIdx}:${props.lightMapIdx}`;
+  const cached = runtime.lightMappedMaterials.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const material = baseMaterial.clone();
+  material.lightMap = lightMap;
+  material.lightMapIntensity = LIGHTMAP_INTENSITY;
+  material.needsUpdate = true;
+  runtime.lightMappedMaterials.set(cacheKey, material);
+  return material;
+}
+
 async function buildMaterialMap(sceneJson, usedMaterialIndexes, textureLookup) {
 
   const fallback = new THREE.MeshStandardMaterial({
@@ -1089,27 +901,52 @@ async function applySceneExterior(sceneJson, textureLookup) {
   return true;
 }
 
-function extractCountertopMaterialNames(configJson) {
-  const names = new Set();
+function surfaceGroupLabel(groupId, definition) {
+  const authored = definition?.label || definition?.name;
+  if (authored) {
+    return String(authored);
+  }
+  return String(groupId)
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+function extractSurfaceGroups(configJson) {
   const targetGroups = configJson?.targetGroups || {};
   const selectionGroups = configJson?.selectionGroups || {};
-  const countertopTargets = Array.isArray(selectionGroups.countertops)
-    ? selectionGroups.countertops
-    : ["countertop"];
-
-  countertopTargets.forEach((groupId) => {
-    const group = targetGroups[groupId];
-    if (!group || !Array.isArray(group.materials)) {
-      return;
-    }
-    group.materials.forEach((name) => {
-      if (name) {
-        names.add(name);
+  const selectionEntries = Object.keys(selectionGroups).length
+    ? Object.entries(selectionGroups)
+    : Object.keys(targetGroups).length
+    ? Object.keys(targetGroups).map((groupId) => [groupId, [groupId]])
+    : [[DEFAULT_SURFACE_GROUP, ["countertop"]]];
+
+  return selectionEntries.map(([groupId, selection]) => {
+    const targetIds = Array.isArray(selection)
+      ? selection
+      : Array.isArray(selection?.targets)
+      ? selection.targets
+      : [groupId];
+    const names = new Set();
+
+    targetIds.forEach((targetId) => {
+      const group = targetGroups[targetId];
+      if (!group || !Array.isArray(group.materials)) {
+        return;
       }
+      group.materials.forEach((name) => {
+        if (name) {
+          names.add(name);
+        }
+      });
     });
-  });
 
-  return names;
+    return {
+      id: groupId,
+      label: surfaceGroupLabel(groupId, Array.isArray(selection) ? null : selection),
+      materialNameSet: names,
+    };
+  });
 }
 
 function extractMaterialNameFromNodeConfig(configValue) {
@@ -1130,9 +967,9 @@ function extractMaterialNameFromNodeConfig(configValue) {
   return source.slice(1, endBrace).trim();
 }
 
-function extractCountertopNodeIds(sceneNodes, countertopMaterialNames) {
+function extractSurfaceNodeIds(sceneNodes, surfaceMaterialNames) {
   const nodeIds = new Set();
-  if (!Array.isArray(sceneNodes) || !countertopMaterialNames?.size) {
+  if (!Array.isArray(sceneNodes) || !surfaceMaterialNames?.size) {
     return nodeIds;
   }
 
@@ -1148,7 +985,7 @@ function extractCountertopNodeIds(sceneNodes, countertopMaterialNames) {
       extractMaterialNameFromNodeConfig(node.meshType);
     if (
       configMaterialName &&
-      countertopMaterialNames.has(configMaterialName) &&
+      surfaceMaterialNames.has(configMaterialName) &&
       Number.isInteger(node.id)
     ) {
       nodeIds.add(node.id);
@@ -1268,6 +1105,266 @@ function resetCamera() {
   orbitControls.update();
 }
 
+function formatVectorParam(vector) {
+  return [vector.x, vector.y, vector.z].map((value) => Number(value.toFixed(3))).join(",");
+}
+
+function currentViewTarget(output) {
+  if (runtime.cameraMode === "fps") {
+    camera.getWorldDirection(output);
+    return output.add(camera.position);
+  }
+  return output.copy(orbitControls.target);
+}
+
+function applySharedView(view) {
+  if (!view) {
+    return;
+  }
+
+  if (view.fov) {
+    camera.fov = view.fov;
+    camera.updateProjectionMatrix();
+  }
+  setCameraMode(view.mode);
+  camera.position.copy(view.position);
+  if (view.mode === "fps") {
+    camera.lookAt(view.target);
+    return;
+  }
+  orbitControls.target.copy(view.target);
+  orbitControls.update();
+}
+
+function buildShareUrl() {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = "";
+
+  const query = url.searchParams;
+  query.set("company", company);
+  query.set("scene", runtime.sceneName);
+  if (params.get("scenes")) {
+    query.set("scenes", params.get("scenes"));
+  }
+  query.set("mode", runtime.cameraMode);
+  query.set("cam", formatVectorParam(camera.position));
+  query.set("target", formatVectorParam(currentViewTarget(scratchVecA)));
+  query.set("fov", camera.fov.toFixed(1));
+
+  const surfaces = runtime.surfaceGroups
+    .filter((group) => group.textureId)
+    .map((group) => `${encodeURIComponent(group.id)}:${encodeURIComponent(group.textureId)}`);
+  query.set("surfaces", surfaces.join(","));
+
+  const layouts = runtime.surfaceGroups
+    .filter(
+      (group) =>
+        group.textureId &&
+        (group.layout.offsetX || group.layout.offsetY || group.layout.rotation)
+    )
+    .map((group) =>
+      [
+        encodeURIComponent(group.id),
+        Number(group.layout.offsetX.toFixed(3)),
+        Number(group.layout.offsetY.toFixed(3)),
+        Number(group.layout.rotation.toFixed(1)),
+      ].join(":")
+    );
+  if (layouts.length) {
+    query.set("layouts", layouts.join(","));
+  }
+
+  const countertopGroup = defaultSurfaceGroup();
+  if (countertopGroup?.textureId) {
+    query.set("counteroptexture", countertopGroup.textureId);
+    const size = slabSizeForTexture(countertopGroup.textureId);
+    if (!size.isDefault) {
+      query.set("slablength", String(size.length));
+      query.set("slabwidth", String(size.width));
+    }
+    const finish = slabFinishForTexture(countertopGroup.textureId);
+    if (finish) {
+      query.set("finish", finish);
+    }
+  }
+
+  return url.toString();
+}
+
+async function shareDesign() {
+  const shareUrl = buildShareUrl();
+  window.history.replaceState(null, "", shareUrl);
+
+  if (dom.shareLinkOutput) {
+    dom.shareLinkOutput.hidden = false;
+    dom.shareLinkOutput.value = shareUrl;
+  }
+
+  try {
+    await navigator.clipboard.writeText(shareUrl);
+    setStatus("Design link copied to clipboard.");
+  } catch {
+    dom.shareLinkOutput?.select();
+    setStatus("Design link ready. Copy it from the field below the share button.");
+  }
+}
+
+function surfaceCaptionLines() {
+  return runtime.surfaceGroups
+    .filter((group) => group.textureId)
+    .map((group) => {
+      const entry = runtime.textureCatalog.find((item) => item.file === group.textureId);
+      const slabName = entry?.slabName || group.textureId;
+      return `${group.label}: ${slabName} (${entry?.material || "Stone"})`;
+    });
+}
+
+function drawExportCaption(context, width, height) {
+  const lines = surfaceCaptionLines();
+  const fontSize = Math.max(18, Math.round(height * 0.022));
+  const padding = Math.round(fontSize * 1.1);
+  const lineHeight = Math.round(fontSize * 1.35);
+  const bandHeight = padding * 2 + lineHeight * (lines.length + 1);
+  const fontFamily = '"Avenir Next Condensed", "Franklin Gothic Medium", "Arial Narrow", sans-serif';
+
+  context.save();
+  context.fillStyle = "rgba(11, 17, 24, 0.78)";
+  context.fillRect(0, height - bandHeight, width, bandHeight);
+  context.fillStyle = "rgba(232, 164, 100, 0.9)";
+  context.fillRect(0, height - bandHeight, width, Math.max(2, Math.round(fontSize * 0.12)));
+
+  context.textBaseline = "top";
+  context.font = `600 ${fontSize}px ${fontFamily}`;
+  context.fillStyle = "#f1cb9d";
+  context.fillText(EXPORT_BRAND_LABEL.toUpperCase(), padding, height - bandHeight + padding);
+
+  context.textAlign = "right";
+  context.fillStyle = "#8f8679";
+  context.fillText(runtime.sceneName, width - padding, height - bandHeight + padding);
+
+  context.textAlign = "left";
+  context.font = `${fontSize}px ${fontFamily}`;
+  context.fillStyle = "#f6efe5";
+  lines.forEach((line, index) => {
+    context.fillText(line, padding, height - bandHeight + padding + lineHeight * (index + 1));
+  });
+  context.restore();
+}
+
+function renderStillCanvas(width, height, includeCaption) {
+  const previousPixelRatio = renderer.getPixelRatio();
+  const previousSize = renderer.getSize(new THREE.Vector2());
+  const previousAspect = camera.aspect;
+  hoverOutlineRoot.visible = false;
+  selectedOutlineRoot.visible = false;
+
+  const output = document.createElement("canvas");
+  output.width = width;
+  output.height = height;
+  const context = output.getContext("2d");
+
+  try {
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    syncSkyToCamera();
+    renderer.render(scene, camera);
+    if (!context) {
+      return null;
+    }
+    context.drawImage(renderer.domElement, 0, 0, width, height);
+  } finally {
+    renderer.setPixelRatio(previousPixelRatio);
+    renderer.setSize(previousSize.x, previousSize.y, false);
+    camera.aspect = previousAspect;
+    camera.updateProjectionMatrix();
+    hoverOutlineRoot.visible = true;
+    selectedOutlineRoot.visible = true;
+  }
+
+  if (includeCaption) {
+    drawExportCaption(context, width, height);
+  }
+  return output;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportStillRender() {
+  const preset = EXPORT_PRESETS[dom.exportResolutionSelect?.value] || EXPORT_PRESETS["2k"];
+  const format = dom.exportFormatSelect?.value === "jpeg" ? "jpeg" : "png";
+  const includeCaption = dom.exportCaptionToggle ? dom.exportCaptionToggle.checked : true;
+
+  const gl = renderer.getContext();
+  const maxSize = Math.min(
+    renderer.capabilities.maxTextureSize || 4096,
+    gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) || 4096
+  );
+  const scale = Math.min(1, maxSize / Math.max(preset.width, preset.height));
+  const width = Math.floor(preset.width * scale);
+  const height = Math.floor(preset.height * scale);
+
+  setStatus(`Rendering ${width}x${height} still...`);
+  const output = renderStillCanvas(width, height, includeCaption);
+  if (!output) {
+    setStatus("Still export failed: 2D canvas is unavailable.", true);
+    return;
+  }
+
+  const mimeType = format === "jpeg" ? "image/jpeg" : "image/png";
+  const blob = await new Promise((resolve) => output.toBlob(resolve, mimeType, 0.92));
+  if (!blob) {
+    setStatus("Still export failed: the image could not be encoded.", true);
+    return;
+  }
+
+  const extension = format === "jpeg" ? "jpg" : "png";
+  downloadBlob(blob, `${company}-${runtime.sceneName}-${width}x${height}.${extension}`);
+  setStatus(
+    scale < 1
+      ? `Exported ${width}x${height} still (reduced to this GPU's size limit).`
+      : `Exported ${width}x${height} still.`
+  );
+}
+
+// The inventory app asks open viewer tabs for a render to place on printed spec sheets.
+function listenForSnapshotRequests() {
+  if (typeof BroadcastChannel === "undefined") {
+    return;
+  }
+
+  const channel = new BroadcastChannel(SNAPSHOT_CHANNEL_NAME);
+  channel.addEventListener("message", (event) => {
+    const { type, id } = event.data || {};
+    if (type !== "request-snapshot" || runtime.sceneLoading) {
+      return;
+    }
+
+    const output = renderStillCanvas(SNAPSHOT_SIZE.width, SNAPSHOT_SIZE.height, true);
+    if (!output) {
+      return;
+    }
+    channel.postMessage({
+      type: "snapshot",
+      id,
+      sceneName: runtime.sceneName,
+      surfaces: surfaceCaptionLines(),
+      dataUrl: output.toDataURL("image/jpeg", 0.9),
+    });
+  });
+}
+
 function setCameraMode(mode) {
   runtime.cameraMode = mode;
   const isFps = mode === "fps";
@@ -1328,32 +1425,126 @@ function resizeRenderer() {
   camera.updateProjectionMatrix();
 }
 
-function populateTextureSelect(items, preferredTextureId) {
-  if (!dom.textureSelect) {
-    return;
-  }
-
-  dom.textureSelect.innerHTML = "";
+function populateTextureSelect(select, items, selectedTextureId) {
+  select.innerHTML = "";
   const entries = Array.isArray(items) ? items : [];
 
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "Scene default";
+  select.appendChild(defaultOption);
+
   entries.forEach((entry) => {
     const option = document.createElement("option");
     option.value = entry.file;
     option.textContent = `${entry.slabName} (${entry.material || "Stone"})`;
-    dom.textureSelect.appendChild(option);
+    select.appendChild(option);
   });
 
-  if (preferredTextureId && !entries.find((entry) => entry.file === preferredTextureId)) {
+  if (selectedTextureId && !entries.find((entry) => entry.file === selectedTextureId)) {
     const fallbackOption = document.createElement("option");
-    fallbackOption.value = preferredTextureId;
-    fallbackOption.textContent = `${preferredTextureId} (custom)`;
-    dom.textureSelect.appendChild(fallbackOption);
+    fallbackOption.value = selectedTextureId;
+    fallbackOption.textContent = `${selectedTextureId} (custom)`;
+    select.appendChild(fallbackOption);
   }
 
-  if (preferredTextureId) {
-    dom.textureSelect.value = preferredTextureId;
+  select.value = selectedTextureId || "";
+}
+
+function renderSurfaceGroups() {
+  if (!dom.surfaceGroupList) {
+    return;
   }
-  updateTexturePreview(dom.textureSelect.value || preferredTextureId || "");
+
+  dom.surfaceGroupList.innerHTML = "";
+  runtime.surfaceGroups.forEach((group) => {
+    const section = document.createElement("section");
+    section.className = "surface-group";
+    section.dataset.groupId = group.id;
+
+    const selectId = `surface-select-${group.id.replace(/[^\w-]+/g, "-")}`;
+    const label = document.createElement("label");
+    label.htmlFor = selectId;
+    label.textContent = group.label;
+    section.appendChild(label);
+
+    const select = document.createElement("select");
+    select.id = selectId;
+    select.setAttribute("aria-label", `${group.label} texture selection`);
+    populateTextureSelect(select, runtime.textureCatalog, group.textureId);
+    section.appendChild(select);
+
+    const preview = document.createElement("div");
+    preview.className = "texture-preview";
+    const previewImage = document.createElement("img");
+    preview.appendChild(previewImage);
+    section.appendChild(preview);
+    updateTexturePreview(previewImage, group.textureId);
+
+    const sizeNote = document.createElement("p");
+    sizeNote.className = "surface-slab-size";
+    section.appendChild(sizeNote);
+
+    const rotationId = `${selectId}-rotation`;
+    const rotationLabel = document.createElement("label");
+    rotationLabel.htmlFor = rotationId;
+    rotationLabel.textContent = "Slab rotation";
+    section.appendChild(rotationLabel);
+
+    const rotationInput = document.createElement("input");
+    rotationInput.id = rotationId;
+    rotationInput.type = "range";
+    rotationInput.min = "-180";
+    rotationInput.max = "180";
+    rotationInput.step = "1";
+    rotationInput.value = String(group.layout.rotation);
+    section.appendChild(rotationInput);
+
+    const layoutActions = document.createElement("div");
+    layoutActions.className = "panel-actions surface-layout-actions";
+    const dragButton = document.createElement("button");
+    dragButton.type = "button";
+    const resetLayoutButton = document.createElement("button");
+    resetLayoutButton.type = "button";
+    resetLayoutButton.textContent = "Reset Layout";
+    layoutActions.append(dragButton, resetLayoutButton);
+    section.appendChild(layoutActions);
+
+    rotationInput.addEventListener("input", () => {
+      group.layout.rotation = Number(rotationInput.value) || 0;
+      refreshSlabLayout(group);
+    });
+
+    dragButton.addEventListener("click", () => {
+      setLayoutEditGroup(runtime.layoutEditGroupId === group.id ? "" : group.id);
+    });
+
+    resetLayoutButton.addEventListener("click", () => {
+      group.layout = { offsetX: 0, offsetY: 0, rotation: 0 };
+      refreshSlabLayout(group);
+      syncSurfaceGroupControls(group);
+    });
+
+    select.addEventListener("change", async () => {
+      updateTexturePreview(previewImage, select.value);
+      if (select.value) {
+        await applySurfaceTexture(group.id, select.value);
+      } else {
+        resetSurfaceGroup(group.id);
+      }
+    });
+
+    select.addEventListener("focus", () => {
+      if (runtime.activeSurfaceGroupId !== group.id) {
+        selectSurfaceGroup(group.id);
+      }
+    });
+
+    section.dataset.active = group.id === runtime.activeSurfaceGroupId ? "true" : "false";
+    group.dom = { section, select, previewImage, sizeNote, rotationInput, dragButton };
+    syncSurfaceGroupControls(group);
+    dom.surfaceGroupList.appendChild(section);
+  });
 }
 
 async function loadTextureCatalog() {
@@ -1368,6 +1559,8 @@ async function loadTextureCatalog() {
       file: String(entry.file),
       slabName: String(entry.slabName || entry.file),
       material: String(entry.material || ""),
+      size: slabSizeFrom(entry.Length_Actual, entry.Width_Actual),
+      finish: String(entry.Finish || entry.finish || ""),
     }))
     .sort((a, b) => a.slabName.localeCompare(b.slabName));
 }
@@ -1396,18 +1589,21 @@ async function loadCountertopTexture(textureId) {
     }
 
     let texture = loadedTexture;
-    const processedCanvas = cropAndFillCountertopTextureImage(loadedTexture.image);
-    if (processedCanvas) {
+    const processed = await processSlabImage(loadedTexture.image, {
+      mode: "fill",
+      tuning: SLAB_FILL_TUNING,
+      seamless: true,
+    });
+    if (processed) {
       const sourceUrl = loadedTexture.userData?.sourceUrl || "";
       loadedTexture.dispose();
-      texture = new THREE.CanvasTexture(processedCanvas);
+      texture = new THREE.CanvasTexture(processed.colorCanvas);
       texture.userData.sourceUrl = sourceUrl;
     }
 
     texture.colorSpace = THREE.SRGBColorSpace;
     texture.wrapS = THREE.RepeatWrapping;
     texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(1.7, 1.7);
     texture.anisotropy = Math.min(8, renderer.capabilities.getMaxAnisotropy());
     texture.needsUpdate = true;
     return texture;
@@ -1425,20 +1621,20 @@ function texturePreviewUrl(textureId) {
   return `${SLABCLOUD_PROXY_PREFIX}/scdata/textures/800/${encodeURIComponent(normalized)}.jpg`;
 }
 
-function updateTexturePreview(textureId) {
-  if (!dom.textureSelectPreview) {
+function updateTexturePreview(image, textureId) {
+  if (!image) {
     return;
   }
 
   const previewUrl = texturePreviewUrl(textureId);
   if (!previewUrl) {
-    dom.textureSelectPreview.removeAttribute("src");
-    dom.textureSelectPreview.alt = "No slab texture selected";
+    image.removeAttribute("src");
+    image.alt = "No slab texture selected";
     return;
   }
 
-  dom.textureSelectPreview.src = previewUrl;
-  dom.textureSelectPreview.alt = `Preview for slab texture ${textureId}`;
+  image.src = previewUrl;
+  image.alt = `Preview for slab texture ${textureId}`;
 }
 
 function projectCountertopUvsWorld(meshes, uvScale = 0.22) {
@@ -1727,26 +1923,88 @@ function harmonizeCountertopNormals(
   });
 }
 
-function normalizeCountertopMaterial(material, texture) {
+function slabFinishPreset(finish) {
+  const normalized = String(finish || "").toLowerCase();
+  const alias = SLAB_FINISH_ALIASES.find(([pattern]) => normalized.includes(pattern));
+  return SLAB_FINISH_PRESETS[alias?.[1] || DEFAULT_SLAB_FINISH];
+}
+
+function slabFinishForTexture(textureId) {
+  return (
+    runtime.slabFinishes.get(textureId) ||
+    runtime.textureCatalog.find((entry) => entry.file === textureId)?.finish ||
+    ""
+  );
+}
+
+function injectSlabAntiTiling(shader) {
+  shader.fragmentShader = shader.fragmentShader
+    .replace("#include <common>", `#include <common>\n${SLAB_ANTI_TILING_SHADER}`)
+    .replace(
+      "#include <map_fragment>",
+      `#ifdef SLAB_ANTI_TILING
+  diffuseColor *= slabTextureNoTile( map, vMapUv );
+#else
+  #include <map_fragment>
+#endif`
+    );
+}
+
+function syncSlabAntiTiling(material) {
+  const enabled = Boolean(runtime.antiTiling);
+  const hasDefine = material.defines?.SLAB_ANTI_TILING !== undefined;
+  if (hasDefine === enabled) {
+    return;
+  }
+  material.defines = { ...material.defines };
+  if (enabled) {
+    material.defines.SLAB_ANTI_TILING = "";
+  } else {
+    delete material.defines.SLAB_ANTI_TILING;
+  }
+  material.needsUpdate = true;
+}
+
+function setSlabAntiTiling(enabled) {
+  runtime.antiTiling = Boolean(enabled);
+  const materialSets = [
+    ...runtime.surfaceGroups.map((group) => group.overrideMaterials),
+    ...runtime.compare.slots.map((slot) => slot.overrideMaterials),
+  ];
+  materialSets.forEach((materials) => {
+    materials.forEach(syncSlabAntiTiling);
+  });
+  setStatus(runtime.antiTiling ? "Slab anti-repeat enabled." : "Slab anti-repeat disabled.");
+}
+
+function normalizeCountertopMaterial(material, texture, finish) {
+  const preset = slabFinishPreset(finish);
+  syncSlabAntiTiling(material);
   material.map = texture;
   material.color.set(1, 1, 1);
+  material.metalness = 0;
+  material.roughness = preset.roughness;
+  material.clearcoat = preset.clearcoat;
+  material.clearcoatRoughness = preset.clearcoatRoughness;
+  material.reflectivity = preset.reflectivity;
+  material.envMapIntensity = preset.envMapIntensity;
   material.transparent = false;
   material.opacity = 1;
   material.alphaMap = null;
   material.side = material.side || THREE.FrontSide;
-  material.toneMapped = false;
   material.needsUpdate = true;
 }
 
-function getCountertopOverrideMaterial(materialIndex, texture) {
-  const existing = runtime.countertopOverrideMaterials.get(materialIndex);
+function getCountertopOverrideMaterial(group, materialIndex, texture, finish) {
+  const existing = group.overrideMaterials.get(materialIndex);
   if (existing) {
-    normalizeCountertopMaterial(existing, texture);
+    normalizeCountertopMaterial(existing, texture, finish);
     return existing;
   }
 
+  // Leave envMap unset so the material follows scene.environment from the sky.
   const sourceMaterial = runtime.materialByIndex.get(materialIndex);
-  const overrideMaterial = new THREE.MeshBasicMaterial({
+  const overrideMaterial = new THREE.MeshPhysicalMaterial({
     map: texture,
     color: 0xffffff,
     side: sourceMaterial?.side || THREE.FrontSide,
@@ -1754,243 +2012,1291 @@ function getCountertopOverrideMaterial(materialIndex, texture) {
     opacity: 1,
   });
 
-  normalizeCountertopMaterial(overrideMaterial, texture);
-  runtime.countertopOverrideMaterials.set(materialIndex, overrideMaterial);
+  overrideMaterial.onBeforeCompile = injectSlabAntiTiling;
+  normalizeCountertopMaterial(overrideMaterial, texture, finish);
+  group.overrideMaterials.set(materialIndex, overrideMaterial);
   return overrideMaterial;
 }
 
-async function applyCountertopTexture(textureId) {
-  const normalized = String(textureId || "").trim();
-  if (!normalized) {
-    setStatus("Select a slab texture before applying.", true);
-    return;
-  }
+function findSurfaceGroup(groupId) {
+  return runtime.surfaceGroups.find((group) => group.id === groupId) || null;
+}
 
-  if (!runtime.countertopMeshes.length) {
-    setStatus("No countertop materials were detected for this scene.", true);
-    return;
-  }
+function defaultSurfaceGroup() {
+  return findSurfaceGroup(DEFAULT_SURFACE_GROUP) || runtime.surfaceGroups[0] || null;
+}
 
-  setStatus(`Applying countertop texture ${normalized}...`);
-  const texture = await loadCountertopTexture(normalized);
-  if (!texture) {
-    setStatus(`Could not load countertop texture ${normalized}.`, true);
+function syncSurfaceGroupControls(group) {
+  if (!group.dom) {
     return;
   }
+  if (
+    group.textureId &&
+    !Array.from(group.dom.select.options).some((option) => option.value === group.textureId)
+  ) {
+    populateTextureSelect(group.dom.select, runtime.textureCatalog, group.textureId);
+  }
+  group.dom.select.value = group.textureId;
+  updateTexturePreview(group.dom.previewImage, group.textureId);
+
+  const size = slabSizeForTexture(group.textureId);
+  const finish = slabFinishPreset(slabFinishForTexture(group.textureId));
+  group.dom.sizeNote.textContent = group.textureId
+    ? `Slab ${size.length.toFixed(2)} m x ${size.width.toFixed(2)} m${
+        size.isDefault ? " (size not listed, using standard slab)" : ""
+      }, ${finish.label.toLowerCase()} finish`
+    : "";
+  group.dom.rotationInput.value = String(Math.round(group.layout.rotation));
+  group.dom.rotationInput.disabled = !group.textureId;
+
+  const isEditing = runtime.layoutEditGroupId === group.id;
+  group.dom.dragButton.textContent = isEditing ? "Done Positioning" : "Drag Layout";
+  group.dom.dragButton.setAttribute("aria-pressed", isEditing ? "true" : "false");
+  group.dom.dragButton.disabled = !group.textureId;
+}
 
-  if (!runtime.countertopNormalsHarmonized) {
-    harmonizeCountertopNormals(runtime.countertopMeshes, 0.012, 0.5, true);
-    runtime.countertopNormalsHarmonized = true;
+function slabSizeForTexture(textureId) {
+  const size =
+    runtime.slabSizes.get(textureId) ||
+    runtime.textureCatalog.find((entry) => entry.file === textureId)?.size;
+  if (size) {
+    return { ...size, isDefault: false };
   }
-  projectCountertopUvsWorld(runtime.countertopMeshes, 0.23);
-  const usedMaterialIndexes = new Set();
-  runtime.countertopMeshes.forEach((mesh) => {
-    const materialIndex = Number(mesh?.userData?.materialIdx);
-    if (!Number.isInteger(materialIndex)) {
-      return;
-    }
-    usedMaterialIndexes.add(materialIndex);
-    const overrideMaterial = getCountertopOverrideMaterial(materialIndex, texture);
-    mesh.material = overrideMaterial;
-  });
-  runtime.countertopMaterialIndexes = Array.from(usedMaterialIndexes);
-  runtime.countertopMaterials = runtime.countertopMaterialIndexes
-    .map((materialIndex) => runtime.materialByIndex.get(materialIndex))
-    .filter(Boolean);
+  return {
+    length: DEFAULT_SLAB_LENGTH_METERS,
+    width: DEFAULT_SLAB_WIDTH_METERS,
+    isDefault: true,
+  };
+}
 
-  if (dom.textureSelect) {
-    dom.textureSelect.value = normalized;
-  }
-  updateTexturePreview(normalized);
+function surfaceGroupPivot(meshes) {
+  const box = new THREE.Box3();
+  meshes.forEach((mesh) => {
+    box.expandByObject(mesh);
+  });
+  const center = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+  return new THREE.Vector2(center.x, center.y);
+}
 
-  setStatus(`Applied countertop texture ${normalized}.`);
+function updateSlabMapTransform(map, textureId, group) {
+  const size = slabSizeForTexture(textureId);
+  const imageWidth = map.image?.width || 1;
+  const imageHeight = map.image?.height || 1;
+  const isLandscape = imageWidth >= imageHeight;
+  const scaleU = 1 / (isLandscape ? size.length : size.width);
+  const scaleV = 1 / (isLandscape ? size.width : size.length);
+
+  // UVs are projected in world meters, so rotate and shift around the group's
+  // center in meters before scaling one slab to the 0..1 image range.
+  const angle = -THREE.MathUtils.degToRad(group.layout.rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const tx = -(group.layoutPivot.x + group.layout.offsetX);
+  const ty = -(group.layoutPivot.y + group.layout.offsetY);
+  map.matrix.set(
+    scaleU * cos,
+    -scaleU * sin,
+    scaleU * (cos * tx - sin * ty) + 0.5,
+    scaleV * sin,
+    scaleV * cos,
+    scaleV * (sin * tx + cos * ty) + 0.5,
+    0,
+    0,
+    1
+  );
 }
 
-async function buildScene() {
-  const startedAt = performance.now();
-  setStatus("Loading scene manifests and binary buffers...");
+function createSlabMap(texture, textureId, group) {
+  const map = texture.clone();
+  map.matrixAutoUpdate = false;
+  updateSlabMapTransform(map, textureId, group);
+  return map;
+}
 
-  const [
-    sceneJson,
-    configJson,
-    meshesBuffer,
-    boundsBuffer,
-    faces16Buffer,
-    faces32Buffer,
-    verticesBuffer,
-    transformsBuffer,
-    uvs0Buffer,
-  ] = await Promise.all([
-    fetchJson(`${sceneBaseUrl}scene.json`),
-    fetchJson(`${sceneBaseUrl}config.json`),
-    fetchBuffer(`${sceneBaseUrl}meshes.buf`),
-    fetchBuffer(`${sceneBaseUrl}bounds.buf`),
-    fetchBuffer(`${sceneBaseUrl}faces16.buf`),
-    fetchBuffer(`${sceneBaseUrl}faces.buf`),
-    fetchBuffer(`${sceneBaseUrl}vertices.buf`),
-    fetchBuffer(`${sceneBaseUrl}transforms.buf`),
-    fetchBuffer(`${sceneBaseUrl}uvs0.buf`),
-  ]);
+function refreshSlabLayout(group) {
+  if (group.slabMap) {
+    updateSlabMapTransform(group.slabMap, group.textureId, group);
+  }
+  if (runtime.compare.groupId === group.id) {
+    runtime.compare.slots.forEach((slot) => {
+      if (slot.map) {
+        updateSlabMapTransform(slot.map, slot.textureId, group);
+      }
+    });
+  }
+}
 
-  runtime.sceneJson = sceneJson;
-  runtime.configJson = configJson;
-
-  const meshProps = parseMeshProps(meshesBuffer, boundsBuffer);
-  if (!meshProps.length) {
-    throw new Error("No mesh entries were parsed from meshes.buf.");
-  }
-
-  const textureLookup = buildTextureLookup(sceneJson);
-  setStatus("Loading exterior backdrop...");
-  await applySceneExterior(sceneJson, textureLookup);
-
-  setStatus(`Building material map (${sceneJson.materials?.length || 0} materials)...`);
-  const usedMaterialIndexes = Array.from(
-    new Set(meshProps.map((mesh) => mesh.materialIdx).filter((index) => index >= 0))
-  ).sort((a, b) => a - b);
-  await buildMaterialMap(sceneJson, usedMaterialIndexes, textureLookup);
-
-  const views = {
-    faces16: faces16Buffer.byteLength ? new Uint16Array(faces16Buffer) : null,
-    faces32: faces32Buffer.byteLength ? new Uint32Array(faces32Buffer) : null,
-    vertices8: new Int8Array(verticesBuffer),
-    vertices16: new Int16Array(verticesBuffer),
-    vertices32: new Int32Array(verticesBuffer),
-    transforms: new Float32Array(transformsBuffer),
-    uvsU16: uvs0Buffer.byteLength ? new Uint16Array(uvs0Buffer) : null,
-    uvsF32: uvs0Buffer.byteLength ? new Float32Array(uvs0Buffer) : null,
-  };
+function setLayoutEditGroup(groupId) {
+  const previous = findSurfaceGroup(runtime.layoutEditGroupId);
+  const group = findSurfaceGroup(groupId);
+  runtime.layoutEditGroupId = group?.slabMap ? group.id : "";
+  endLayoutDrag();
 
-  setStatus(`Decoding geometry (${meshProps.length} mesh records)...`);
-  runtime.bounds.makeEmpty();
-  runtime.meshesByMaterialIndex = new Map();
-  runtime.meshesByNodeId = new Map();
+  if (previous) {
+    syncSurfaceGroupControls(previous);
+  }
+  if (!runtime.layoutEditGroupId) {
+    return;
+  }
 
-  let builtMeshes = 0;
-  let skippedMeshes = 0;
-  for (let index = 0; index < meshProps.length; index += 1) {
-    const props = meshProps[index];
-    const geometry = decodeMeshGeometry(props, null, views);
-    if (!geometry) {
-      skippedMeshes += 1;
-      continue;
-    }
+  syncSurfaceGroupControls(group);
+  if (runtime.cameraMode !== "orbit") {
+    setCameraMode("orbit");
+  }
+  setStatus(`Drag on the ${group.label} to move the slab. Shift-drag to rotate it.`);
+}
 
-    const material =
-      runtime.materialByIndex.get(props.materialIdx) ||
-      new THREE.MeshStandardMaterial({ color: 0x8e8478, roughness: 0.7 });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.userData.materialIdx = props.materialIdx;
-    mesh.userData.nodeId = props.nodeId;
-    worldRoot.add(mesh);
+function beginLayoutDrag(event) {
+  const group = findSurfaceGroup(runtime.layoutEditGroupId);
+  if (!group?.slabMap || runtime.cameraMode !== "orbit" || runtime.compare.layout !== "off") {
+    return false;
+  }
 
-    if (!runtime.meshesByMaterialIndex.has(props.materialIdx)) {
-      runtime.meshesByMaterialIndex.set(props.materialIdx, []);
-    }
-    runtime.meshesByMaterialIndex.get(props.materialIdx).push(mesh);
-    if (!runtime.meshesByNodeId.has(props.nodeId)) {
-      runtime.meshesByNodeId.set(props.nodeId, []);
-    }
-    runtime.meshesByNodeId.get(props.nodeId).push(mesh);
+  updatePickPointer(event);
+  raycaster.setFromCamera(runtime.pickPointer, camera);
+  const hit = raycaster.intersectObjects(group.meshes, false)[0];
+  if (!hit) {
+    return false;
+  }
 
-    if (props.bounds && !props.bounds.isEmpty()) {
-      runtime.bounds.union(props.bounds);
-    } else if (geometry.boundingBox) {
-      runtime.bounds.union(geometry.boundingBox);
-    }
+  runtime.layoutDrag = {
+    groupId: group.id,
+    pointerId: event.pointerId,
+    rotate: event.shiftKey,
+    plane: new THREE.Plane().setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 0, 1), hit.point),
+    startPoint: hit.point.clone(),
+    startLayout: { ...group.layout },
+  };
+  orbitControls.enabled = false;
+  renderer.domElement.setPointerCapture(event.pointerId);
+  return true;
+}
 
-    builtMeshes += 1;
-    if (builtMeshes % 40 === 0) {
-      setStatus(`Decoding geometry (${builtMeshes}/${meshProps.length})...`);
-      await new Promise((resolve) => window.setTimeout(resolve, 0));
-    }
+function updateLayoutDrag(event) {
+  const drag = runtime.layoutDrag;
+  const group = findSurfaceGroup(drag?.groupId);
+  if (!drag || !group || drag.pointerId !== event.pointerId) {
+    return;
   }
 
-  if (runtime.bounds.isEmpty()) {
-    runtime.bounds.setFromObject(worldRoot);
+  updatePickPointer(event);
+  raycaster.setFromCamera(runtime.pickPointer, camera);
+  const point = raycaster.ray.intersectPlane(drag.plane, scratchVecB);
+  if (!point) {
+    return;
   }
-  fitSkyToBounds(runtime.bounds);
-  applyBoundsToCamera(runtime.bounds);
-  applyAuthoredView(sceneJson);
 
-  const countertopNameSet = extractCountertopMaterialNames(configJson);
-  const countertopNodeIds = extractCountertopNodeIds(sceneJson.nodes, countertopNameSet);
-  runtime.countertopMaterials = [];
-  runtime.countertopMaterialIndexes = [];
-  runtime.countertopNodeIds = [];
-  runtime.countertopOverrideMaterials.forEach((material) => {
-    material.dispose();
-  });
-  runtime.countertopOverrideMaterials.clear();
-  runtime.countertopMeshes = [];
-  runtime.countertopNodeIds = Array.from(countertopNodeIds);
-  runtime.countertopMeshes = runtime.countertopNodeIds.flatMap(
-    (nodeId) => runtime.meshesByNodeId.get(nodeId) || []
-  );
-  const countertopMaterialIndexes = new Set(
-    runtime.countertopMeshes
-      .map((mesh) => Number(mesh?.userData?.materialIdx))
-      .filter((index) => Number.isInteger(index))
-  );
-  runtime.countertopMaterialIndexes = Array.from(countertopMaterialIndexes);
-  runtime.countertopMaterials = runtime.countertopMaterialIndexes
-    .map((materialIndex) => runtime.materialByIndex.get(materialIndex))
-    .filter(Boolean);
-  runtime.countertopNormalsHarmonized = false;
+  if (drag.rotate) {
+    const startAngle = Math.atan2(
+      drag.startPoint.y - group.layoutPivot.y,
+      drag.startPoint.x - group.layoutPivot.x
+    );
+    const angle = Math.atan2(point.y - group.layoutPivot.y, point.x - group.layoutPivot.x);
+    const rotation = drag.startLayout.rotation + THREE.MathUtils.radToDeg(angle - startAngle);
+    group.layout.rotation = THREE.MathUtils.euclideanModulo(rotation + 180, 360) - 180;
+  } else {
+    group.layout.offsetX = drag.startLayout.offsetX + point.x - drag.startPoint.x;
+    group.layout.offsetY = drag.startLayout.offsetY + point.y - drag.startPoint.y;
+  }
+  refreshSlabLayout(group);
+  if (group.dom) {
+    group.dom.rotationInput.value = String(Math.round(group.layout.rotation));
+  }
+}
 
-  const countertopNames = runtime.countertopMaterialIndexes
-    .map((materialIndex) => sceneJson.materials?.[materialIndex]?.name)
-    .filter(Boolean);
-  setCountertopTargets(Array.from(new Set(countertopNames)));
+function endLayoutDrag() {
+  const drag = runtime.layoutDrag;
+  if (!drag) {
+    return;
+  }
+  runtime.layoutDrag = null;
+  if (renderer.domElement.hasPointerCapture(drag.pointerId)) {
+    renderer.domElement.releasePointerCapture(drag.pointerId);
+  }
+  orbitControls.enabled = runtime.cameraMode === "orbit";
+}
 
-  const durationSeconds = (performance.now() - startedAt) / 1000;
-  setStatus(
-    `Loaded ${builtMeshes} meshes (${skippedMeshes} skipped) in ${durationSeconds.toFixed(1)}s.`
+function prepareSurfaceGroupGeometry(group) {
+  const unharmonizedMeshes = group.meshes.filter(
+    (mesh) => !mesh.geometry?.userData?.authoredNormals && !mesh.userData.normalsHarmonized
   );
+  if (unharmonizedMeshes.length) {
+    harmonizeCountertopNormals(unharmonizedMeshes, 0.012, 0.5, true);
+    unharmonizedMeshes.forEach((mesh) => {
+      mesh.userData.normalsHarmonized = true;
+    });
+  }
+  projectCountertopUvsWorld(group.meshes, 1);
 }
 
-function wireUi() {
-  refreshSceneMeta();
+async function applySurfaceTexture(groupId, textureId) {
+  const normalized = String(textureId || "").trim();
+  if (!normalized) {
+    setStatus("Select a slab texture before applying.", true);
+    return;
+  }
 
-  dom.cameraModeButton?.addEventListener("click", () => {
-    setCameraMode(runtime.cameraMode === "orbit" ? "fps" : "orbit");
-  });
+  const group = findSurfaceGroup(groupId);
+  if (!group || !group.meshes.length) {
+    setStatus(`No ${group?.label || groupId} materials were detected for this scene.`, true);
+    return;
+  }
 
-  dom.resetCameraButton?.addEventListener("click", () => {
-    resetCamera();
-  });
+  setStatus(`Applying ${group.label} texture ${normalized}...`);
+  const texture = await loadCountertopTexture(normalized);
+  if (!texture) {
+    setStatus(`Could not load ${group.label} texture ${normalized}.`, true);
+    return;
+  }
 
-  dom.applySelectionButton?.addEventListener("click", async () => {
-    await applyCountertopTexture(dom.textureSelect?.value || "");
+  prepareSurfaceGroupGeometry(group);
+  group.slabMap?.dispose();
+  group.slabMap = createSlabMap(texture, normalized, group);
+  group.meshes.forEach((mesh) => {
+    const materialIndex = Number(mesh?.userData?.materialIdx);
+    if (!Number.isInteger(materialIndex)) {
+      return;
+    }
+    mesh.material = getCountertopOverrideMaterial(
+      group,
+      materialIndex,
+      group.slabMap,
+      slabFinishForTexture(normalized)
+    );
+    mesh.userData.surfaceGroupId = group.id;
   });
 
-  dom.textureSelect?.addEventListener("change", async () => {
-    updateTexturePreview(dom.textureSelect.value);
-    await applyCountertopTexture(dom.textureSelect.value);
-  });
+  group.textureId = normalized;
+  runtime.surfaceTextureSelections.set(group.id, normalized);
+  syncSurfaceGroupControls(group);
 
-  renderer.domElement.addEventListener("click", () => {
-    if (runtime.cameraMode === "fps" && !fpsControls.isLocked) {
-      fpsControls.lock();
-    }
-  });
+  setStatus(`Applied ${group.label} texture ${normalized}.`);
+}
 
-  window.addEventListener("keydown", (event) => {
-    if (isTypingElement()) {
+function resetSurfaceGroup(groupId) {
+  const group = findSurfaceGroup(groupId);
+  if (!group) {
+    return;
+  }
+
+  group.meshes.forEach((mesh) => {
+    if (mesh.userData.surfaceGroupId !== group.id) {
       return;
     }
-    runtime.keyState.add(event.code);
+    mesh.material = mesh.userData.sourceMaterial || mesh.material;
+    mesh.userData.surfaceGroupId = null;
   });
+  group.textureId = "";
+  group.slabMap?.dispose();
+  group.slabMap = null;
+  runtime.surfaceTextureSelections.delete(group.id);
+  if (runtime.layoutEditGroupId === group.id) {
+    setLayoutEditGroup("");
+  }
+  syncSurfaceGroupControls(group);
+  setStatus(`Restored scene materials for ${group.label}.`);
+}
 
-  window.addEventListener("keyup", (event) => {
-    runtime.keyState.delete(event.code);
+function disposeSurfaceGroups() {
+  runtime.surfaceGroups.forEach((group) => {
+    group.overrideMaterials.forEach((material) => {
+      material.dispose();
+    });
+    group.overrideMaterials.clear();
+    group.slabMap?.dispose();
+    group.slabMap = null;
   });
+  endLayoutDrag();
+  runtime.layoutEditGroupId = "";
+  runtime.surfaceGroups = [];
+}
 
-  fpsControls.addEventListener("lock", () => {
-    setStatus("FPS controls locked. Press Esc to unlock pointer.");
-  });
+async function applySurfaceTextureSelections() {
+  for (const group of runtime.surfaceGroups) {
+    const textureId = runtime.surfaceTextureSelections.get(group.id);
+    if (textureId) {
+      await applySurfaceTexture(group.id, textureId);
+    }
+  }
+}
+
+function createCompareSlot() {
+  return {
+    textureId: "",
+    texture: null,
+    map: null,
+    overrideMaterials: new Map(),
+    materials: new Map(),
+    token: 0,
+  };
+}
+
+function disposeCompareSlots() {
+  runtime.compare.slots.forEach((slot) => {
+    slot.overrideMaterials.forEach((material) => {
+      material.dispose();
+    });
+    slot.map?.dispose();
+  });
+  runtime.compare.slots = [];
+  runtime.compare.groupId = "";
+}
+
+function compareSlotLabel(slot) {
+  if (!slot?.textureId) {
+    return "Scene default";
+  }
+  const entry = runtime.textureCatalog.find((item) => item.file === slot.textureId);
+  return entry?.slabName || slot.textureId;
+}
+
+function compareSlotNames() {
+  if (runtime.compare.layout === "split") {
+    return ["Before (left)", "After (right)"];
+  }
+  return Array.from({ length: runtime.compare.slotCount }, (_, index) => `View ${index + 1}`);
+}
+
+function compareViewports(width, height) {
+  const compare = runtime.compare;
+  if (compare.layout === "split") {
+    const splitX = Math.round(width * compare.split);
+    return [
+      { slotIndex: 0, viewport: [0, 0, width, height], scissor: [0, 0, splitX, height] },
+      {
+        slotIndex: 1,
+        viewport: [0, 0, width, height],
+        scissor: [splitX, 0, width - splitX, height],
+      },
+    ];
+  }
+
+  const count = compare.slotCount;
+  const columns = count === 1 ? 1 : 2;
+  const rows = count > 2 ? 2 : 1;
+  const cellHeight = Math.floor(height / rows);
+  return Array.from({ length: count }, (_, index) => {
+    const row = Math.floor(index / columns);
+    const isLastAlone = index === count - 1 && index % columns === 0;
+    const cellWidth = isLastAlone ? width : Math.floor(width / columns);
+    const x = isLastAlone ? 0 : (index % columns) * Math.floor(width / columns);
+    const y = height - (row + 1) * cellHeight;
+    const rect = [x, y, cellWidth, cellHeight];
+    return { slotIndex: index, viewport: rect, scissor: rect };
+  });
+}
+
+function renderCompareOverlay() {
+  const active = runtime.compare.layout !== "off";
+  if (dom.compareOverlay) {
+    dom.compareOverlay.hidden = !active;
+  }
+  if (dom.compareDivider) {
+    dom.compareDivider.hidden = runtime.compare.layout !== "split";
+    dom.compareDivider.style.left = `${runtime.compare.split * 100}%`;
+  }
+  if (!dom.compareLabels) {
+    return;
+  }
+
+  dom.compareLabels.innerHTML = "";
+  if (!active) {
+    return;
+  }
+
+  const width = window.innerWidth || 1;
+  const height = window.innerHeight || 1;
+  compareViewports(width, height).forEach((view) => {
+    const [x, y, , viewHeight] = view.scissor;
+    const label = document.createElement("span");
+    label.className = "compare-label";
+    label.style.left = `${(x / width) * 100}%`;
+    label.style.top = `${((height - y - viewHeight) / height) * 100}%`;
+    label.textContent = compareSlotLabel(runtime.compare.slots[view.slotIndex]);
+    dom.compareLabels.appendChild(label);
+  });
+}
+
+function renderCompareControls() {
+  const compare = runtime.compare;
+  const group = findSurfaceGroup(compare.groupId);
+  if (dom.compareLayoutSelect) {
+    dom.compareLayoutSelect.value = compare.layout;
+  }
+  if (dom.compareCountField) {
+    dom.compareCountField.hidden = compare.layout !== "grid";
+  }
+  if (dom.compareCountSelect) {
+    dom.compareCountSelect.value = String(compare.slotCount);
+  }
+  if (dom.compareTarget) {
+    dom.compareTarget.textContent =
+      compare.layout === "off"
+        ? "Select a surface, then pick a layout to compare slabs on it."
+        : `Comparing ${group?.label || "surface"} with a shared camera.`;
+  }
+  if (!dom.compareSlotList) {
+    return;
+  }
+
+  dom.compareSlotList.innerHTML = "";
+  if (compare.layout === "off") {
+    return;
+  }
+
+  compareSlotNames().forEach((name, index) => {
+    const slot = compare.slots[index];
+    const selectId = `compare-slot-${index}`;
+    const label = document.createElement("label");
+    label.htmlFor = selectId;
+    label.textContent = name;
+
+    const select = document.createElement("select");
+    select.id = selectId;
+    populateTextureSelect(select, runtime.textureCatalog, slot?.textureId || "");
+    select.addEventListener("change", () => {
+      setCompareSlotTexture(index, select.value);
+    });
+
+    dom.compareSlotList.append(label, select);
+  });
+}
+
+async function setCompareSlotTexture(slotIndex, textureId) {
+  const slot = runtime.compare.slots[slotIndex];
+  const group = findSurfaceGroup(runtime.compare.groupId);
+  if (!slot || !group) {
+    return;
+  }
+
+  const normalized = String(textureId || "").trim();
+  slot.token += 1;
+  const token = slot.token;
+  slot.textureId = normalized;
+  if (!normalized) {
+    slot.texture = null;
+    slot.materials.clear();
+    renderCompareOverlay();
+    return;
+  }
+
+  setStatus(`Loading compare texture ${normalized}...`);
+  const texture = await loadCountertopTexture(normalized);
+  if (token !== slot.token) {
+    return;
+  }
+  if (!texture) {
+    setStatus(`Could not load compare texture ${normalized}.`, true);
+    return;
+  }
+
+  prepareSurfaceGroupGeometry(group);
+  slot.texture = texture;
+  slot.map?.dispose();
+  slot.map = createSlabMap(texture, normalized, group);
+  slot.materials.clear();
+  const finish = slabFinishForTexture(normalized);
+  group.meshes.forEach((mesh) => {
+    const materialIndex = Number(mesh?.userData?.materialIdx);
+    if (Number.isInteger(materialIndex) && !slot.materials.has(materialIndex)) {
+      slot.materials.set(
+        materialIndex,
+        getCountertopOverrideMaterial(slot, materialIndex, slot.map, finish)
+      );
+    }
+  });
+
+  renderCompareOverlay();
+  setStatus(`Compare ${compareSlotNames()[slotIndex] || "view"}: ${compareSlotLabel(slot)}.`);
+}
+
+function compareSeedTextures(group, layout) {
+  const current = group.textureId || runtime.textureCatalog[0]?.file || "";
+  if (layout === "split") {
+    return ["", current];
+  }
+  const others = runtime.textureCatalog
+    .map((entry) => entry.file)
+    .filter((file) => file && file !== current);
+  return [current, ...others].slice(0, COMPARE_MAX_SLOTS);
+}
+
+function setCompareLayout(layout) {
+  const compare = runtime.compare;
+  if (layout !== "split" && layout !== "grid") {
+    compare.layout = "off";
+    disposeCompareSlots();
+    renderCompareControls();
+    renderCompareOverlay();
+    return;
+  }
+
+  const group = findSurfaceGroup(runtime.activeSurfaceGroupId) || defaultSurfaceGroup();
+  if (!group || !group.meshes.length) {
+    setStatus("No swappable surfaces were detected to compare.", true);
+    renderCompareControls();
+    return;
+  }
+
+  if (compare.layout !== layout || compare.groupId !== group.id) {
+    disposeCompareSlots();
+    compare.groupId = group.id;
+    compare.slots = Array.from({ length: COMPARE_MAX_SLOTS }, createCompareSlot);
+    compare.layout = layout;
+    compareSeedTextures(group, layout).forEach((textureId, index) => {
+      setCompareSlotTexture(index, textureId);
+    });
+  }
+
+  setHoveredSurfaceGroup(null);
+  renderCompareControls();
+  renderCompareOverlay();
+}
+
+function setCompareSplitFromPointer(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const ratio = (event.clientX - rect.left) / Math.max(rect.width, 1);
+  runtime.compare.split = THREE.MathUtils.clamp(
+    ratio,
+    COMPARE_SPLIT_LIMIT,
+    1 - COMPARE_SPLIT_LIMIT
+  );
+  renderCompareOverlay();
+}
+
+const compareSize = new THREE.Vector2();
+function renderCompareFrame() {
+  const group = findSurfaceGroup(runtime.compare.groupId);
+  if (!group) {
+    renderer.render(scene, camera);
+    return;
+  }
+
+  const size = renderer.getSize(compareSize);
+  const previousAspect = camera.aspect;
+  const primaryMaterials = group.meshes.map((mesh) => mesh.material);
+
+  renderer.setScissorTest(true);
+  compareViewports(size.x, size.y).forEach((view) => {
+    const slot = runtime.compare.slots[view.slotIndex];
+    group.meshes.forEach((mesh, index) => {
+      const materialIndex = Number(mesh?.userData?.materialIdx);
+      mesh.material = slot?.texture
+        ? slot.materials.get(materialIndex) || primaryMaterials[index]
+        : mesh.userData.sourceMaterial || primaryMaterials[index];
+    });
+    renderer.setViewport(...view.viewport);
+    renderer.setScissor(...view.scissor);
+    camera.aspect = view.viewport[2] / Math.max(view.viewport[3], 1);
+    camera.updateProjectionMatrix();
+    renderer.render(scene, camera);
+  });
+  renderer.setScissorTest(false);
+  renderer.setViewport(0, 0, size.x, size.y);
+
+  camera.aspect = previousAspect;
+  camera.updateProjectionMatrix();
+  group.meshes.forEach((mesh, index) => {
+    mesh.material = primaryMaterials[index];
+  });
+}
+
+function startSceneDecoder(baseUrl, handlers) {
+  const worker = new Worker(new URL("./scene-decoder.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+  let manifestSettled = false;
+  let resolveManifest;
+  let rejectManifest;
+  let resolveDone;
+  let rejectDone;
+  const manifest = new Promise((resolve, reject) => {
+    resolveManifest = resolve;
+    rejectManifest = reject;
+  });
+  const done = new Promise((resolve, reject) => {
+    resolveDone = resolve;
+    rejectDone = reject;
+  });
+  // buildScene awaits this only after materials load, so a failure before then must not go
+  // unhandled; the awaited promise still rejects.
+  done.catch(() => {});
+
+  const fail = (error) => {
+    worker.terminate();
+    if (!manifestSettled) {
+      manifestSettled = true;
+      rejectManifest(error);
+      return;
+    }
+    rejectDone(error);
+  };
+
+  worker.addEventListener("message", (event) => {
+    const message = event.data || {};
+    if (message.type === "progress") {
+      handlers.onProgress?.(message.message);
+    } else if (message.type === "manifest") {
+      manifestSettled = true;
+      resolveManifest(message);
+    } else if (message.type === "meshes") {
+      handlers.onMeshes?.(message.meshes);
+    } else if (message.type === "done") {
+      worker.terminate();
+      resolveDone(message);
+    } else if (message.type === "error") {
+      fail(new Error(message.message));
+    }
+  });
+
+  worker.addEventListener("error", (event) => {
+    fail(new Error(event?.message || "Scene decoder worker failed."));
+  });
+
+  worker.postMessage({
+    type: "decode",
+    sceneBaseUrl: new URL(baseUrl, window.location.href).href,
+  });
+
+  return {
+    manifest,
+    done,
+    terminate: () => worker.terminate(),
+  };
+}
+
+function buildDecodedGeometry(record) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(record.positions, 3));
+  geometry.setIndex(new THREE.BufferAttribute(record.indices, 1));
+  if (record.uvs) {
+    geometry.setAttribute("uv", new THREE.BufferAttribute(record.uvs, 2));
+  }
+  if (record.lightMapUvs) {
+    geometry.setAttribute("uv1", new THREE.BufferAttribute(record.lightMapUvs, 2));
+  }
+  geometry.setAttribute("normal", new THREE.BufferAttribute(record.normals, 3));
+  geometry.userData.authoredNormals = Boolean(record.authoredNormals);
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+function addDecodedMeshes(records) {
+  records.forEach((record) => {
+    const geometry = buildDecodedGeometry(record);
+    const material =
+      resolveMeshMaterial(record, geometry) ||
+      new THREE.MeshStandardMaterial({ color: 0x8e8478, roughness: 0.7 });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData.sourceMaterial = material;
+    mesh.userData.materialIdx = record.materialIdx;
+    mesh.userData.nodeId = record.nodeId;
+    worldRoot.add(mesh);
+
+    if (!runtime.meshesByMaterialIndex.has(record.materialIdx)) {
+      runtime.meshesByMaterialIndex.set(record.materialIdx, []);
+    }
+    runtime.meshesByMaterialIndex.get(record.materialIdx).push(mesh);
+    if (!runtime.meshesByNodeId.has(record.nodeId)) {
+      runtime.meshesByNodeId.set(record.nodeId, []);
+    }
+    runtime.meshesByNodeId.get(record.nodeId).push(mesh);
+
+    if (record.bounds) {
+      scratchBox.min.fromArray(record.bounds, 0);
+      scratchBox.max.fromArray(record.bounds, 3);
+      runtime.bounds.union(scratchBox);
+    } else if (geometry.boundingBox) {
+      runtime.bounds.union(geometry.boundingBox);
+    }
+  });
+}
+
+async function buildScene() {
+  const startedAt = performance.now();
+  setStatus("Loading scene manifests and binary buffers...");
+
+  runtime.bounds.makeEmpty();
+  runtime.meshesByMaterialIndex = new Map();
+  runtime.meshesByNodeId = new Map();
+
+  let materialsReady = false;
+  let builtMeshes = 0;
+  const pendingBatches = [];
+  const decoder = startSceneDecoder(runtime.sceneBaseUrl, {
+    onProgress: (message) => setStatus(message),
+    onMeshes: (records) => {
+      if (!materialsReady) {
+        pendingBatches.push(records);
+        return;
+      }
+      addDecodedMeshes(records);
+      builtMeshes += records.length;
+    },
+  });
+
+  let sceneJson;
+  let configJson;
+  let manifest;
+  let skippedMeshes;
+  try {
+    [sceneJson, configJson, manifest] = await Promise.all([
+      fetchJson(`${runtime.sceneBaseUrl}scene.json`),
+      fetchJson(`${runtime.sceneBaseUrl}config.json`),
+      decoder.manifest,
+    ]);
+
+    runtime.sceneJson = sceneJson;
+    runtime.configJson = configJson;
+
+    const textureLookup = buildTextureLookup(sceneJson);
+    setStatus("Loading exterior backdrop...");
+    await applySceneExterior(sceneJson, textureLookup);
+
+    setStatus(`Building material map (${sceneJson.materials?.length || 0} materials)...`);
+    await buildMaterialMap(sceneJson, manifest.materialIndexes, textureLookup);
+
+    if (manifest.lightMapIndexes.length) {
+      setStatus(`Loading baked lightmaps (${manifest.lightMapIndexes.length} atlases)...`);
+    }
+    runtime.lightMappedMaterials.forEach((material) => {
+      material.dispose();
+    });
+    runtime.lightMappedMaterials.clear();
+    runtime.lightMapTextures = await loadLightMapTextures(sceneJson, manifest.lightMapIndexes);
+
+    materialsReady = true;
+    pendingBatches.splice(0).forEach((records) => {
+      addDecodedMeshes(records);
+      builtMeshes += records.length;
+    });
+    setStatus(`Building meshes (${builtMeshes}/${manifest.meshCount})...`);
+
+    ({ skippedMeshes } = await decoder.done);
+  } finally {
+    decoder.terminate();
+  }
+
+  if (runtime.bounds.isEmpty()) {
+    runtime.bounds.setFromObject(worldRoot);
+  }
+  fitSkyToBounds(runtime.bounds);
+  applyBoundsToCamera(runtime.bounds);
+  applyAuthoredView(sceneJson);
+
+  disposeSurfaceGroups();
+  runtime.surfaceGroups = extractSurfaceGroups(configJson)
+    .map((definition) => {
+      const nodeIds = Array.from(
+        extractSurfaceNodeIds(sceneJson.nodes, definition.materialNameSet)
+      );
+      const meshes = nodeIds.flatMap((nodeId) => runtime.meshesByNodeId.get(nodeId) || []);
+      const materialIndexes = Array.from(
+        new Set(
+          meshes
+            .map((mesh) => Number(mesh?.userData?.materialIdx))
+            .filter((index) => Number.isInteger(index))
+        )
+      );
+      const materialNames = Array.from(
+        new Set(
+          materialIndexes
+            .map((materialIndex) => sceneJson.materials?.[materialIndex]?.name)
+            .filter(Boolean)
+        )
+      );
+      const sharedLayout = runtime.pendingSurfaceLayouts.get(definition.id);
+
+      return {
+        id: definition.id,
+        label: definition.label,
+        nodeIds,
+        meshes,
+        materialIndexes,
+        materialNames,
+        textureId: "",
+        overrideMaterials: new Map(),
+        slabMap: null,
+        layout: { offsetX: 0, offsetY: 0, rotation: 0, ...sharedLayout },
+        layoutPivot: surfaceGroupPivot(meshes),
+        dom: null,
+      };
+    })
+    .filter((group) => group.meshes.length);
+  runtime.pendingSurfaceLayouts.clear();
+  setSurfaceTargets(runtime.surfaceGroups);
+  renderSurfaceGroups();
+
+  const durationSeconds = (performance.now() - startedAt) / 1000;
+  setStatus(
+    `Loaded ${builtMeshes} meshes (${skippedMeshes} skipped) in ${durationSeconds.toFixed(1)}s.`
+  );
+}
+
+function surfaceGroupForMesh(mesh) {
+  const nodeId = mesh?.userData?.nodeId;
+  const materialIdx = Number(mesh?.userData?.materialIdx);
+  const candidates = runtime.surfaceGroups.filter(
+    (group) => group.nodeIds.includes(nodeId) && group.materialIndexes.includes(materialIdx)
+  );
+  if (!candidates.length) {
+    return null;
+  }
+
+  // Nested selection groups (e.g. an island inside "countertops") resolve to the narrowest one.
+  return candidates.reduce((best, group) =>
+    group.meshes.length < best.meshes.length ? group : best
+  );
+}
+
+function pickSurfaceGroup(pointer) {
+  if (!worldRoot.children.length) {
+    return null;
+  }
+
+  raycaster.setFromCamera(pointer, camera);
+  const hit = raycaster.intersectObjects(worldRoot.children, false)[0];
+  return hit ? surfaceGroupForMesh(hit.object) : null;
+}
+
+function outlineGeometryForMesh(mesh) {
+  if (!mesh.userData.outlineGeometry) {
+    mesh.userData.outlineGeometry = new THREE.EdgesGeometry(
+      mesh.geometry,
+      OUTLINE_EDGE_THRESHOLD_DEGREES
+    );
+  }
+  return mesh.userData.outlineGeometry;
+}
+
+function setSurfaceOutline(root, material, group) {
+  root.clear();
+  if (!group) {
+    return;
+  }
+
+  group.meshes.forEach((mesh) => {
+    const outline = new THREE.LineSegments(outlineGeometryForMesh(mesh), material);
+    outline.matrixAutoUpdate = false;
+    outline.matrix.copy(mesh.matrixWorld);
+    outline.renderOrder = 1000;
+    outline.raycast = () => {};
+    root.add(outline);
+  });
+}
+
+function setHoveredSurfaceGroup(group) {
+  const groupId = group?.id || "";
+  if (groupId === runtime.hoveredSurfaceGroupId) {
+    return;
+  }
+
+  runtime.hoveredSurfaceGroupId = groupId;
+  setSurfaceOutline(
+    hoverOutlineRoot,
+    hoverOutlineMaterial,
+    groupId && groupId !== runtime.activeSurfaceGroupId ? group : null
+  );
+  renderer.domElement.style.cursor = group && runtime.cameraMode === "orbit" ? "pointer" : "";
+}
+
+function selectSurfaceGroup(groupId, options = {}) {
+  const group = findSurfaceGroup(groupId);
+  runtime.activeSurfaceGroupId = group?.id || "";
+  setSurfaceOutline(selectedOutlineRoot, selectedOutlineMaterial, group);
+  if (group && group.id === runtime.hoveredSurfaceGroupId) {
+    hoverOutlineRoot.clear();
+  }
+
+  runtime.surfaceGroups.forEach((entry) => {
+    if (entry.dom) {
+      entry.dom.section.dataset.active =
+        entry.id === runtime.activeSurfaceGroupId ? "true" : "false";
+    }
+  });
+
+  if (!group) {
+    return;
+  }
+  group.dom?.section.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  if (options.focus) {
+    group.dom?.select.focus({ preventScroll: true });
+  }
+  setStatus(`Editing ${group.label}. Choose a slab texture in the surface panel.`);
+}
+
+function clearSurfaceSelection() {
+  runtime.activeSurfaceGroupId = "";
+  runtime.hoveredSurfaceGroupId = "";
+  hoverOutlineRoot.clear();
+  selectedOutlineRoot.clear();
+  renderer.domElement.style.cursor = "";
+}
+
+function updateSurfacePicking(now) {
+  if (runtime.cameraMode === "fps") {
+    if (!fpsControls.isLocked || now - runtime.lastFpsPickAt < FPS_PICK_INTERVAL_MS) {
+      return;
+    }
+    runtime.lastFpsPickAt = now;
+    runtime.pickPointer.set(0, 0);
+  } else if (!runtime.pickPending) {
+    return;
+  }
+
+  runtime.pickPending = false;
+  setHoveredSurfaceGroup(pickSurfaceGroup(runtime.pickPointer));
+}
+
+function updatePickPointer(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  runtime.pickPointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+}
+
+// There is no scene listing to query, so the gallery offers the default and current scenes, any
+// the host page names in ?scenes=, and scenes opened before on this device.
+function sceneCatalogEntries() {
+  const names = new Set([
+    DEFAULT_SCENE,
+    runtime.sceneName,
+    ...String(params.get("scenes") || "")
+      .split(",")
+      .map((name) => name.trim()),
+    ...runtime.sceneThumbnails.keys(),
+  ]);
+  names.delete("");
+  return Array.from(names, (name) => ({ name, label: name })).sort((a, b) =>
+    a.label.localeCompare(b.label)
+  );
+}
+
+function restoreSceneThumbnails() {
+  const stored = readStoredJson(SCENE_THUMBNAIL_STORAGE_KEY, {});
+  Object.entries(stored || {}).forEach(([name, url]) => {
+    if (typeof url === "string" && url.startsWith("data:image/")) {
+      runtime.sceneThumbnails.set(name, url);
+    }
+  });
+}
+
+function persistSceneThumbnails() {
+  writeStoredJson(SCENE_THUMBNAIL_STORAGE_KEY, Object.fromEntries(runtime.sceneThumbnails));
+}
+
+function captureSceneThumbnail(name) {
+  // Read the canvas in the same task as the render so the drawing buffer is still intact.
+  renderer.render(scene, camera);
+  const source = renderer.domElement;
+  if (!source.width || !source.height) {
+    return;
+  }
+
+  const thumbnailCanvas = document.createElement("canvas");
+  thumbnailCanvas.width = SCENE_THUMBNAIL_WIDTH;
+  thumbnailCanvas.height = SCENE_THUMBNAIL_HEIGHT;
+  const context = thumbnailCanvas.getContext("2d");
+  if (!context) {
+    return;
+  }
+
+  const targetAspect = SCENE_THUMBNAIL_WIDTH / SCENE_THUMBNAIL_HEIGHT;
+  let sourceWidth = source.width;
+  let sourceHeight = source.height;
+  if (sourceWidth / sourceHeight > targetAspect) {
+    sourceWidth = sourceHeight * targetAspect;
+  } else {
+    sourceHeight = sourceWidth / targetAspect;
+  }
+  context.drawImage(
+    source,
+    (source.width - sourceWidth) / 2,
+    (source.height - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    0,
+    0,
+    SCENE_THUMBNAIL_WIDTH,
+    SCENE_THUMBNAIL_HEIGHT
+  );
+
+  try {
+    runtime.sceneThumbnails.set(name, thumbnailCanvas.toDataURL("image/jpeg", 0.78));
+  } catch {
+    return;
+  }
+  persistSceneThumbnails();
+  renderSceneGallery();
+}
+
+function renderSceneGallery() {
+  if (!dom.sceneGalleryList) {
+    return;
+  }
+
+  dom.sceneGalleryList.innerHTML = "";
+  runtime.sceneCatalog.forEach((entry) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "scene-card";
+    button.dataset.active = entry.name === runtime.sceneName ? "true" : "false";
+    button.disabled = runtime.sceneLoading;
+    button.setAttribute("aria-pressed", button.dataset.active);
+
+    const thumbnailUrl = runtime.sceneThumbnails.get(entry.name);
+    if (thumbnailUrl) {
+      const image = document.createElement("img");
+      image.src = thumbnailUrl;
+      image.alt = `${entry.label} authored view`;
+      image.loading = "lazy";
+      button.appendChild(image);
+    } else {
+      const placeholder = document.createElement("span");
+      placeholder.className = "scene-card-placeholder";
+      placeholder.textContent = "No preview yet";
+      button.appendChild(placeholder);
+    }
+
+    const label = document.createElement("span");
+    label.className = "scene-card-label";
+    label.textContent = entry.label;
+    button.appendChild(label);
+
+    button.addEventListener("click", () => {
+      switchScene(entry.name);
+    });
+    dom.sceneGalleryList.appendChild(button);
+  });
+}
+
+function setSceneGalleryOpen(isOpen) {
+  if (dom.sceneGalleryPanel) {
+    dom.sceneGalleryPanel.hidden = !isOpen;
+  }
+  if (dom.sceneGalleryButton) {
+    dom.sceneGalleryButton.setAttribute("aria-expanded", isOpen ? "true" : "false");
+    dom.sceneGalleryButton.textContent = isOpen ? "Hide Scenes" : "Scenes";
+  }
+}
+
+function disposeSceneContent() {
+  clearSurfaceSelection();
+  worldRoot.children.slice().forEach((mesh) => {
+    worldRoot.remove(mesh);
+    mesh.userData.outlineGeometry?.dispose();
+    mesh.geometry?.dispose();
+    mesh.material?.dispose();
+  });
+
+  runtime.materialByIndex.forEach((material) => {
+    material.map?.dispose();
+    material.dispose();
+  });
+  runtime.materialByIndex.clear();
+  runtime.lightMappedMaterials.forEach((material) => {
+    material.dispose();
+  });
+  runtime.lightMappedMaterials.clear();
+  runtime.lightMapTextures.forEach((texture) => {
+    texture?.dispose();
+  });
+  runtime.lightMapTextures = [];
+  disposeSurfaceGroups();
+  runtime.sceneTextureCache.forEach((texturePromise) => {
+    texturePromise.then((texture) => texture?.dispose());
+  });
+  runtime.sceneTextureCache.clear();
+  clearSceneExterior();
+
+  runtime.meshesByMaterialIndex = new Map();
+  runtime.meshesByNodeId = new Map();
+  runtime.sceneJson = null;
+  runtime.configJson = null;
+}
+
+function syncSceneToUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.set("scene", runtime.sceneName);
+  ["mode", "cam", "target", "fov"].forEach((key) => {
+    url.searchParams.delete(key);
+  });
+  window.history.replaceState(null, "", url);
+}
+
+async function switchScene(name) {
+  const nextScene = String(name || "").trim();
+  if (!nextScene || runtime.sceneLoading || nextScene === runtime.sceneName) {
+    return;
+  }
+
+  runtime.sceneLoading = true;
+  setCompareLayout("off");
+  disposeSceneContent();
+  runtime.sceneName = nextScene;
+  runtime.sceneBaseUrl = sceneBaseUrlFor(nextScene);
+  syncSceneToUrl();
+  refreshSceneMeta();
+  renderSceneGallery();
+
+  try {
+    await buildScene();
+    await applySurfaceTextureSelections();
+    captureSceneThumbnail(runtime.sceneName);
+  } catch (error) {
+    console.error(error);
+    setStatus(error?.message || `Scene ${nextScene} failed to load.`, true);
+  } finally {
+    runtime.sceneLoading = false;
+    renderSceneGallery();
+  }
+}
+
+function wireUi() {
+  refreshSceneMeta();
+
+  dom.cameraModeButton?.addEventListener("click", () => {
+    setCameraMode(runtime.cameraMode === "orbit" ? "fps" : "orbit");
+  });
+
+  dom.resetCameraButton?.addEventListener("click", () => {
+    resetCamera();
+  });
+
+  if (dom.antiTilingToggle) {
+    dom.antiTilingToggle.checked = runtime.antiTiling;
+    dom.antiTilingToggle.addEventListener("change", () => {
+      setSlabAntiTiling(dom.antiTilingToggle.checked);
+    });
+  }
+
+  dom.exportStillButton?.addEventListener("click", () => {
+    exportStillRender();
+  });
+
+  dom.shareDesignButton?.addEventListener("click", () => {
+    shareDesign();
+  });
+
+  dom.shareLinkOutput?.addEventListener("focus", () => {
+    dom.shareLinkOutput.select();
+  });
+
+  dom.sceneGalleryButton?.addEventListener("click", () => {
+    setSceneGalleryOpen(Boolean(dom.sceneGalleryPanel?.hidden));
+  });
+
+  dom.compareLayoutSelect?.addEventListener("change", () => {
+    setCompareLayout(dom.compareLayoutSelect.value);
+  });
+
+  dom.compareCountSelect?.addEventListener("change", () => {
+    runtime.compare.slotCount = THREE.MathUtils.clamp(
+      Number(dom.compareCountSelect.value) || 2,
+      2,
+      COMPARE_MAX_SLOTS
+    );
+    renderCompareControls();
+    renderCompareOverlay();
+  });
+
+  dom.compareDivider?.addEventListener("pointerdown", (event) => {
+    event.preventDefault();
+    dom.compareDivider.setPointerCapture(event.pointerId);
+  });
+
+  dom.compareDivider?.addEventListener("pointermove", (event) => {
+    if (dom.compareDivider.hasPointerCapture(event.pointerId)) {
+      setCompareSplitFromPointer(event);
+    }
+  });
+
+  window.addEventListener("resize", renderCompareOverlay, { passive: true });
+
+  renderer.domElement.addEventListener("pointermove", (event) => {
+    if (runtime.cameraMode !== "orbit" || runtime.compare.layout !== "off") {
+      return;
+    }
+    updatePickPointer(event);
+    runtime.pickPending = true;
+  });
+
+  renderer.domElement.addEventListener("pointerleave", () => {
+    if (runtime.cameraMode === "orbit") {
+      setHoveredSurfaceGroup(null);
+    }
+  });
+
+  renderer.domElement.addEventListener(
+    "pointerdown",
+    (event) => {
+      runtime.pointerDownAt = { x: event.clientX, y: event.clientY };
+      if (runtime.layoutEditGroupId && beginLayoutDrag(event)) {
+        event.stopImmediatePropagation();
+      }
+    },
+    { capture: true }
+  );
+
+  renderer.domElement.addEventListener("pointermove", updateLayoutDrag);
+  renderer.domElement.addEventListener("pointerup", endLayoutDrag);
+  renderer.domElement.addEventListener("pointercancel", endLayoutDrag);
+
+  renderer.domElement.addEventListener("click", (event) => {
+    if (runtime.cameraMode === "fps") {
+      if (!fpsControls.isLocked) {
+        fpsControls.lock();
+        return;
+      }
+      const group = pickSurfaceGroup(new THREE.Vector2(0, 0));
+      if (group) {
+        selectSurfaceGroup(group.id);
+      }
+      return;
+    }
+
+    if (runtime.compare.layout !== "off") {
+      return;
+    }
+
+    const start = runtime.pointerDownAt;
+    if (
+      start &&
+      Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_DRAG_TOLERANCE_PX
+    ) {
+      return;
+    }
+    updatePickPointer(event);
+    const group = pickSurfaceGroup(runtime.pickPointer);
+    selectSurfaceGroup(group?.id || "", { focus: Boolean(group) });
+  });
+
+  window.addEventListener("keydown", (event) => {
+    if (isTypingElement()) {
+      return;
+    }
+    runtime.keyState.add(event.code);
+  });
+
+  window.addEventListener("keyup", (event) => {
+    runtime.keyState.delete(event.code);
+  });
+
+  fpsControls.addEventListener("lock", () => {
+    if (dom.fpsCrosshair) {
+      dom.fpsCrosshair.hidden = false;
+    }
+    setStatus("FPS controls locked. Click to select the surface at the crosshair, Esc to unlock.");
+  });
 
   fpsControls.addEventListener("unlock", () => {
+    if (dom.fpsCrosshair) {
+      dom.fpsCrosshair.hidden = true;
+    }
+    setHoveredSurfaceGroup(null);
     if (runtime.cameraMode === "fps") {
       setStatus("FPS controls unlocked. Click viewer to continue moving.");
     }
@@ -1998,14 +3304,19 @@ function wireUi() {
 }
 
 const clock = new THREE.Clock();
-function renderLoop() {
+function renderLoop(now = performance.now()) {
   const delta = Math.min(clock.getDelta(), 0.05);
   updateFpsMovement(delta);
   if (orbitControls.enabled) {
     orbitControls.update();
   }
   syncSkyToCamera();
-  renderer.render(scene, camera);
+  updateSurfacePicking(now);
+  if (runtime.compare.layout !== "off") {
+    renderCompareFrame();
+  } else {
+    renderer.render(scene, camera);
+  }
   runtime.animId = window.requestAnimationFrame(renderLoop);
 }
 
@@ -2015,21 +3326,38 @@ async function bootstrap() {
   window.addEventListener("resize", resizeRenderer, { passive: true });
   renderLoop();
 
+  restoreSceneThumbnails();
+  listenForSnapshotRequests();
+  runtime.sceneCatalog = sceneCatalogEntries();
+  renderSceneGallery();
+
+  runtime.sceneLoading = true;
   try {
     await buildScene();
 
     setStatus("Loading texture catalog...");
     runtime.textureCatalog = await loadTextureCatalog();
-    populateTextureSelect(runtime.textureCatalog, requestedCountertopTexture);
+    renderSurfaceGroups();
+    renderCompareControls();
 
-    if (requestedCountertopTexture) {
-      await applyCountertopTexture(requestedCountertopTexture);
-    } else if (dom.textureSelect?.value) {
-      await applyCountertopTexture(dom.textureSelect.value);
+    const countertopGroup = defaultSurfaceGroup();
+    const hasSharedSurfaces = params.has("surfaces");
+    if (
+      countertopGroup &&
+      requestedCountertopTexture &&
+      (!hasSharedSurfaces || params.has("counteroptexture"))
+    ) {
+      runtime.surfaceTextureSelections.set(countertopGroup.id, requestedCountertopTexture);
     }
+    await applySurfaceTextureSelections();
+    captureSceneThumbnail(runtime.sceneName);
+    applySharedView(sharedView);
   } catch (error) {
     console.error(error);
     setStatus(error?.message || "Native viewer failed to load.", true);
+  } finally {
+    runtime.sceneLoading = false;
+    renderSceneGallery();
   }
 }
 
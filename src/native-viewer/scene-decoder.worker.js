@@ -0,0 +1,527 @@
+const LIGHTMAP_UV_QUANT_MAX = 0xffff;
+const MESH_BATCH_SIZE = 40;
+const NORMAL_FORMATS = {
+  1: { view: "normals8", scale: 1 / 0x7f },
+  2: { view: "normals16", scale: 1 / 0x7fff },
+  4: { view: "normalsF32", scale: 1 },
+};
+
+function postProgress(message) {
+  self.postMessage({ type: "progress", message });
+}
+
+function minBytesToHold(maxValue) {
+  const absolute = Math.abs(Number(maxValue) || 0);
+  if (absolute <= 0x7f) {
+    return 1;
+  }
+  if (absolute <= 0x7fff) {
+    return 2;
+  }
+  return 4;
+}
+
+function alignedTypedView(ArrayType, buffer) {
+  const length = Math.floor(buffer.byteLength / ArrayType.BYTES_PER_ELEMENT);
+  return length > 0 ? new ArrayType(buffer, 0, length) : null;
+}
+
+function getFloat32At(floatBuffer, byteOffset, length) {
+  const start = Math.floor(byteOffset / 4);
+  const end = start + length;
+  if (start < 0 || end > floatBuffer.length) {
+    return null;
+  }
+  return floatBuffer.subarray(start, end);
+}
+
+function parseMeshProps(meshesBuffer, boundsBuffer) {
+  const ints = new Int32Array(meshesBuffer);
+  const floats = new Float32Array(meshesBuffer);
+  const boundsFloats = new Float32Array(boundsBuffer);
+
+  const version = ints[0] || 0;
+  const stride = ints[1] || 0;
+  if (stride < 21) {
+    throw new Error(`Unsupported mesh layout stride: ${stride}`);
+  }
+
+  const meshProps = [];
+  for (let offset = 2; offset + 20 < ints.length; offset += stride) {
+    const faceCount = ints[offset + 4];
+    const vertexCount = ints[offset + 6];
+    if (faceCount <= 0 || vertexCount <= 0) {
+      continue;
+    }
+
+    const props = {
+      nodeId: ints[offset],
+      materialIdx: ints[offset + 1],
+      useFaces16: ints[offset + 2] === 1,
+      faceByteOffset: ints[offset + 3],
+      faceCnt: faceCount,
+      vertexByteOffset: ints[offset + 5],
+      vertexCnt: vertexCount,
+      normalByteOffset: ints[offset + 7],
+      uv0ByteOffset: ints[offset + 8],
+      uv1ByteOffset: ints[offset + 9],
+      lightMapIdx: ints[offset + 10],
+      uv1CoordUScale: floats[offset + 11],
+      uv1CoordVScale: floats[offset + 12],
+      uv1CoordUOffset: ints[offset + 13],
+      uv1CoordVOffset: ints[offset + 14],
+      transformByteOffset: ints[offset + 15],
+      boundsByteOffset: ints[offset + 16],
+      quantVertexRange: floats[offset + 17],
+      quantVertexMax: ints[offset + 18],
+      quantUv0Range: floats[offset + 19],
+      quantUv0Max: ints[offset + 20],
+      autoLightmapResolution: version >= 2 ? ints[offset + 21] : -1,
+      bounds: null,
+    };
+
+    const boundsOffset = Math.floor(props.boundsByteOffset / 4);
+    if (boundsOffset >= 0 && boundsOffset + 6 < boundsFloats.length) {
+      const maxX = boundsFloats[boundsOffset];
+      const maxY = boundsFloats[boundsOffset + 1];
+      const maxZ = boundsFloats[boundsOffset + 2];
+      const minX = boundsFloats[boundsOffset + 3];
+      const minY = boundsFloats[boundsOffset + 4];
+      const minZ = boundsFloats[boundsOffset + 5];
+
+      if (
+        Number.isFinite(maxX) &&
+        Number.isFinite(maxY) &&
+        Number.isFinite(maxZ) &&
+        Number.isFinite(minX) &&
+        Number.isFinite(minY) &&
+        Number.isFinite(minZ)
+      ) {
+        props.bounds = [minX, minY, minZ, maxX, maxY, maxZ];
+      }
+    }
+
+    meshProps.push(props);
+  }
+
+  return meshProps;
+}
+
+function transformPoint(matrix, x, y, z, output, outputOffset) {
+  output[outputOffset] = matrix[0] * x + matrix[1] * y + matrix[2] * z + matrix[3];
+  output[outputOffset + 1] = matrix[4] * x + matrix[5] * y + matrix[6] * z + matrix[7];
+  output[outputOffset + 2] = matrix[8] * x + matrix[9] * y + matrix[10] * z + matrix[11];
+}
+
+function decodeLightMapUvs(meshProps, views) {
+  if (meshProps.lightMapIdx < 0 || meshProps.uv1ByteOffset < 0) {
+    return null;
+  }
+  if (!views.uvs1F32 || !views.uvs1U16) {
+    return null;
+  }
+
+  const uvElementCount = meshProps.vertexCnt * 2;
+  const uvs = new Float32Array(uvElementCount);
+  const uScale = Number.isFinite(meshProps.uv1CoordUScale) ? meshProps.uv1CoordUScale : 0;
+  const vScale = Number.isFinite(meshProps.uv1CoordVScale) ? meshProps.uv1CoordVScale : 0;
+
+  // Unscaled records carry raw float coordinates; scaled records are 16-bit
+  // quantized per mesh, with offsets stored at the same quantization step.
+  if (uScale === 0 && vScale === 0) {
+    const uvElementOffset = Math.floor(meshProps.uv1ByteOffset / 4);
+    if (uvElementOffset + uvElementCount > views.uvs1F32.length) {
+      return null;
+    }
+    for (let i = 0; i < uvElementCount; i += 1) {
+      uvs[i] = views.uvs1F32[uvElementOffset + i];
+    }
+    return uvs;
+  }
+
+  const uvElementOffset = Math.floor(meshProps.uv1ByteOffset / 2);
+  if (uvElementOffset + uvElementCount > views.uvs1U16.length) {
+    return null;
+  }
+
+  const uOffset = meshProps.uv1CoordUOffset / LIGHTMAP_UV_QUANT_MAX;
+  const vOffset = meshProps.uv1CoordVOffset / LIGHTMAP_UV_QUANT_MAX;
+  for (let i = 0; i < uvElementCount; i += 2) {
+    const rawU = views.uvs1U16[uvElementOffset + i] / LIGHTMAP_UV_QUANT_MAX;
+    const rawV = views.uvs1U16[uvElementOffset + i + 1] / LIGHTMAP_UV_QUANT_MAX;
+    uvs[i] = rawU * uScale + uOffset;
+    uvs[i + 1] = rawV * vScale + vOffset;
+  }
+  return uvs;
+}
+
+// Inverse transpose of the rotation/scale block, i.e. its cofactor matrix over the determinant.
+function normalMatrixFromTransform(matrix) {
+  const [a, b, c, , d, e, f, , g, h, i] = matrix;
+  const cofactors = [
+    e * i - f * h,
+    f * g - d * i,
+    d * h - e * g,
+    c * h - b * i,
+    a * i - c * g,
+    b * g - a * h,
+    b * f - c * e,
+    c * d - a * f,
+    a * e - b * d,
+  ];
+  const determinant = a * cofactors[0] + b * cofactors[1] + c * cofactors[2];
+  if (Math.abs(determinant) < 1e-12) {
+    return null;
+  }
+  return cofactors.map((value) => value / determinant);
+}
+
+// meshes.buf has no normal type field, so the component width comes from the normals.buf
+// layout: each record's normals run up to the next record's offset, padded at most to alignment.
+function normalComponentBytes(meshProps, byteLength) {
+  const componentsByOffset = new Map();
+  meshProps.forEach((props) => {
+    if (props.normalByteOffset >= 0) {
+      componentsByOffset.set(
+        props.normalByteOffset,
+        Math.max(componentsByOffset.get(props.normalByteOffset) || 0, props.vertexCnt * 3)
+      );
+    }
+  });
+
+  const offsets = Array.from(componentsByOffset.keys()).sort((a, b) => a - b);
+  const votes = new Map();
+  offsets.forEach((offset, index) => {
+    const end = index + 1 < offsets.length ? offsets[index + 1] : byteLength;
+    const bytes = Math.floor((end - offset) / componentsByOffset.get(offset));
+    if (NORMAL_FORMATS[bytes]) {
+      votes.set(bytes, (votes.get(bytes) || 0) + 1);
+    }
+  });
+
+  let best = 0;
+  votes.forEach((count, bytes) => {
+    if (!best || count > votes.get(best)) {
+      best = bytes;
+    }
+  });
+  return best;
+}
+
+function decodeMeshNormals(meshProps, views, transformMatrix) {
+  const format = NORMAL_FORMATS[views.normalBytes];
+  if (meshProps.normalByteOffset < 0 || !format) {
+    return null;
+  }
+
+  const source = views[format.view];
+  const elementOffset = meshProps.normalByteOffset / views.normalBytes;
+  const elementCount = meshProps.vertexCnt * 3;
+  if (
+    !source ||
+    !Number.isInteger(elementOffset) ||
+    elementOffset + elementCount > source.length
+  ) {
+    return null;
+  }
+
+  const normals = new Float32Array(elementCount);
+  for (let i = 0; i < elementCount; i += 1) {
+    normals[i] = source[elementOffset + i] * format.scale;
+  }
+
+  const normalMatrix = normalMatrixFromTransform(transformMatrix);
+  if (!normalMatrix) {
+    return null;
+  }
+
+  const [m0, m1, m2, m3, m4, m5, m6, m7, m8] = normalMatrix;
+  for (let i = 0; i < elementCount; i += 3) {
+    const x = normals[i];
+    const y = normals[i + 1];
+    const z = normals[i + 2];
+    const nx = m0 * x + m1 * y + m2 * z;
+    const ny = m3 * x + m4 * y + m5 * z;
+    const nz = m6 * x + m7 * y + m8 * z;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    normals[i] = nx / length;
+    normals[i + 1] = ny / length;
+    normals[i + 2] = nz / length;
+  }
+  return normals;
+}
+
+function computeVertexNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    const abX = positions[b] - positions[a];
+    const abY = positions[b + 1] - positions[a + 1];
+    const abZ = positions[b + 2] - positions[a + 2];
+    const acX = positions[c] - positions[a];
+    const acY = positions[c + 1] - positions[a + 1];
+    const acZ = positions[c + 2] - positions[a + 2];
+    const faceX = abY * acZ - abZ * acY;
+    const faceY = abZ * acX - abX * acZ;
+    const faceZ = abX * acY - abY * acX;
+
+    normals[a] += faceX;
+    normals[a + 1] += faceY;
+    normals[a + 2] += faceZ;
+    normals[b] += faceX;
+    normals[b + 1] += faceY;
+    normals[b + 2] += faceZ;
+    normals[c] += faceX;
+    normals[c + 1] += faceY;
+    normals[c + 2] += faceZ;
+  }
+
+  for (let i = 0; i < normals.length; i += 3) {
+    const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+    if (length > 0) {
+      normals[i] /= length;
+      normals[i + 1] /= length;
+      normals[i + 2] /= length;
+    }
+  }
+  return normals;
+}
+
+function decodeMeshGeometry(meshProps, views) {
+  const vertexBytes = minBytesToHold(meshProps.quantVertexMax);
+  const vertexFactor =
+    meshProps.quantVertexMax !== 0
+      ? meshProps.quantVertexRange / meshProps.quantVertexMax
+      : 1;
+
+  let vertexArray = null;
+  let vertexElementOffset = 0;
+  if (vertexBytes === 1) {
+    vertexArray = views.vertices8;
+    vertexElementOffset = meshProps.vertexByteOffset;
+  } else if (vertexBytes === 2) {
+    vertexArray = views.vertices16;
+    vertexElementOffset = Math.floor(meshProps.vertexByteOffset / 2);
+  } else {
+    vertexArray = views.vertices32;
+    vertexElementOffset = Math.floor(meshProps.vertexByteOffset / 4);
+  }
+
+  const vertexElementCount = meshProps.vertexCnt * 3;
+  if (
+    vertexElementOffset < 0 ||
+    vertexElementOffset + vertexElementCount > vertexArray.length
+  ) {
+    return null;
+  }
+
+  const transformMatrix = getFloat32At(views.transforms, meshProps.transformByteOffset, 16);
+  if (!transformMatrix) {
+    return null;
+  }
+
+  const faceArray = meshProps.useFaces16 ? views.faces16 : views.faces32;
+  if (!faceArray) {
+    return null;
+  }
+
+  const faceElementOffset = Math.floor(
+    meshProps.faceByteOffset / (meshProps.useFaces16 ? 2 : 4)
+  );
+  const faceElementCount = meshProps.faceCnt * 3;
+  if (
+    faceElementOffset < 0 ||
+    faceElementOffset + faceElementCount > faceArray.length
+  ) {
+    return null;
+  }
+
+  const positions = new Float32Array(vertexElementCount);
+  for (let vertexIndex = 0; vertexIndex < meshProps.vertexCnt; vertexIndex += 1) {
+    const sourceIndex = vertexElementOffset + vertexIndex * 3;
+    const x = vertexArray[sourceIndex] * vertexFactor;
+    const y = vertexArray[sourceIndex + 1] * vertexFactor;
+    const z = vertexArray[sourceIndex + 2] * vertexFactor;
+    transformPoint(transformMatrix, x, y, z, positions, vertexIndex * 3);
+  }
+
+  const indices = new Uint32Array(faceElementCount);
+  for (let i = 0; i < faceElementCount; i += 1) {
+    const rawIndex = faceArray[faceElementOffset + i];
+    indices[i] = rawIndex < meshProps.vertexCnt ? rawIndex : 0;
+  }
+
+  let uvs = null;
+  if (meshProps.uv0ByteOffset >= 0 && views.uvsF32 && views.uvsU16) {
+    uvs = new Float32Array(meshProps.vertexCnt * 2);
+
+    if (meshProps.quantUv0Max === 0) {
+      const uvElementOffset = Math.floor(meshProps.uv0ByteOffset / 4);
+      const uvElementCount = meshProps.vertexCnt * 2;
+      if (uvElementOffset + uvElementCount <= views.uvsF32.length) {
+        for (let i = 0; i < uvElementCount; i += 1) {
+          uvs[i] = views.uvsF32[uvElementOffset + i];
+        }
+      }
+    } else {
+      const uvFactor =
+        meshProps.quantUv0Max !== 0 ? meshProps.quantUv0Range / meshProps.quantUv0Max : 1;
+      const uvElementOffset = Math.floor(meshProps.uv0ByteOffset / 2);
+      const uvElementCount = meshProps.vertexCnt * 2;
+      if (uvElementOffset + uvElementCount <= views.uvsU16.length) {
+        for (let i = 0; i < uvElementCount; i += 1) {
+          uvs[i] = views.uvsU16[uvElementOffset + i] * uvFactor;
+        }
+      }
+    }
+  }
+
+  const lightMapUvs = decodeLightMapUvs(meshProps, views);
+  const normals = decodeMeshNormals(meshProps, views, transformMatrix);
+
+  return {
+    nodeId: meshProps.nodeId,
+    materialIdx: meshProps.materialIdx,
+    lightMapIdx: meshProps.lightMapIdx,
+    bounds: meshProps.bounds,
+    positions,
+    indices,
+    uvs,
+    lightMapUvs,
+    normals: normals || computeVertexNormals(positions, indices),
+    authoredNormals: Boolean(normals),
+  };
+}
+
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status} (${url})`);
+  }
+  return response.arrayBuffer();
+}
+
+async function fetchOptionalBuffer(url) {
+  try {
+    return await fetchBuffer(url);
+  } catch {
+    return new ArrayBuffer(0);
+  }
+}
+
+function transferablesForMesh(mesh) {
+  return [mesh.positions, mesh.indices, mesh.uvs, mesh.lightMapUvs, mesh.normals]
+    .filter(Boolean)
+    .map((array) => array.buffer);
+}
+
+async function decodeSceneBuffers(sceneBaseUrl) {
+  postProgress("Loading scene binary buffers...");
+  const [
+    meshesBuffer,
+    boundsBuffer,
+    faces16Buffer,
+    faces32Buffer,
+    verticesBuffer,
+    normalsBuffer,
+    transformsBuffer,
+    uvs0Buffer,
+    uvs1Buffer,
+  ] = await Promise.all([
+    fetchBuffer(`${sceneBaseUrl}meshes.buf`),
+    fetchBuffer(`${sceneBaseUrl}bounds.buf`),
+    fetchBuffer(`${sceneBaseUrl}faces16.buf`),
+    fetchBuffer(`${sceneBaseUrl}faces.buf`),
+    fetchBuffer(`${sceneBaseUrl}vertices.buf`),
+    fetchOptionalBuffer(`${sceneBaseUrl}normals.buf`),
+    fetchBuffer(`${sceneBaseUrl}transforms.buf`),
+    fetchBuffer(`${sceneBaseUrl}uvs0.buf`),
+    fetchOptionalBuffer(`${sceneBaseUrl}uvs1.buf`),
+  ]);
+
+  const meshProps = parseMeshProps(meshesBuffer, boundsBuffer);
+  if (!meshProps.length) {
+    throw new Error("No mesh entries were parsed from meshes.buf.");
+  }
+
+  self.postMessage({
+    type: "manifest",
+    meshCount: meshProps.length,
+    materialIndexes: Array.from(
+      new Set(meshProps.map((mesh) => mesh.materialIdx).filter((index) => index >= 0))
+    ).sort((a, b) => a - b),
+    lightMapIndexes: uvs1Buffer.byteLength
+      ? Array.from(
+          new Set(meshProps.map((mesh) => mesh.lightMapIdx).filter((index) => index >= 0))
+        ).sort((a, b) => a - b)
+      : [],
+  });
+
+  const views = {
+    faces16: faces16Buffer.byteLength ? new Uint16Array(faces16Buffer) : null,
+    faces32: faces32Buffer.byteLength ? new Uint32Array(faces32Buffer) : null,
+    vertices8: new Int8Array(verticesBuffer),
+    vertices16: new Int16Array(verticesBuffer),
+    vertices32: new Int32Array(verticesBuffer),
+    normals8: alignedTypedView(Int8Array, normalsBuffer),
+    normals16: alignedTypedView(Int16Array, normalsBuffer),
+    normalsF32: alignedTypedView(Float32Array, normalsBuffer),
+    normalBytes: normalComponentBytes(meshProps, normalsBuffer.byteLength),
+    transforms: new Float32Array(transformsBuffer),
+    uvsU16: uvs0Buffer.byteLength ? new Uint16Array(uvs0Buffer) : null,
+    uvsF32: uvs0Buffer.byteLength ? new Float32Array(uvs0Buffer) : null,
+    uvs1U16: alignedTypedView(Uint16Array, uvs1Buffer),
+    uvs1F32: alignedTypedView(Float32Array, uvs1Buffer),
+  };
+
+  postProgress(`Decoding geometry (${meshProps.length} mesh records)...`);
+  let decodedMeshes = 0;
+  let skippedMeshes = 0;
+  let batch = [];
+  const flushBatch = () => {
+    if (!batch.length) {
+      return;
+    }
+    self.postMessage(
+      { type: "meshes", meshes: batch },
+      batch.flatMap((mesh) => transferablesForMesh(mesh))
+    );
+    batch = [];
+  };
+
+  for (let index = 0; index < meshProps.length; index += 1) {
+    const decoded = decodeMeshGeometry(meshProps[index], views);
+    if (!decoded) {
+      skippedMeshes += 1;
+      continue;
+    }
+
+    batch.push(decoded);
+    decodedMeshes += 1;
+    if (batch.length >= MESH_BATCH_SIZE) {
+      flushBatch();
+      postProgress(`Decoding geometry (${decodedMeshes}/${meshProps.length})...`);
+    }
+  }
+  flushBatch();
+
+  self.postMessage({ type: "done", decodedMeshes, skippedMeshes });
+}
+
+self.addEventListener("message", async (event) => {
+  const message = event.data || {};
+  if (message.type !== "decode") {
+    return;
+  }
+
+  try {
+    await decodeSceneBuffers(message.sceneBaseUrl);
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      message: error?.message || "Scene buffer decoding failed.",
+    });
+  }
+});
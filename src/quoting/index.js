@@ -0,0 +1,191 @@
+// Cutout fee keys mirror the cutout types offered by the inventory app's 3D slab editor.
+export const defaultPriceBook = {
+  defaultSlabPrice: 1850,
+  slabPrices: {},
+  fabricationPerSquareFoot: 38,
+  edgePerLinearFoot: 14,
+  cutoutFees: {
+    undermount: 275,
+    dropin: 150,
+    cooktop: 225,
+    faucet: 40,
+  },
+  taxRate: 0,
+};
+
+const currencyFormatter = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" });
+
+function nonNegative(value, fallback) {
+  if (value === "" || value === null || value === undefined) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function formatCurrency(value) {
+  return currencyFormatter.format(Number(value) || 0);
+}
+
+export function normalizePriceBook(value) {
+  const source = value && typeof value === "object" ? value : {};
+  const slabPrices = Object.fromEntries(
+    Object.entries(source.slabPrices || {})
+      .map(([materialKey, price]) => [materialKey, nonNegative(price, null)])
+      .filter(([materialKey, price]) => materialKey && price !== null)
+  );
+  const cutoutFees = Object.fromEntries(
+    Object.entries(defaultPriceBook.cutoutFees).map(([type, fee]) => [
+      type,
+      nonNegative(source.cutoutFees?.[type], fee),
+    ])
+  );
+
+  return {
+    defaultSlabPrice: nonNegative(source.defaultSlabPrice, defaultPriceBook.defaultSlabPrice),
+    slabPrices,
+    fabricationPerSquareFoot: nonNegative(
+      source.fabricationPerSquareFoot,
+      defaultPriceBook.fabricationPerSquareFoot
+    ),
+    edgePerLinearFoot: nonNegative(source.edgePerLinearFoot, defaultPriceBook.edgePerLinearFoot),
+    cutoutFees,
+    taxRate: Math.min(nonNegative(source.taxRate, defaultPriceBook.taxRate), 100),
+  };
+}
+
+export function slabPriceFor(priceBook, materialKey) {
+  return priceBook.slabPrices[materialKey] ?? priceBook.defaultSlabPrice;
+}
+
+function quoteLine(id, category, description, quantity, unit, unitPrice) {
+  return {
+    id,
+    category,
+    description,
+    quantity,
+    unit,
+    unitPrice,
+    amount: roundCents(quantity * unitPrice),
+  };
+}
+
+// Each line is rounded to cents before summing so the printed lines always add up to the total.
+// The edge profile's own per-foot price is billed on top of the base polishing rate.
+export function buildQuote(job, priceBook) {
+  const lines = [];
+  const squareFeet = roundCents(Math.max(0, job.squareFeet || 0));
+  const linearFeet = roundCents(Math.max(0, job.edge?.linearFeet || 0));
+
+  if (job.slabCount > 0) {
+    const slabList = job.slabIds?.length ? ` (${job.slabIds.join(", ")})` : "";
+    lines.push(
+      quoteLine(
+        "slabs",
+        "Material",
+        `${job.materialLabel} - ${job.productName}${slabList}`,
+        job.slabCount,
+        "slab",
+        slabPriceFor(priceBook, job.materialKey)
+      )
+    );
+  }
+
+  if (squareFeet > 0) {
+    lines.push(
+      quoteLine(
+        "fabrication",
+        "Fabrication",
+        "Countertop and backsplash fabrication",
+        squareFeet,
+        "sq ft",
+        priceBook.fabricationPerSquareFoot
+      )
+    );
+  }
+
+  if (linearFeet > 0) {
+    lines.push(
+      quoteLine(
+        "edge-polish",
+        "Edge",
+        "Finished edge polishing",
+        linearFeet,
+        "lin ft",
+        priceBook.edgePerLinearFoot
+      )
+    );
+    if (job.edge.pricePerFoot > 0) {
+      lines.push(
+        quoteLine(
+          "edge-profile",
+          "Edge",
+          `${job.edge.label} profile`,
+          linearFeet,
+          "lin ft",
+          job.edge.pricePerFoot
+        )
+      );
+    }
+  }
+
+  const cutoutCounts = new Map();
+  (job.cutouts || []).forEach((cutout) => {
+    const entry = cutoutCounts.get(cutout.type) || { label: cutout.label, count: 0 };
+    entry.count += 1;
+    cutoutCounts.set(cutout.type, entry);
+  });
+  cutoutCounts.forEach(({ label, count }, type) => {
+    lines.push(
+      quoteLine(
+        `cutout-${type}`,
+        "Cutouts",
+        label,
+        count,
+        "ea",
+        priceBook.cutoutFees[type] ?? 0
+      )
+    );
+  });
+
+  const subtotal = roundCents(lines.reduce((sum, line) => sum + line.amount, 0));
+  const tax = roundCents((subtotal * priceBook.taxRate) / 100);
+  return {
+    lines,
+    subtotal,
+    taxRate: priceBook.taxRate,
+    tax,
+    total: roundCents(subtotal + tax),
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function quoteToCsv(quote) {
+  const rows = [
+    ["Quote", quote.name],
+    ["Prepared", quote.preparedAt],
+    [],
+    ["Category", "Description", "Quantity", "Unit", "Unit Price", "Amount"],
+    ...quote.estimate.lines.map((line) => [
+      line.category,
+      line.description,
+      line.quantity,
+      line.unit,
+      line.unitPrice.toFixed(2),
+      line.amount.toFixed(2),
+    ]),
+    [],
+    ["", "Subtotal", "", "", "", quote.estimate.subtotal.toFixed(2)],
+    ["", `Tax (${quote.estimate.taxRate}%)`, "", "", "", quote.estimate.tax.toFixed(2)],
+    ["", "Total", "", "", "", quote.estimate.total.toFixed(2)],
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
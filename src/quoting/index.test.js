@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { buildQuote, defaultPriceBook, normalizePriceBook, quoteToCsv } from "./index.js";
+
+const priceBook = normalizePriceBook({
+  fabricationPerSquareFoot: 38.333,
+  edgePerLinearFoot: 14,
+  taxRate: 8.25,
+  slabPrices: { granite: 2000 },
+});
+
+const job = {
+  slabCount: 2,
+  slabIds: ["A1", "A2"],
+  materialKey: "granite",
+  materialLabel: "Granite",
+  productName: "Alaska White, polished",
+  squareFeet: 41.337,
+  edge: { linearFeet: 23.456, label: 'Ogee "classic"', pricePerFoot: 34 },
+  cutouts: [
+    { type: "undermount", label: "Undermount sink" },
+    { type: "faucet", label: "Faucet hole" },
+    { type: "faucet", label: "Faucet hole" },
+  ],
+};
+
+function lineById(quote, id) {
+  return quote.lines.find((line) => line.id === id);
+}
+
+describe("normalizePriceBook", () => {
+  it("caps the tax rate at 100% and ignores negative rates", () => {
+    expect(normalizePriceBook({ taxRate: 250 }).taxRate).toBe(100);
+    expect(normalizePriceBook({ taxRate: -3 }).taxRate).toBe(defaultPriceBook.taxRate);
+  });
+
+  it("falls back to defaults for blank or invalid prices and drops bad slab prices", () => {
+    const normalized = normalizePriceBook({
+      defaultSlabPrice: "",
+      cutoutFees: { faucet: "abc", cooktop: "99" },
+      slabPrices: { marble: "-1", quartz: "5" },
+    });
+
+    expect(normalized.defaultSlabPrice).toBe(defaultPriceBook.defaultSlabPrice);
+    expect(normalized.cutoutFees.faucet).toBe(defaultPriceBook.cutoutFees.faucet);
+    expect(normalized.cutoutFees.cooktop).toBe(99);
+    expect(normalized.slabPrices).toEqual({ quartz: 5 });
+  });
+});
+
+describe("buildQuote", () => {
+  it("rounds each line to cents so the printed lines add up to the subtotal", () => {
+    const quote = buildQuote(job, priceBook);
+    const printedSum = quote.lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+
+    expect(lineById(quote, "fabrication").quantity).toBe(41.34);
+    expect(lineById(quote, "fabrication").amount).toBe(1584.69);
+    expect(Math.round(quote.subtotal * 100)).toBe(printedSum);
+    expect(quote.subtotal).toBe(7065.77);
+    expect(quote.tax).toBe(582.93);
+    expect(quote.total).toBe(7648.7);
+  });
+
+  it("bills the edge profile on top of the base polishing rate", () => {
+    const quote = buildQuote(job, priceBook);
+
+    expect(lineById(quote, "edge-polish")).toMatchObject({
+      quantity: 23.46,
+      unitPrice: 14,
+      amount: 328.44,
+    });
+    expect(lineById(quote, "edge-profile")).toMatchObject({
+      description: 'Ogee "classic" profile',
+      quantity: 23.46,
+      unitPrice: 34,
+      amount: 797.64,
+    });
+  });
+
+  it("leaves out the profile line for profiles included in polishing", () => {
+    const quote = buildQuote({ ...job, edge: { ...job.edge, pricePerFoot: 0 } }, priceBook);
+
+    expect(lineById(quote, "edge-polish")).toBeDefined();
+    expect(lineById(quote, "edge-profile")).toBeUndefined();
+  });
+
+  it("groups cutouts by type at the price book fee", () => {
+    const quote = buildQuote(job, priceBook);
+
+    expect(lineById(quote, "cutout-undermount")).toMatchObject({ quantity: 1, amount: 275 });
+    expect(lineById(quote, "cutout-faucet")).toMatchObject({ quantity: 2, amount: 80 });
+  });
+});
+
+describe("quoteToCsv", () => {
+  it("quotes cells that contain commas or double quotes", () => {
+    const csv = quoteToCsv({
+      name: "Smith, kitchen",
+      preparedAt: "2026-10-19",
+      estimate: buildQuote(job, priceBook),
+    });
+    const rows = csv.split("\r\n");
+
+    expect(rows[0]).toBe('Quote,"Smith, kitchen"');
+    expect(rows).toContain(
+      'Material,"Granite - Alaska White, polished (A1, A2)",2,slab,2000.00,4000.00'
+    );
+    expect(rows).toContain('Edge,"Ogee ""classic"" profile",23.46,lin ft,34.00,797.64');
+    expect(rows).toContain("Cutouts,Faucet hole,2,ea,40.00,80.00");
+    expect(rows[rows.length - 1]).toBe(",Total,,,,7648.70");
+  });
+});
@@ -0,0 +1,129 @@
+import { processSlabPixels } from "./processing.js";
+
+export * from "./processing.js";
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+function imageSize(image) {
+  return {
+    width: image?.naturalWidth || image?.videoWidth || image?.width || image?.clientWidth || 0,
+    height:
+      image?.naturalHeight || image?.videoHeight || image?.height || image?.clientHeight || 0,
+  };
+}
+
+function slabImagingWorker() {
+  if (worker !== null) {
+    return worker;
+  }
+
+  if (
+    typeof Worker === "undefined" ||
+    typeof OffscreenCanvas === "undefined" ||
+    typeof createImageBitmap === "undefined"
+  ) {
+    worker = false;
+    return worker;
+  }
+
+  worker = new Worker(new URL("./slab-imaging.worker.js", import.meta.url), { type: "module" });
+  worker.addEventListener("message", (event) => {
+    const { id, result, error } = event.data || {};
+    const request = pendingRequests.get(id);
+    if (!request) {
+      return;
+    }
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+      return;
+    }
+    request.resolve(result);
+  });
+  worker.addEventListener("error", (event) => {
+    const failure = new Error(event?.message || "Slab imaging worker failed.");
+    pendingRequests.forEach((request) => request.reject(failure));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = false;
+  });
+  return worker;
+}
+
+async function processInWorker(activeWorker, image, options) {
+  const bitmap = await createImageBitmap(image);
+  const id = nextRequestId;
+  nextRequestId += 1;
+
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject });
+    activeWorker.postMessage({ id, bitmap, options }, [bitmap]);
+  });
+}
+
+function readImagePixels(image, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  if (!context) {
+    return null;
+  }
+  context.drawImage(image, 0, 0, width, height);
+
+  try {
+    return context.getImageData(0, 0, width, height);
+  } catch {
+    return null;
+  }
+}
+
+function pixelsToCanvas(pixels) {
+  const canvas = document.createElement("canvas");
+  canvas.width = pixels.width;
+  canvas.height = pixels.height;
+  const context = canvas.getContext("2d");
+  if (!context) {
+    return null;
+  }
+  context.putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+  return canvas;
+}
+
+function toCanvasResult(result) {
+  const colorCanvas = result ? pixelsToCanvas(result.color) : null;
+  if (!colorCanvas) {
+    return null;
+  }
+
+  return {
+    colorCanvas,
+    alphaCanvas: result.alpha ? pixelsToCanvas(result.alpha) : null,
+    aspect: result.aspect,
+    corners: result.corners || null,
+    rectified: Boolean(result.rectified),
+  };
+}
+
+// Resolves to { colorCanvas, alphaCanvas, aspect, corners, rectified } or null when the
+// image has no detectable slab. Work runs in an OffscreenCanvas worker when available.
+export async function processSlabImage(image, options = {}) {
+  const { width, height } = imageSize(image);
+  if (!width || !height) {
+    return null;
+  }
+
+  const activeWorker = slabImagingWorker();
+  if (activeWorker) {
+    try {
+      return toCanvasResult(await processInWorker(activeWorker, image, options));
+    } catch {
+      // Fall back to the main thread, e.g. for images createImageBitmap rejects.
+    }
+  }
+
+  const pixels = readImagePixels(image, width, height);
+  return pixels ? toCanvasResult(processSlabPixels(pixels, options)) : null;
+}
@@ -0,0 +1,643 @@
+export const SLAB_MASK_TUNING = { minThreshold: 22, maxThreshold: 82, margin: 16 };
+export const SLAB_FILL_TUNING = { minThreshold: 20, maxThreshold: 84, margin: 18 };
+
+const SEAMLESS_BLEND_FRACTION = 0.12;
+const MIN_FOREGROUND_RATIO = 0.04;
+const MAX_WARP_DIMENSION = 4096;
+
+export function medianValue(values) {
+  if (!values.length) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+export function estimateBackdropFromCorners(data, width, height, tuning = SLAB_MASK_TUNING) {
+  const size = Math.max(8, Math.floor(Math.min(width, height) * 0.06));
+  const step = Math.max(1, Math.floor(size / 10));
+  const cornerOffsets = [
+    [0, 0],
+    [Math.max(0, width - size), 0],
+    [0, Math.max(0, height - size)],
+    [Math.max(0, width - size), Math.max(0, height - size)],
+  ];
+
+  const reds = [];
+  const greens = [];
+  const blues = [];
+
+  cornerOffsets.forEach(([offsetX, offsetY]) => {
+    const endX = Math.min(width, offsetX + size);
+    const endY = Math.min(height, offsetY + size);
+
+    for (let y = offsetY; y < endY; y += step) {
+      for (let x = offsetX; x < endX; x += step) {
+        const index = (y * width + x) * 4;
+        reds.push(data[index]);
+        greens.push(data[index + 1]);
+        blues.push(data[index + 2]);
+      }
+    }
+  });
+
+  const red = medianValue(reds);
+  const green = medianValue(greens);
+  const blue = medianValue(blues);
+
+  const distances = [];
+  for (let i = 0; i < reds.length; i += 1) {
+    const dr = reds[i] - red;
+    const dg = greens[i] - green;
+    const db = blues[i] - blue;
+    distances.push(Math.sqrt(dr * dr + dg * dg + db * db));
+  }
+  distances.sort((a, b) => a - b);
+
+  const p85Index = Math.min(distances.length - 1, Math.floor(distances.length * 0.85));
+  const p85 = distances[p85Index] || 0;
+  const threshold = Math.max(
+    tuning.minThreshold,
+    Math.min(tuning.maxThreshold, p85 + tuning.margin)
+  );
+
+  return { red, green, blue, threshold };
+}
+
+export function detectBackdropMask(pixels, backdrop) {
+  const { data, width, height } = pixels;
+  const thresholdSquared = backdrop.threshold * backdrop.threshold;
+  const totalPixels = width * height;
+  const mask = new Uint8Array(totalPixels);
+  const visited = new Uint8Array(totalPixels);
+  const queue = new Uint32Array(totalPixels);
+  let queueStart = 0;
+  let queueEnd = 0;
+
+  const enqueueIfBackdrop = (x, y) => {
+    const index = y * width + x;
+    if (visited[index]) {
+      return;
+    }
+    visited[index] = 1;
+
+    const offset = index * 4;
+    const alpha = data[offset + 3];
+    if (alpha < 8) {
+      mask[index] = 1;
+      queue[queueEnd] = index;
+      queueEnd += 1;
+      return;
+    }
+
+    const dr = data[offset] - backdrop.red;
+    const dg = data[offset + 1] - backdrop.green;
+    const db = data[offset + 2] - backdrop.blue;
+    const distanceSquared = dr * dr + dg * dg + db * db;
+    if (distanceSquared <= thresholdSquared) {
+      mask[index] = 1;
+      queue[queueEnd] = index;
+      queueEnd += 1;
+    }
+  };
+
+  for (let x = 0; x < width; x += 1) {
+    enqueueIfBackdrop(x, 0);
+    enqueueIfBackdrop(x, height - 1);
+  }
+
+  for (let y = 0; y < height; y += 1) {
+    enqueueIfBackdrop(0, y);
+    enqueueIfBackdrop(width - 1, y);
+  }
+
+  while (queueStart < queueEnd) {
+    const index = queue[queueStart];
+    queueStart += 1;
+
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x > 0) {
+      enqueueIfBackdrop(x - 1, y);
+    }
+    if (x < width - 1) {
+      enqueueIfBackdrop(x + 1, y);
+    }
+    if (y > 0) {
+      enqueueIfBackdrop(x, y - 1);
+    }
+    if (y < height - 1) {
+      enqueueIfBackdrop(x, y + 1);
+    }
+  }
+
+  return mask;
+}
+
+export function trimBoundsFromMask(mask, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  let foregroundCount = 0;
+  const totalPixels = width * height;
+
+  for (let index = 0; index < totalPixels; index += 1) {
+    if (mask[index]) {
+      continue;
+    }
+
+    foregroundCount += 1;
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x < minX) {
+      minX = x;
+    }
+    if (x > maxX) {
+      maxX = x;
+    }
+    if (y < minY) {
+      minY = y;
+    }
+    if (y > maxY) {
+      maxY = y;
+    }
+  }
+
+  if (foregroundCount === 0 || foregroundCount / totalPixels < MIN_FOREGROUND_RATIO) {
+    return null;
+  }
+
+  const padding = Math.max(2, Math.floor(Math.min(width, height) * 0.01));
+  minX = Math.max(0, minX - padding);
+  minY = Math.max(0, minY - padding);
+  maxX = Math.min(width - 1, maxX + padding);
+  maxY = Math.min(height - 1, maxY + padding);
+
+  const cropWidth = maxX - minX + 1;
+  const cropHeight = maxY - minY + 1;
+  if (cropWidth < 8 || cropHeight < 8) {
+    return null;
+  }
+
+  return { x: minX, y: minY, width: cropWidth, height: cropHeight };
+}
+
+function quadArea(corners) {
+  let area = 0;
+  corners.forEach(([x, y], index) => {
+    const [nextX, nextY] = corners[(index + 1) % corners.length];
+    area += x * nextY - nextX * y;
+  });
+  return Math.abs(area) / 2;
+}
+
+// Corners are ordered top-left, top-right, bottom-right, bottom-left. The extreme
+// points along both diagonals find the slab even when it was shot off-axis.
+export function detectSlabQuad(mask, width, height) {
+  let topLeft = null;
+  let topRight = null;
+  let bottomRight = null;
+  let bottomLeft = null;
+  let minSum = Infinity;
+  let maxSum = -Infinity;
+  let minDiff = Infinity;
+  let maxDiff = -Infinity;
+  let foregroundCount = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (mask[y * width + x]) {
+        continue;
+      }
+      foregroundCount += 1;
+      const sum = x + y;
+      const diff = x - y;
+      if (sum < minSum) {
+        minSum = sum;
+        topLeft = [x, y];
+      }
+      if (sum > maxSum) {
+        maxSum = sum;
+        bottomRight = [x + 1, y + 1];
+      }
+      if (diff > maxDiff) {
+        maxDiff = diff;
+        topRight = [x + 1, y];
+      }
+      if (diff < minDiff) {
+        minDiff = diff;
+        bottomLeft = [x, y + 1];
+      }
+    }
+  }
+
+  if (!topLeft || foregroundCount / (width * height) < MIN_FOREGROUND_RATIO) {
+    return null;
+  }
+
+  const corners = [topLeft, topRight, bottomRight, bottomLeft];
+  const coverage = foregroundCount / Math.max(quadArea(corners), 1);
+  return coverage > 0.85 && coverage < 1.2 ? corners : null;
+}
+
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < size; row += 1) {
+      if (row === column) {
+        continue;
+      }
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k += 1) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+
+  return rows.map((row, index) => row[size] / row[index]);
+}
+
+// Returns the 3x3 homography (row-major) mapping `from` points onto `to` points.
+export function homographyFromQuads(from, to) {
+  const matrix = [];
+  const vector = [];
+  from.forEach(([u, v], index) => {
+    const [x, y] = to[index];
+    matrix.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+    vector.push(x);
+    matrix.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+    vector.push(y);
+  });
+
+  const solution = solveLinearSystem(matrix, vector);
+  return solution ? [...solution, 1] : null;
+}
+
+export function warpedSizeForQuad(corners, targetAspect) {
+  const distance = ([ax, ay], [bx, by]) => Math.hypot(bx - ax, by - ay);
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const measuredWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  const measuredHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+  const isLandscape = measuredWidth >= measuredHeight;
+  const measuredLong = Math.max(measuredWidth, measuredHeight);
+  const measuredShort = Math.max(Math.min(measuredWidth, measuredHeight), 1);
+  const aspect =
+    Number.isFinite(targetAspect) && targetAspect > 0
+      ? Math.max(targetAspect, 1 / targetAspect)
+      : measuredLong / measuredShort;
+  const longSide = Math.min(MAX_WARP_DIMENSION, measuredLong);
+  const shortSide = longSide / aspect;
+
+  return {
+    width: Math.max(8, Math.round(isLandscape ? longSide : shortSide)),
+    height: Math.max(8, Math.round(isLandscape ? shortSide : longSide)),
+  };
+}
+
+export function warpPerspectivePixels(pixels, corners, outWidth, outHeight) {
+  const homography = homographyFromQuads(
+    [
+      [0, 0],
+      [outWidth, 0],
+      [outWidth, outHeight],
+      [0, outHeight],
+    ],
+    corners
+  );
+  if (!homography) {
+    return null;
+  }
+
+  const { data: source, width, height } = pixels;
+  const data = new Uint8ClampedArray(outWidth * outHeight * 4);
+  const [h0, h1, h2, h3, h4, h5, h6, h7, h8] = homography;
+
+  for (let y = 0; y < outHeight; y += 1) {
+    for (let x = 0; x < outWidth; x += 1) {
+      const u = x + 0.5;
+      const v = y + 0.5;
+      const w = h6 * u + h7 * v + h8;
+      const sourceX = Math.min(Math.max((h0 * u + h1 * v + h2) / w - 0.5, 0), width - 1);
+      const sourceY = Math.min(Math.max((h3 * u + h4 * v + h5) / w - 0.5, 0), height - 1);
+
+      const x0 = Math.floor(sourceX);
+      const y0 = Math.floor(sourceY);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = sourceX - x0;
+      const fy = sourceY - y0;
+      const a = (y0 * width + x0) * 4;
+      const b = (y0 * width + x1) * 4;
+      const c = (y1 * width + x0) * 4;
+      const d = (y1 * width + x1) * 4;
+      const target = (y * outWidth + x) * 4;
+
+      for (let channel = 0; channel < 3; channel += 1) {
+        const top = source[a + channel] * (1 - fx) + source[b + channel] * fx;
+        const bottom = source[c + channel] * (1 - fx) + source[d + channel] * fx;
+        data[target + channel] = top * (1 - fy) + bottom * fy;
+      }
+      data[target + 3] = 255;
+    }
+  }
+
+  return { data, width: outWidth, height: outHeight };
+}
+
+export function cropPixels(pixels, bounds) {
+  const data = new Uint8ClampedArray(bounds.width * bounds.height * 4);
+  for (let y = 0; y < bounds.height; y += 1) {
+    const sourceStart = ((y + bounds.y) * pixels.width + bounds.x) * 4;
+    data.set(
+      pixels.data.subarray(sourceStart, sourceStart + bounds.width * 4),
+      y * bounds.width * 4
+    );
+  }
+  return { data, width: bounds.width, height: bounds.height };
+}
+
+export function alphaMaskPixels(mask, sourceWidth, bounds) {
+  const data = new Uint8ClampedArray(bounds.width * bounds.height * 4);
+  let foregroundCount = 0;
+
+  for (let y = 0; y < bounds.height; y += 1) {
+    for (let x = 0; x < bounds.width; x += 1) {
+      const sourceIndex = (y + bounds.y) * sourceWidth + (x + bounds.x);
+      const alphaValue = mask[sourceIndex] ? 0 : 255;
+      if (alphaValue === 255) {
+        foregroundCount += 1;
+      }
+      const targetOffset = (y * bounds.width + x) * 4;
+      data[targetOffset] = alphaValue;
+      data[targetOffset + 1] = alphaValue;
+      data[targetOffset + 2] = alphaValue;
+      data[targetOffset + 3] = 255;
+    }
+  }
+
+  return {
+    pixels: { data, width: bounds.width, height: bounds.height },
+    coverage: foregroundCount / (bounds.width * bounds.height),
+  };
+}
+
+export function fillBackdropPixels(pixels, mask, sourceWidth, bounds) {
+  const { data, width, height } = pixels;
+  const cropMask = new Uint8Array(width * height);
+  let backgroundCount = 0;
+  let avgR = 0;
+  let avgG = 0;
+  let avgB = 0;
+  let avgCount = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const sourceIndex = (y + bounds.y) * sourceWidth + (x + bounds.x);
+      const cropIndex = y * width + x;
+      if (mask[sourceIndex]) {
+        cropMask[cropIndex] = 1;
+        backgroundCount += 1;
+      } else {
+        const offset = cropIndex * 4;
+        avgR += data[offset];
+        avgG += data[offset + 1];
+        avgB += data[offset + 2];
+        avgCount += 1;
+      }
+    }
+  }
+
+  if (!backgroundCount) {
+    return pixels;
+  }
+
+  const copyColor = (fromIndex, toIndex) => {
+    const fromOffset = fromIndex * 4;
+    const toOffset = toIndex * 4;
+    data[toOffset] = data[fromOffset];
+    data[toOffset + 1] = data[fromOffset + 1];
+    data[toOffset + 2] = data[fromOffset + 2];
+    data[toOffset + 3] = 255;
+    cropMask[toIndex] = 0;
+  };
+
+  for (let y = 0; y < height; y += 1) {
+    let lastSolid = -1;
+    for (let x = 0; x < width; x += 1) {
+      const idx = y * width + x;
+      if (!cropMask[idx]) {
+        lastSolid = idx;
+      } else if (lastSolid >= 0) {
+        copyColor(lastSolid, idx);
+      }
+    }
+    lastSolid = -1;
+    for (let x = width - 1; x >= 0; x -= 1) {
+      const idx = y * width + x;
+      if (!cropMask[idx]) {
+        lastSolid = idx;
+      } else if (lastSolid >= 0) {
+        copyColor(lastSolid, idx);
+      }
+    }
+  }
+
+  for (let x = 0; x < width; x += 1) {
+    let lastSolid = -1;
+    for (let y = 0; y < height; y += 1) {
+      const idx = y * width + x;
+      if (!cropMask[idx]) {
+        lastSolid = idx;
+      } else if (lastSolid >= 0) {
+        copyColor(lastSolid, idx);
+      }
+    }
+    lastSolid = -1;
+    for (let y = height - 1; y >= 0; y -= 1) {
+      const idx = y * width + x;
+      if (!cropMask[idx]) {
+        lastSolid = idx;
+      } else if (lastSolid >= 0) {
+        copyColor(lastSolid, idx);
+      }
+    }
+  }
+
+  const fallbackR = avgCount ? Math.round(avgR / avgCount) : 180;
+  const fallbackG = avgCount ? Math.round(avgG / avgCount) : 180;
+  const fallbackB = avgCount ? Math.round(avgB / avgCount) : 180;
+  for (let index = 0; index < width * height; index += 1) {
+    if (!cropMask[index]) {
+      continue;
+    }
+    const offset = index * 4;
+    data[offset] = fallbackR;
+    data[offset + 1] = fallbackG;
+    data[offset + 2] = fallbackB;
+    data[offset + 3] = 255;
+  }
+
+  return pixels;
+}
+
+function crossFadeWrapAxis(pixels, band, horizontal) {
+  const { data: source, width, height } = pixels;
+  const data = new Uint8ClampedArray(source);
+  const length = horizontal ? width : height;
+  const across = horizontal ? height : width;
+  const offsetAt = (along, cross) =>
+    horizontal ? (cross * width + along) * 4 : (along * width + cross) * 4;
+
+  // Blend each pixel near an edge with its mirror across the wrap seam instead of cropping,
+  // so the texture keeps the slab's full extent and both edges meet at the same colour.
+  for (let step = 0; step < band; step += 1) {
+    const weight = 0.5 * (1 - (step + 0.5) / band);
+    for (let cross = 0; cross < across; cross += 1) {
+      const lead = offsetAt(step, cross);
+      const trail = offsetAt(length - 1 - step, cross);
+      for (let channel = 0; channel < 3; channel += 1) {
+        const leadValue = source[lead + channel];
+        const trailValue = source[trail + channel];
+        data[lead + channel] = leadValue * (1 - weight) + trailValue * weight;
+        data[trail + channel] = trailValue * (1 - weight) + leadValue * weight;
+      }
+      data[lead + 3] = 255;
+      data[trail + 3] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+export function makeSeamlessPixels(pixels) {
+  if (pixels.width < 16 || pixels.height < 16) {
+    return null;
+  }
+
+  const bandX = Math.max(2, Math.round(pixels.width * SEAMLESS_BLEND_FRACTION));
+  const bandY = Math.max(2, Math.round(pixels.height * SEAMLESS_BLEND_FRACTION));
+  return crossFadeWrapAxis(crossFadeWrapAxis(pixels, bandX, true), bandY, false);
+}
+
+function normalizeCorners(corners, width, height) {
+  return corners.map(([x, y]) => [x / width, y / height]);
+}
+
+function rectifySlabPixels(pixels, mask, options) {
+  const { width, height } = pixels;
+  const corners = Array.isArray(options.corners)
+    ? options.corners.map(([x, y]) => [x * width, y * height])
+    : detectSlabQuad(mask, width, height);
+  if (!corners || quadArea(corners) < 64) {
+    return null;
+  }
+
+  const size = warpedSizeForQuad(corners, options.targetAspect);
+  const color = warpPerspectivePixels(pixels, corners, size.width, size.height);
+  if (!color) {
+    return null;
+  }
+
+  return {
+    color,
+    alpha: null,
+    aspect: size.width / size.height,
+    corners: normalizeCorners(corners, width, height),
+    rectified: true,
+  };
+}
+
+function trimAndMaskPixels(pixels, options) {
+  const backdrop = estimateBackdropFromCorners(
+    pixels.data,
+    pixels.width,
+    pixels.height,
+    options.tuning || SLAB_MASK_TUNING
+  );
+  const mask = detectBackdropMask(pixels, backdrop);
+  if (options.perspective) {
+    const rectified = rectifySlabPixels(pixels, mask, options);
+    if (rectified) {
+      return rectified;
+    }
+  }
+
+  const bounds = trimBoundsFromMask(mask, pixels.width, pixels.height);
+  if (!bounds) {
+    return null;
+  }
+
+  const alpha = alphaMaskPixels(mask, pixels.width, bounds);
+  const cropAreaRatio = (bounds.width * bounds.height) / (pixels.width * pixels.height);
+  const hasUsefulMask = alpha.coverage < 0.999 || cropAreaRatio < 0.999;
+  const right = bounds.x + bounds.width;
+  const bottom = bounds.y + bounds.height;
+
+  return {
+    color: cropPixels(pixels, bounds),
+    alpha: hasUsefulMask ? alpha.pixels : null,
+    aspect: bounds.width / bounds.height,
+    corners: normalizeCorners(
+      [
+        [bounds.x, bounds.y],
+        [right, bounds.y],
+        [right, bottom],
+        [bounds.x, bottom],
+      ],
+      pixels.width,
+      pixels.height
+    ),
+    rectified: false,
+  };
+}
+
+function cropAndFillPixels(pixels, tuning) {
+  const backdrop = estimateBackdropFromCorners(pixels.data, pixels.width, pixels.height, tuning);
+  const mask = detectBackdropMask(pixels, backdrop);
+  const bounds = trimBoundsFromMask(mask, pixels.width, pixels.height);
+  if (!bounds) {
+    return null;
+  }
+
+  return {
+    color: fillBackdropPixels(cropPixels(pixels, bounds), mask, pixels.width, bounds),
+    alpha: null,
+    aspect: bounds.width / bounds.height,
+  };
+}
+
+export function processSlabPixels(pixels, options = {}) {
+  if (!pixels?.width || !pixels?.height) {
+    return null;
+  }
+
+  if (options.mode !== "fill") {
+    return trimAndMaskPixels(pixels, options);
+  }
+
+  const filled = cropAndFillPixels(pixels, options.tuning || SLAB_FILL_TUNING);
+  if (!options.seamless) {
+    return filled;
+  }
+
+  const tiled = makeSeamlessPixels(filled?.color || pixels);
+  if (!tiled) {
+    return filled;
+  }
+  return { color: tiled, alpha: null, aspect: tiled.width / tiled.height };
+}
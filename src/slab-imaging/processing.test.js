@@ -0,0 +1,171 @@
+import { readFileSync } from "node:fs";
+import { PNG } from "pngjs";
+import { describe, expect, it } from "vitest";
+import {
+  detectBackdropMask,
+  detectSlabQuad,
+  estimateBackdropFromCorners,
+  homographyFromQuads,
+  makeSeamlessPixels,
+  processSlabPixels,
+  trimBoundsFromMask,
+} from "./processing.js";
+
+// Fixtures are small synthetic shots of a light veined slab on a dark studio backdrop:
+// slab-on-backdrop has an axis-aligned slab over x 20-99, y 12-67; slab-skewed has a slab
+// photographed off-axis with corners (18,10) (104,16) (98,78) (14,70).
+function loadFixture(name) {
+  const png = PNG.sync.read(readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url)));
+  return { data: new Uint8ClampedArray(png.data), width: png.width, height: png.height };
+}
+
+function backdropMask(pixels) {
+  const backdrop = estimateBackdropFromCorners(pixels.data, pixels.width, pixels.height);
+  return detectBackdropMask(pixels, backdrop);
+}
+
+function applyHomography(matrix, [u, v]) {
+  const w = matrix[6] * u + matrix[7] * v + matrix[8];
+  return [
+    (matrix[0] * u + matrix[1] * v + matrix[2]) / w,
+    (matrix[3] * u + matrix[4] * v + matrix[5]) / w,
+  ];
+}
+
+const skewedCorners = [
+  [18, 10],
+  [104, 16],
+  [98, 78],
+  [14, 70],
+];
+
+describe("backdrop masking", () => {
+  it("estimates the backdrop colour from the image corners", () => {
+    const pixels = loadFixture("slab-on-backdrop.png");
+    const backdrop = estimateBackdropFromCorners(pixels.data, pixels.width, pixels.height);
+
+    expect(backdrop.red).toBeCloseTo(38, -1);
+    expect(backdrop.green).toBeCloseTo(41, -1);
+    expect(backdrop.blue).toBeCloseTo(45, -1);
+    expect(backdrop.threshold).toBeGreaterThanOrEqual(22);
+  });
+
+  it("marks only the pixels around the slab as backdrop", () => {
+    const pixels = loadFixture("slab-on-backdrop.png");
+    const mask = backdropMask(pixels);
+    const at = (x, y) => mask[y * pixels.width + x];
+
+    expect(mask.length - mask.reduce((sum, value) => sum + value, 0)).toBe(80 * 56);
+    expect(at(0, 0)).toBe(1);
+    expect(at(19, 40)).toBe(1);
+    expect(at(20, 40)).toBe(0);
+    expect(at(99, 67)).toBe(0);
+    expect(at(100, 67)).toBe(1);
+  });
+
+  it("treats a frame with no slab as all backdrop", () => {
+    const pixels = loadFixture("backdrop-only.png");
+    const mask = backdropMask(pixels);
+
+    expect(mask.every((value) => value === 1)).toBe(true);
+    expect(processSlabPixels(pixels, { mode: "mask" })).toBeNull();
+  });
+});
+
+describe("trim bounds", () => {
+  it("crops to the slab with a small safety padding", () => {
+    const pixels = loadFixture("slab-on-backdrop.png");
+    const bounds = trimBoundsFromMask(backdropMask(pixels), pixels.width, pixels.height);
+
+    expect(bounds).toEqual({ x: 18, y: 10, width: 84, height: 60 });
+  });
+
+  it("returns no bounds when there is no foreground", () => {
+    const pixels = loadFixture("backdrop-only.png");
+
+    expect(trimBoundsFromMask(backdropMask(pixels), pixels.width, pixels.height)).toBeNull();
+  });
+
+  it("reports the trimmed slab through the mask pipeline", () => {
+    const result = processSlabPixels(loadFixture("slab-on-backdrop.png"), { mode: "mask" });
+
+    expect(result.rectified).toBe(false);
+    expect(result.color.width).toBe(84);
+    expect(result.color.height).toBe(60);
+    expect(result.aspect).toBeCloseTo(84 / 60);
+  });
+});
+
+describe("homography corners", () => {
+  it("finds the corners of an off-axis slab", () => {
+    const pixels = loadFixture("slab-skewed.png");
+    const corners = detectSlabQuad(backdropMask(pixels), pixels.width, pixels.height);
+
+    expect(corners).not.toBeNull();
+    corners.forEach(([x, y], index) => {
+      expect(Math.abs(x - skewedCorners[index][0])).toBeLessThanOrEqual(2);
+      expect(Math.abs(y - skewedCorners[index][1])).toBeLessThanOrEqual(2);
+    });
+  });
+
+  it("maps the output rectangle exactly onto the detected quad", () => {
+    const rectangle = [
+      [0, 0],
+      [86, 0],
+      [86, 62],
+      [0, 62],
+    ];
+    const matrix = homographyFromQuads(rectangle, skewedCorners);
+
+    rectangle.forEach((point, index) => {
+      const [x, y] = applyHomography(matrix, point);
+      expect(x).toBeCloseTo(skewedCorners[index][0], 6);
+      expect(y).toBeCloseTo(skewedCorners[index][1], 6);
+    });
+  });
+
+  it("rectifies the skewed slab to the requested aspect", () => {
+    const pixels = loadFixture("slab-skewed.png");
+    const result = processSlabPixels(pixels, {
+      mode: "mask",
+      perspective: true,
+      targetAspect: 1.5,
+    });
+
+    expect(result.rectified).toBe(true);
+    expect(result.color.width / result.color.height).toBeCloseTo(1.5, 1);
+    result.corners.forEach(([x, y], index) => {
+      expect(x * pixels.width).toBeCloseTo(skewedCorners[index][0], -1);
+      expect(y * pixels.height).toBeCloseTo(skewedCorners[index][1], -1);
+    });
+  });
+});
+
+describe("seamless tiling", () => {
+  it("keeps the full slab extent so textures map at the slab's real size", () => {
+    const filled = processSlabPixels(loadFixture("slab-on-backdrop.png"), { mode: "fill" });
+    const tiled = processSlabPixels(loadFixture("slab-on-backdrop.png"), {
+      mode: "fill",
+      seamless: true,
+    });
+
+    expect(tiled.color.width).toBe(filled.color.width);
+    expect(tiled.color.height).toBe(filled.color.height);
+    expect(tiled.aspect).toBeCloseTo(filled.aspect);
+  });
+
+  it("matches opposite edges so the wrap seam disappears", () => {
+    const { color } = processSlabPixels(loadFixture("slab-on-backdrop.png"), { mode: "fill" });
+    const tiled = makeSeamlessPixels(color);
+    const at = (x, y) => tiled.data[(y * tiled.width + x) * 4];
+    const center = (color.height >> 1) * color.width + (color.width >> 1);
+
+    for (let y = 0; y < tiled.height; y += 1) {
+      expect(Math.abs(at(0, y) - at(tiled.width - 1, y))).toBeLessThanOrEqual(12);
+    }
+    for (let x = 0; x < tiled.width; x += 1) {
+      expect(Math.abs(at(x, 0) - at(x, tiled.height - 1))).toBeLessThanOrEqual(12);
+    }
+    expect(tiled.data[center * 4]).toBe(color.data[center * 4]);
+  });
+});
@@ -0,0 +1,32 @@
+import { processSlabPixels } from "./processing.js";
+
+self.addEventListener("message", (event) => {
+  const { id, bitmap, options } = event.data || {};
+  if (!bitmap) {
+    return;
+  }
+
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const result = processSlabPixels(
+      context.getImageData(0, 0, canvas.width, canvas.height),
+      options
+    );
+    if (!result) {
+      self.postMessage({ id, result: null });
+      return;
+    }
+
+    const transfers = [result.color.data.buffer];
+    if (result.alpha) {
+      transfers.push(result.alpha.data.buffer);
+    }
+    self.postMessage({ id, result }, transfers);
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || "Slab image processing failed." });
+  }
+});